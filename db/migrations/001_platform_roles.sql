@@ -0,0 +1,14 @@
+-- Platform-level roles and account suspension (see middleware/auth.middleware.js requireRole)
+-- Community roles (community_members.role) are separate and unaffected.
+
+alter table public.users
+  add column if not exists platform_role text not null default 'user'
+    check (platform_role in ('user', 'moderator', 'admin')),
+  add column if not exists is_suspended boolean not null default false,
+  add column if not exists suspended_until timestamptz,
+  add column if not exists suspension_reason text,
+  add column if not exists suspended_by text;
+
+create index if not exists users_platform_role_idx
+  on public.users (platform_role)
+  where platform_role <> 'user';
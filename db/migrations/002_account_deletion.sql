@@ -0,0 +1,3 @@
+-- Account deletion (DELETE /users/me, see utils/userData.js deleteUserAccount)
+-- Messages a deleted user sent to group and community chats are kept without an author.
+alter table public.messages alter column sender_username drop not null;
@@ -0,0 +1,82 @@
+-- Username renames (see utils/username.js renameUsername)
+-- Old usernames stay reserved for their owner so existing profile links keep resolving.
+create table if not exists public.username_aliases (
+  old_username text primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+create index if not exists username_aliases_user_id_idx on public.username_aliases (user_id, created_at desc);
+
+-- Renames a user and every row keyed by the username in one transaction.
+-- Raises 23505 'username_taken' when the name belongs to another user (or is another user's alias),
+-- P0002 'user_not_found' when p_user_id does not exist.
+create or replace function public.rename_username(p_user_id uuid, p_new_username text)
+returns public.users
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old text;
+  v_user public.users;
+begin
+  select username into v_old from public.users where id = p_user_id for update;
+  if not found then
+    raise exception 'user_not_found' using errcode = 'P0002';
+  end if;
+
+  if v_old = p_new_username then
+    select * into v_user from public.users where id = p_user_id;
+    return v_user;
+  end if;
+
+  if exists (select 1 from public.users where username = p_new_username and id <> p_user_id)
+     or exists (select 1 from public.username_aliases where old_username = p_new_username and user_id <> p_user_id) then
+    raise exception 'username_taken' using errcode = '23505';
+  end if;
+
+  -- Parent row first, so foreign keys declared ON UPDATE CASCADE are satisfied;
+  -- the explicit updates below cover columns without such a constraint.
+  update public.users set username = p_new_username where id = p_user_id;
+
+  update public.posts set author_username = p_new_username where author_username = v_old;
+  update public.comments set author_username = p_new_username where author_username = v_old;
+  update public.post_likes set username = p_new_username where username = v_old;
+  update public.user_follows set follower_username = p_new_username where follower_username = v_old;
+  update public.user_follows set followee_username = p_new_username where followee_username = v_old;
+  update public.user_swipes set swiper_username = p_new_username where swiper_username = v_old;
+  update public.user_swipes set target_username = p_new_username where target_username = v_old;
+  update public.conversations set created_by = p_new_username where created_by = v_old;
+  update public.conversation_members set username = p_new_username where username = v_old;
+  update public.messages set sender_username = p_new_username where sender_username = v_old;
+  update public.message_reactions set username = p_new_username where username = v_old;
+  update public.message_reads set username = p_new_username where username = v_old;
+  update public.communities set created_by = p_new_username where created_by = v_old;
+  update public.community_members set username = p_new_username where username = v_old;
+  update public.community_join_requests set username = p_new_username where username = v_old;
+  update public.community_events set created_by = p_new_username where created_by = v_old;
+  update public.community_event_participants set username = p_new_username where username = v_old;
+  update public.events set hosted_by = p_new_username where hosted_by = v_old;
+  update public.event_participants set username = p_new_username where username = v_old;
+  update public.event_comments set author_username = p_new_username where author_username = v_old;
+  update public.notifications set recipient_username = p_new_username where recipient_username = v_old;
+  update public.notifications set sender_username = p_new_username where sender_username = v_old;
+  update public.quick_messages set username = p_new_username where username = v_old;
+  update public.user_hangout_status set username = p_new_username where username = v_old;
+  update public.user_languages set username = p_new_username where username = v_old;
+  update public.user_countries set username = p_new_username where username = v_old;
+  update public.user_subscriptions set username = p_new_username where username = v_old;
+  update public.payment_transactions set username = p_new_username where username = v_old;
+  update public.users set suspended_by = p_new_username where suspended_by = v_old;
+
+  -- Taking back one of your own old names removes that alias
+  delete from public.username_aliases where old_username = p_new_username;
+  insert into public.username_aliases (old_username, user_id) values (v_old, p_user_id)
+    on conflict (old_username) do update set user_id = excluded.user_id, created_at = now();
+
+  select * into v_user from public.users where id = p_user_id;
+  return v_user;
+end;
+$$;
+
+revoke all on function public.rename_username(uuid, text) from public, anon, authenticated;
@@ -0,0 +1,28 @@
+-- Device sessions (see utils/sessions.js). id is the Supabase auth session id
+-- (session_id JWT claim), or a token hash for tokens that carry none.
+create table if not exists public.user_sessions (
+  id text primary key,
+  user_id uuid not null references public.users (id) on delete cascade,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_active_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+create index if not exists user_sessions_user_id_idx on public.user_sessions (user_id, last_active_at desc);
+
+-- Sign out a Supabase auth session so its refresh token stops working
+create or replace function public.revoke_auth_session(p_session_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+begin
+  if p_session_id ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+    delete from auth.sessions where id = p_session_id::uuid;
+  end if;
+end;
+$$;
+
+revoke all on function public.revoke_auth_session(text) from public, anon, authenticated;
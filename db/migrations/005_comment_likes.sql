@@ -0,0 +1,19 @@
+-- Post comments API (routes/comment.route.js): comment likes, reply counts, edits
+-- comment_likes follows username renames and account deletions through its foreign keys.
+create table if not exists public.comment_likes (
+  comment_id bigint not null references public.comments (id) on delete cascade,
+  username text not null references public.users (username) on update cascade on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (comment_id, username)
+);
+create index if not exists comment_likes_username_idx on public.comment_likes (username);
+
+alter table public.comments add column if not exists like_count integer not null default 0;
+alter table public.comments add column if not exists reply_count integer not null default 0;
+alter table public.comments add column if not exists updated_at timestamptz;
+
+update public.comments c
+set reply_count = (select count(*) from public.comments r where r.parent_id = c.id);
+
+-- Cursor pagination of a thread: (post_id, parent_id) ordered by (created_at, id)
+create index if not exists comments_thread_idx on public.comments (post_id, parent_id, created_at, id);
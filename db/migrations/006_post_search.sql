@@ -0,0 +1,56 @@
+-- Post search (GET /posts/search), hashtags and mentions (see utils/postTags.js)
+-- The 'simple' configuration keeps every word as written (no stemming or stop words),
+-- which behaves the same for all languages posts are written in.
+alter table public.posts
+  add column if not exists search_vector tsvector
+  generated always as (to_tsvector('simple', coalesce(content, ''))) stored;
+create index if not exists posts_search_vector_idx on public.posts using gin (search_vector);
+
+-- created_at copies the post's created_at so tag pages paginate like GET /posts
+create table if not exists public.post_hashtags (
+  post_id bigint not null references public.posts (id) on delete cascade,
+  tag text not null,
+  created_at timestamptz not null default now(),
+  primary key (post_id, tag)
+);
+create index if not exists post_hashtags_tag_idx on public.post_hashtags (tag, created_at desc);
+create index if not exists post_hashtags_created_at_idx on public.post_hashtags (created_at);
+
+create table if not exists public.post_mentions (
+  post_id bigint not null references public.posts (id) on delete cascade,
+  username text not null references public.users (username) on update cascade on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (post_id, username)
+);
+create index if not exists post_mentions_username_idx on public.post_mentions (username, created_at desc);
+
+-- Most used hashtags since p_since, counting only posts anyone may read:
+-- public posts outside communities and published posts of public communities
+create or replace function public.trending_hashtags(p_since timestamptz, p_limit integer default 10)
+returns table (tag text, post_count bigint, last_used_at timestamptz)
+language sql
+stable
+set search_path = public
+as $$
+  select h.tag, count(*) as post_count, max(h.created_at) as last_used_at
+  from public.post_hashtags h
+  join public.posts p on p.id = h.post_id
+  left join public.communities c on c.id = p.community_id
+  where h.created_at >= p_since
+    and (p.status is null or p.status not in ('pending', 'rejected'))
+    and case
+      when p.community_id is null then coalesce(p.audience, 'followers') = 'public'
+      else c.is_private is false
+    end
+  group by h.tag
+  order by post_count desc, last_used_at desc
+  limit p_limit;
+$$;
+
+-- Index hashtags of existing posts
+insert into public.post_hashtags (post_id, tag, created_at)
+select distinct p.id, lower(m[1]), p.created_at
+from public.posts p
+cross join lateral regexp_matches(coalesce(p.content, ''), '(?:^|[^[:alnum:]_&])#([[:alnum:]_]*[[:alpha:]][[:alnum:]_]*)', 'g') as m
+where char_length(m[1]) <= 100
+on conflict do nothing;
@@ -0,0 +1,28 @@
+-- Typed post reactions (see utils/postReactions.js). A reaction is a post_likes row with a type,
+-- so existing likes become "like" reactions and posts.like_count keeps counting all reactions.
+alter table public.post_likes add column if not exists reaction text not null default 'like';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'post_likes_reaction_check') then
+    alter table public.post_likes
+      add constraint post_likes_reaction_check
+      check (reaction in ('like', 'love', 'haha', 'wow', 'sad', 'angry'));
+  end if;
+end;
+$$;
+
+-- One reaction per user and post; changing it updates the row (upsert on post_id, username)
+create unique index if not exists post_likes_post_username_idx on public.post_likes (post_id, username);
+
+-- Per-type counts, e.g. {"like": 3, "love": 1}
+alter table public.posts add column if not exists reaction_counts jsonb not null default '{}'::jsonb;
+
+update public.posts p
+set reaction_counts = coalesce(
+  (
+    select jsonb_object_agg(r.reaction, r.n)
+    from (select reaction, count(*) as n from public.post_likes where post_id = p.id group by reaction) r
+  ),
+  '{}'::jsonb
+);
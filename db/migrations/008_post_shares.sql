@@ -0,0 +1,6 @@
+-- Shares, reposts and quote posts (see utils/postShares.js). A share is a post pointing at the
+-- original through shared_post_id. There is deliberately no foreign key: shares outlive a deleted
+-- original and are then shown with the original as unavailable.
+alter table public.posts add column if not exists shared_post_id bigint;
+alter table public.posts add column if not exists share_count integer not null default 0;
+create index if not exists posts_shared_post_id_idx on public.posts (shared_post_id) where shared_post_id is not null;
@@ -0,0 +1,5 @@
+-- Drafts and scheduled posts (see utils/postPublishing.js): status 'draft' or 'scheduled',
+-- the latter with publish_at. The scheduler looks up due posts through the partial index.
+alter table public.posts add column if not exists publish_at timestamptz;
+create index if not exists posts_scheduled_idx on public.posts (publish_at) where status = 'scheduled';
+create index if not exists posts_author_status_idx on public.posts (author_username, status);
@@ -0,0 +1,18 @@
+-- Edit history of posts (see utils/postRevisions.js). Revision 0 is the post as first
+-- published; every later revision is the post right after an edit. edited_at marks
+-- edited posts in responses.
+alter table public.posts add column if not exists edited_at timestamptz;
+
+create table if not exists public.post_revisions (
+  id bigserial primary key,
+  post_id bigint not null references public.posts (id) on delete cascade,
+  revision integer not null,
+  change text not null check (change in ('original', 'edit', 'media_added', 'media_removed')),
+  editor_username text references public.users (username) on update cascade on delete set null,
+  content text,
+  audience text,
+  community_id bigint,
+  media jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  unique (post_id, revision)
+);
@@ -0,0 +1,16 @@
+-- Processed uploads (see utils/media.js): picture size, duration of videos/audio in
+-- seconds, blurhash placeholder and the URL of every stored image size
+-- ({ "thumbnail", "feed", "full" }; media_url is the full size).
+alter table public.post_media
+  add column if not exists width integer,
+  add column if not exists height integer,
+  add column if not exists duration real,
+  add column if not exists blurhash text,
+  add column if not exists variants jsonb;
+
+alter table public.message_media
+  add column if not exists width integer,
+  add column if not exists height integer,
+  add column if not exists duration real,
+  add column if not exists blurhash text,
+  add column if not exists variants jsonb;
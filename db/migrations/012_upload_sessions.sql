@@ -0,0 +1,25 @@
+-- Uploads sent by clients straight to storage (see utils/uploads.js). A session describes
+-- one file and where it goes; it is completed once the stored file has been checked and
+-- attached to its post, message or event. `result` is what completing it returned.
+create table if not exists public.upload_sessions (
+  id uuid primary key default gen_random_uuid(),
+  username text not null references public.users (username) on update cascade on delete cascade,
+  target text not null check (target in ('post', 'message', 'event')),
+  target_id bigint,
+  bucket text not null,
+  object_path text not null,
+  file_name text,
+  content_type text not null,
+  kind text not null check (kind in ('image', 'video', 'audio')),
+  size bigint not null check (size > 0),
+  mode text not null check (mode in ('direct', 'resumable')),
+  part_size integer,
+  part_count integer,
+  status text not null default 'pending' check (status in ('pending', 'completed', 'failed', 'cancelled')),
+  result jsonb,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists upload_sessions_username_idx on public.upload_sessions (username, created_at desc);
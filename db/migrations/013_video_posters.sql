@@ -0,0 +1,10 @@
+-- Video uploads (see utils/media.js and utils/video.js): the URL of a poster image taken
+-- from an early frame, so clients can show videos without downloading them, and the video
+-- codec as ffprobe names it (h264, hevc, vp9, ...). `blurhash` of a video is its poster's.
+alter table public.post_media
+  add column if not exists poster_url text,
+  add column if not exists codec text;
+
+alter table public.message_media
+  add column if not exists poster_url text,
+  add column if not exists codec text;
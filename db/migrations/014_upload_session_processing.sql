@@ -0,0 +1,6 @@
+-- Completing an upload first claims its session ("processing"), so concurrent
+-- completions of the same upload attach the file once.
+alter table public.upload_sessions drop constraint if exists upload_sessions_status_check;
+alter table public.upload_sessions
+  add constraint upload_sessions_status_check
+  check (status in ('pending', 'processing', 'completed', 'failed', 'cancelled'));
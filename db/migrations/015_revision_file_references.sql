@@ -0,0 +1,19 @@
+-- Stored files listed by post revisions (post_revisions.media: media_url, poster_url and
+-- variants of each item) stay in storage; utils/storageCleanup.js asks which of the
+-- files it is about to remove some revision still shows.
+create or replace function public.revision_media_urls(p_urls text[])
+returns table (url text)
+language sql
+stable
+set search_path = public
+as $$
+  select u.url
+  from unnest(p_urls) as u(url)
+  where exists (
+    select 1
+    from public.post_revisions r
+    where jsonb_path_exists(r.media, '$[*].** ? (@ == $url)', jsonb_build_object('url', u.url))
+  );
+$$;
+
+revoke all on function public.revision_media_urls(text[]) from public, anon, authenticated;
@@ -0,0 +1,30 @@
+-- Username renames (003_username_rename.sql) update public.users first. Foreign keys on
+-- users (username) without ON UPDATE CASCADE make that update fail while child rows still
+-- hold the old name, so every such key is recreated with ON UPDATE CASCADE; its ON DELETE
+-- action and other options stay as they were.
+do $$
+declare
+  v_fk record;
+  v_def text;
+begin
+  for v_fk in
+    select c.oid, c.conname, c.conrelid::regclass as child
+    from pg_constraint c
+    join pg_attribute a on a.attrelid = c.confrelid and a.attnum = c.confkey[1]
+    where c.contype = 'f'
+      and c.confrelid = 'public.users'::regclass
+      and array_length(c.confkey, 1) = 1
+      and a.attname = 'username'
+      and c.confupdtype <> 'c'
+  loop
+    v_def := regexp_replace(
+      pg_get_constraintdef(v_fk.oid),
+      ' ON UPDATE (NO ACTION|RESTRICT|SET NULL|SET DEFAULT)',
+      ''
+    );
+    v_def := regexp_replace(v_def, '(REFERENCES [^(]+\([^)]*\))', '\1 ON UPDATE CASCADE');
+
+    execute format('alter table %s drop constraint %I, add constraint %I %s', v_fk.child, v_fk.conname, v_fk.conname, v_def);
+  end loop;
+end;
+$$;
@@ -4,41 +4,21 @@ const cors = require("cors");
 const morgan = require("morgan");
 const http = require("http");
 const { initializeWebSocket } = require("./websocket");
-const { supabase } = require("./db/supabaseClient");
+const { buildOpenApiSpec, renderDocsPage } = require("./utils/openapi");
+const { startPostScheduler } = require("./utils/postPublishing");
+const { storage, provisionBuckets, LOCAL_ROUTE } = require("./utils/storage");
+const { startStorageReconciler } = require("./utils/storageCleanup");
+const { TRUST_PROXY_HOPS } = require("./utils/clientIp");
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
-// Initialize background-images storage bucket
-async function initializeStorageBucket() {
-  try {
-    const { data, error } = await supabase.storage.createBucket("background-images", {
-      public: true,
-      fileSizeLimit: 10485760, // 10MB
-      allowedMimeTypes: ["image/jpeg", "image/png", "image/jpg"],
-    });
-
-    if (error) {
-      // Bucket already exists is not an error
-      if (error.message && error.message.toLowerCase().includes("already exists")) {
-        console.log("Background images bucket already exists");
-      } else {
-        console.error("Error creating background-images bucket:", error);
-      }
-    } else {
-      console.log("Background images bucket created successfully");
-    }
-  } catch (err) {
-    console.error("Error initializing storage bucket:", err);
-  }
-}
-
-// Initialize bucket on startup
-initializeStorageBucket();
+// Create the storage buckets, or update their settings
+provisionBuckets();
 
 // Trust reverse proxies (for services like Railway, Render, etc.)
-app.set("trust proxy", 1);
+app.set("trust proxy", TRUST_PROXY_HOPS);
 
 // Enable CORS from allowed origins
 const allowedOrigins = process.env.CORS_ORIGIN
@@ -52,8 +32,8 @@ app.use(
   })
 );
 
-// Initialize WebSocket server
-initializeWebSocket(server, allowedOrigins);
+// Initialize WebSocket server (kept on the app so routes can reach live sockets)
+app.set("io", initializeWebSocket(server, allowedOrigins));
 
 // Body parsers (for handling large JSON payloads)
 app.use(express.json({ limit: "10mb" }));
@@ -80,17 +60,45 @@ const notificationRoutes = require("./routes/notification.routes");
 const quickMessageRoutes = require("./routes/quickMessage.routes");
 const authRoutes = require("./routes/auth.routes");
 const paymentRoutes = require("./routes/payment.routes");
+const commentRoutes = require("./routes/comment.route");
+const adminRoutes = require("./routes/admin.routes");
+const uploadRoutes = require("./routes/upload.routes");
+
+// [mount path, router]; also the input for the generated API docs
+const apiRoutes = [
+  ["/auth", authRoutes],
+  ["/users", userRoutes],
+  ["/posts", postRoutes],
+  ["/posts", commentRoutes],
+  ["/messages", messageRoutes],
+  ["/events", eventRoutes],
+  ["/hangouts", hangoutRoutes],
+  ["/communities", communityRoutes],
+  ["/notifications", notificationRoutes],
+  ["/quick-messages", quickMessageRoutes],
+  ["/payments", paymentRoutes],
+  ["/admin", adminRoutes],
+  ["/uploads", uploadRoutes],
+];
+
+for (const [path, router] of apiRoutes) {
+  app.use(path, router);
+}
+
+// Files of the local storage driver (STORAGE_DRIVER=local)
+if (storage.handler) {
+  app.use(LOCAL_ROUTE, storage.handler);
+}
 
-app.use("/auth", authRoutes);
-app.use("/users", userRoutes);
-app.use("/posts", postRoutes);
-app.use("/messages", messageRoutes);
-app.use("/events", eventRoutes);
-app.use("/hangouts", hangoutRoutes);
-app.use("/communities", communityRoutes);
-app.use("/notifications", notificationRoutes);
-app.use("/quick-messages", quickMessageRoutes);
-app.use("/payments", paymentRoutes);
+// API docs: OpenAPI document generated from the routers, and a Swagger UI for it
+let openApiSpec = null;
+app.get("/openapi.json", (_req, res) => {
+  openApiSpec = openApiSpec || buildOpenApiSpec(apiRoutes);
+  res.json(openApiSpec);
+});
+app.get("/docs", (_req, res) => {
+  res.type("html").send(renderDocsPage("/openapi.json"));
+});
 
 // Root route
 app.get("/", (_req, res) => {
@@ -112,5 +120,15 @@ app.use((err, _req, res, _next) => {
 server.listen(PORT, () => {
   console.log(`🚀 Server listening on port ${PORT}`);
   console.log(`WebSocket server ready`);
+
+  // Publishes scheduled posts once their publish_at has passed
+  if (process.env.POST_SCHEDULER_DISABLED !== "true") {
+    startPostScheduler();
+  }
+
+  // Removes stored files no row references any more
+  if (process.env.STORAGE_RECONCILE_DISABLED !== "true") {
+    startStorageReconciler();
+  }
 });
 
@@ -1,4 +1,210 @@
+const crypto = require('crypto');
 const { supabase } = require('../db/supabaseClient');
+const { LRUCache } = require('../utils/lruCache');
+const { createJwtVerifier, decodeJwt } = require('../utils/jwt');
+const { getSessionId, recordSessionActivity } = require('../utils/sessions');
+const { clientIp } = require('../utils/clientIp');
+
+/* ---------------------------- Token verification ---------------------------- */
+
+// 'remote' (default): every uncached token is checked with supabase.auth.getUser().
+// 'local': the JWT is verified here against SUPABASE_JWT_SECRET and/or the project's
+// JWKS (SUPABASE_JWKS_FILE or SUPABASE_JWKS_URL); Supabase is only asked when no
+// local key matches the token, e.g. right after a signing key rotation.
+const AUTH_VERIFY_MODE = process.env.AUTH_VERIFY_MODE === 'local' ? 'local' : 'remote';
+
+const localVerifier = AUTH_VERIFY_MODE === 'local'
+    ? createJwtVerifier({
+        secret: process.env.SUPABASE_JWT_SECRET || undefined,
+        jwksFile: process.env.SUPABASE_JWKS_FILE || undefined,
+        jwksUrl: process.env.SUPABASE_JWKS_URL || `${process.env.SUPABASE_URL}/auth/v1/.well-known/jwks.json`,
+        audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+        issuer: process.env.SUPABASE_JWT_ISSUER || undefined,
+    })
+    : null;
+
+/**
+ * Build a Supabase-like auth user from verified JWT claims
+ */
+function userFromClaims(claims) {
+    return {
+        id: claims.sub,
+        aud: claims.aud,
+        role: claims.role,
+        email: claims.email || null,
+        phone: claims.phone || null,
+        app_metadata: claims.app_metadata || {},
+        user_metadata: claims.user_metadata || {},
+        session_id: claims.session_id || null,
+    };
+}
+
+/**
+ * Verify an access token according to AUTH_VERIFY_MODE
+ * @returns {Promise<{ user: object|null, error: string|null }>}
+ */
+async function verifyAccessToken(token) {
+    if (localVerifier) {
+        const result = await localVerifier.verify(token);
+
+        if (result.status === 'valid' && result.claims.sub) {
+            return { user: userFromClaims(result.claims), error: null };
+        }
+        if (result.status === 'invalid' || result.status === 'valid') {
+            return { user: null, error: result.reason || 'missing_sub' };
+        }
+        // unknown_key: fall through to Supabase
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+        return { user: null, error: error?.message || 'invalid_token' };
+    }
+    return { user: data.user, error: null };
+}
+
+/* ---------------------------------- Caches ---------------------------------- */
+
+// Verified Supabase auth users keyed by a hash of the access token.
+// Each entry lives until the token expires, capped at AUTH_TOKEN_CACHE_TTL_MS,
+// so a token revoked upstream may still be accepted for up to that long.
+const TOKEN_CACHE_TTL_MS = Number(process.env.AUTH_TOKEN_CACHE_TTL_MS || 5 * 60 * 1000);
+const tokenCache = new LRUCache({
+    max: Number(process.env.AUTH_TOKEN_CACHE_MAX || 5000),
+    ttlMs: TOKEN_CACHE_TTL_MS,
+});
+
+// Public profiles (users rows) keyed by user id.
+// Routes that change the row must call invalidateUserProfile(id).
+const profileCache = new LRUCache({
+    max: Number(process.env.AUTH_PROFILE_CACHE_MAX || 5000),
+    ttlMs: Number(process.env.AUTH_PROFILE_CACHE_TTL_MS || 60 * 1000),
+});
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read the `exp` claim (ms since epoch) from a JWT without verifying it.
+ * Only used to bound cache lifetime of tokens Supabase already verified.
+ */
+function getTokenExpiryMs(token) {
+    try {
+        const { payload } = decodeJwt(token);
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+/* ------------------------------ Platform roles ------------------------------ */
+
+// Platform staff roles stored in users.platform_role; 'admin' implies 'moderator'.
+// These are unrelated to community_members.role.
+const PLATFORM_ROLES = ['user', 'moderator', 'admin'];
+
+function getPlatformRole(user) {
+    return user && PLATFORM_ROLES.includes(user.platform_role) ? user.platform_role : 'user';
+}
+
+/**
+ * Whether a profile is currently suspended (suspended_until in the past lifts it)
+ */
+function isSuspended(user) {
+    if (!user || !user.is_suspended) return false;
+    return !user.suspended_until || new Date(user.suspended_until) > new Date();
+}
+
+/**
+ * Drop a cached profile so the next authenticated request reloads it
+ * @param {string} userId
+ */
+function invalidateUserProfile(userId) {
+    if (userId) profileCache.delete(userId);
+}
+
+/**
+ * Extract a bearer token from an Authorization header value
+ * Returns null when the header is missing or not a Bearer header
+ */
+function extractBearerToken(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    const token = authHeader.slice('Bearer '.length).trim();
+    return token || null;
+}
+
+/**
+ * Client details recorded on the session for an HTTP request
+ */
+function requestClient(req) {
+    return { userAgent: req.headers['user-agent'], ip: clientIp(req) };
+}
+
+/**
+ * Verify a Supabase access token and load the matching public profile
+ * Shared by the HTTP middlewares below and the WebSocket handshake.
+ * Both lookups go through the in-process caches above.
+ * @param {string} token
+ * @param {{ userAgent?: string, ip?: string }} [client] - when given, activity is recorded
+ *   on the token's session (user_sessions) and revoked sessions are refused
+ * @returns {Promise<{ user: object|null, profile: object|null, sessionId?: string, error: string|null, details?: string }>}
+ *   `user` is the Supabase auth user, `profile` the row from the public users table.
+ *   `error` is 'invalid_token', 'profile_not_found', 'account_suspended' or
+ *   'session_revoked' when verification fails.
+ */
+async function resolveUserFromToken(token, client = null) {
+    const tokenKey = hashToken(token);
+    let user = tokenCache.get(tokenKey);
+
+    if (!user) {
+        const verified = await verifyAccessToken(token);
+        user = verified.user;
+
+        if (!user) {
+            return { user: null, profile: null, error: 'invalid_token', details: verified.error };
+        }
+
+        const expiresAt = getTokenExpiryMs(token);
+        if (expiresAt) {
+            tokenCache.set(tokenKey, user, Math.min(expiresAt - Date.now(), TOKEN_CACHE_TTL_MS));
+        }
+    }
+
+    let publicUser = profileCache.get(user.id);
+
+    if (!publicUser) {
+        // Existing code expects req.user to have username, etc., so the public profile is required.
+        const { data, error: publicError } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', user.id)
+            .single();
+
+        if (publicError || !data) {
+            // User is in Auth but not in public table (shouldn't happen if synced)
+            return { user, profile: null, error: 'profile_not_found' };
+        }
+
+        publicUser = data;
+        profileCache.set(user.id, publicUser);
+    }
+
+    if (isSuspended(publicUser)) {
+        return { user, profile: null, error: 'account_suspended' };
+    }
+
+    const sessionId = getSessionId(token, user);
+    if (client) {
+        const { revoked } = await recordSessionActivity({ sessionId, userId: user.id, ...client });
+        if (revoked) {
+            return { user, profile: null, sessionId, error: 'session_revoked' };
+        }
+    }
+
+    // Hand out a copy so handlers mutating req.user cannot poison the cache
+    return { user, profile: { ...publicUser }, sessionId, error: null };
+}
 
 /**
  * Middleware to verify Supabase Auth token
@@ -12,35 +218,29 @@ async function requireAuth(req, res, next) {
 
         const token = authHeader.replace('Bearer ', '');
 
-        // Verify token with Supabase
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        const { user, profile, sessionId, error, details } = await resolveUserFromToken(token, requestClient(req));
 
-        if (error || !user) {
-            console.error('Auth error:', error?.message);
+        if (error === 'invalid_token') {
+            console.error('Auth error:', details);
             return res.status(401).json({ message: 'Invalid or expired token' });
         }
 
-        // Attach user to request
-        // We might want to fetch the full profile from 'users' table too?
-        // For now, let's just attach the auth user and maybe the public user if needed.
-        // But existing code expects req.user to have username, etc.
-        // So we MUST fetch the public user profile.
+        if (error === 'profile_not_found') {
+            return res.status(401).json({ message: 'User profile not found' });
+        }
 
-        const { data: publicUser, error: publicError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', user.id)
-            .single();
+        if (error === 'account_suspended') {
+            return res.status(403).json({ message: 'Account suspended' });
+        }
 
-        if (publicError || !publicUser) {
-            // Fallback if user is in Auth but not in public table (shouldn't happen if synced)
-            // Or maybe we just use the metadata?
-            // But existing code relies on 'username' which is in public table.
-            return res.status(401).json({ message: 'User profile not found' });
+        if (error === 'session_revoked') {
+            return res.status(401).json({ message: 'Session revoked' });
         }
 
-        req.user = publicUser;
-        req.auth = user; // Supabase auth user
+        // Attach public profile, Supabase auth user and session to request
+        req.user = profile;
+        req.auth = user;
+        req.sessionId = sessionId;
         next();
     } catch (err) {
         console.error('Auth middleware error:', err);
@@ -49,41 +249,65 @@ async function requireAuth(req, res, next) {
 }
 
 /**
- * Middleware to optionally verify Supabase Auth token
- * If valid token, populates req.user
- * If no token or invalid, req.user is null
+ * Middleware verifying the Supabase access token only, for the profile bootstrap
+ * routes (signup sync) where the public profile may not exist yet.
+ * Sets req.auth to the auth user and req.user to the profile, or null when missing.
  */
-async function optionalAuth(req, res, next) {
+async function requireAuthToken(req, res, next) {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            req.user = null;
-            return next();
+        const token = extractBearerToken(req.headers.authorization);
+        if (!token) {
+            return res.status(401).json({ message: 'Missing authorization header' });
         }
 
-        const token = authHeader.replace('Bearer ', '');
+        const { user, profile, sessionId, error, details } = await resolveUserFromToken(token, requestClient(req));
+
+        if (error === 'invalid_token') {
+            console.error('Auth error:', details);
+            return res.status(401).json({ message: 'Invalid or expired token' });
+        }
 
-        // Verify token with Supabase
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        if (error === 'account_suspended') {
+            return res.status(403).json({ message: 'Account suspended' });
+        }
+
+        if (error === 'session_revoked') {
+            return res.status(401).json({ message: 'Session revoked' });
+        }
+
+        req.user = profile;
+        req.auth = user;
+        req.sessionId = sessionId;
+        next();
+    } catch (err) {
+        console.error('Auth middleware error:', err);
+        res.status(500).json({ message: 'Server error during authentication' });
+    }
+}
 
-        if (error || !user) {
+/**
+ * Middleware to optionally verify Supabase Auth token
+ * If valid token, populates req.user
+ * If no token or invalid, req.user is null
+ */
+async function optionalAuth(req, res, next) {
+    try {
+        const token = extractBearerToken(req.headers.authorization);
+        if (!token) {
             req.user = null;
             return next();
         }
 
-        const { data: publicUser, error: publicError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', user.id)
-            .single();
+        const { user, profile, sessionId, error } = await resolveUserFromToken(token, requestClient(req));
 
-        if (publicError || !publicUser) {
+        if (error) {
             req.user = null;
             return next();
         }
 
-        req.user = publicUser;
+        req.user = profile;
         req.auth = user;
+        req.sessionId = sessionId;
         next();
     } catch (err) {
         console.error('Optional auth middleware error:', err);
@@ -92,4 +316,70 @@ async function optionalAuth(req, res, next) {
     }
 }
 
-module.exports = { requireAuth, optionalAuth };
+/**
+ * Middleware factory guarding the legacy identity fields older clients still send
+ * (e.g. `author_username`, `actor`, `username`).
+ * Must run after requireAuth, and after multer on multipart routes so req.body is populated.
+ * If any listed field is present in the body or query string and differs from the
+ * authenticated username, the request is rejected with 403 instead of being trusted.
+ * Handlers must take the acting user from req.user, never from these fields.
+ */
+function matchIdentity(...fields) {
+    return (req, res, next) => {
+        const username = req.user && req.user.username;
+        if (!username) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        for (const field of fields) {
+            for (const source of [req.body, req.query]) {
+                const claimed = source ? source[field] : undefined;
+                if (claimed === undefined || claimed === null || claimed === '') continue;
+
+                if (String(claimed).trim() !== username) {
+                    return res.status(403).json({
+                        message: `Field '${field}' does not match the authenticated user`,
+                    });
+                }
+            }
+        }
+
+        next();
+    };
+}
+
+/**
+ * Middleware factory restricting a route to platform staff
+ * Must run after requireAuth. Admins pass every role check.
+ * Usage: requireRole('moderator'), requireRole('admin')
+ */
+function requireRole(...roles) {
+    const middleware = (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        const role = getPlatformRole(req.user);
+        if (role === 'admin' || roles.includes(role)) {
+            return next();
+        }
+
+        return res.status(403).json({ message: 'Insufficient permissions' });
+    };
+
+    middleware.roles = roles; // read by the API docs
+    return middleware;
+}
+
+module.exports = {
+    requireAuth,
+    requireAuthToken,
+    optionalAuth,
+    matchIdentity,
+    requireRole,
+    getPlatformRole,
+    PLATFORM_ROLES,
+    resolveUserFromToken,
+    extractBearerToken,
+    invalidateUserProfile,
+};
@@ -0,0 +1,52 @@
+const { consumeRateLimit, getRule } = require('../utils/rateLimit');
+const { clientIp } = require('../utils/clientIp');
+
+/**
+ * Middleware factory limiting how often a route group can be hit
+ * (rules and stores live in utils/rateLimit.js).
+ * Usage: router.post('/', requireAuth, rateLimit('posts'), ...)
+ *
+ * - Counts per authenticated user (req.user) and per client IP, so place it after requireAuth.
+ * - Place it before multer so rejected requests do not upload files first.
+ * - Over the limit it answers 429 with a Retry-After header.
+ */
+/**
+ * Count a request against a rule inside a handler, for requests only some of which the rule covers
+ * @param {string} name - rule name
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<boolean>} true when over the limit; the 429 has been sent
+ */
+async function applyRateLimit(name, req, res) {
+    const result = await consumeRateLimit(name, {
+        userId: req.user ? req.user.id : null,
+        ip: clientIp(req),
+    });
+
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+
+    if (result.limited) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        res.status(429).json({
+            message: 'Too many requests, please try again later.',
+            retry_after: result.retryAfterSeconds,
+        });
+        return true;
+    }
+    return false;
+}
+
+function rateLimit(name) {
+    getRule(name); // fail at startup on unknown rule names
+
+    const middleware = async (req, res, next) => {
+        if (await applyRateLimit(name, req, res)) return;
+        next();
+    };
+
+    middleware.rateLimit = name; // read by the API docs
+    return middleware;
+}
+
+module.exports = { rateLimit, applyRateLimit };
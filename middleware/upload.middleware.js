@@ -0,0 +1,38 @@
+const multer = require('multer');
+const { VIDEO_LIMITS } = require('../utils/video');
+
+// Multipart files are held in memory, so they stop at the free plan's video size;
+// larger files (PRO videos) go straight to storage through /uploads
+const MULTIPART_MAX_BYTES = VIDEO_LIMITS.free.maxBytes;
+
+/**
+ * Multer for media routes (memory storage, for utils/media.js) that answers its own errors.
+ * Usage: const upload = mediaUpload(); router.post('/', requireAuth, upload.array('media', 10), ...)
+ *
+ * - Files over MULTIPART_MAX_BYTES answer 413 as soon as the limit is hit, before the
+ *   rest of the file is read.
+ * - Other multer errors (too many files, unexpected field) answer 400.
+ */
+function mediaUpload() {
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MULTIPART_MAX_BYTES } });
+
+    const answerErrors = (middleware) => (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (!err) return next();
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    message: `Files can be at most ${MULTIPART_MAX_BYTES / (1024 * 1024)} MB here; upload larger files through /uploads.`,
+                });
+            }
+            if (err instanceof multer.MulterError) return res.status(400).json({ message: err.message });
+            next(err);
+        });
+    };
+
+    return {
+        single: (field) => answerErrors(upload.single(field)),
+        array: (field, maxCount) => answerErrors(upload.array(field, maxCount)),
+    };
+}
+
+module.exports = { MULTIPART_MAX_BYTES, mediaUpload };
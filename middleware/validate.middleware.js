@@ -0,0 +1,43 @@
+const { validateValue } = require('../utils/schema');
+
+/**
+ * Middleware factory validating a request against declared schemas
+ * (JSON Schema objects built with utils/schema.js).
+ * Usage: validate({ params: object({ id: id() }, ['id']), body: object({...}, [...]) })
+ *
+ * - params and query strings (and multipart bodies) are converted to the declared types,
+ *   and defaults are applied, so handlers receive e.g. numeric ids.
+ * - Failures answer 400 { message, errors: [{ field: 'body.content', message: 'is required' }] }.
+ * - On multipart routes it must run after multer so req.body is populated.
+ * The schemas stay attached to the returned middleware (`.schemas`) for the API docs.
+ */
+function validate(schemas) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        const multipart = req.is('multipart/form-data');
+
+        for (const location of ['params', 'query', 'body']) {
+            const schema = schemas[location];
+            if (!schema) continue;
+
+            const result = validateValue(schema, req[location] || {}, {
+                path: location,
+                coerceStrings: location !== 'body' || Boolean(multipart),
+            });
+
+            errors.push(...result.errors);
+            req[location] = result.value;
+        }
+
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid request', errors });
+        }
+
+        next();
+    };
+
+    middleware.schemas = schemas;
+    return middleware;
+}
+
+module.exports = { validate };
@@ -0,0 +1,329 @@
+const express = require("express");
+const router = express.Router();
+const { supabase } = require("../db/supabaseClient");
+const {
+  requireAuth,
+  requireRole,
+  getPlatformRole,
+  invalidateUserProfile,
+  PLATFORM_ROLES,
+} = require("../middleware/auth.middleware");
+const { disconnectUserSockets } = require("../websocket");
+const { createNotification } = require("../utils/notifications");
+const { recomputeShareCount } = require("../utils/postShares");
+const { mediaUrlsOf, communityFileUrls, deleteStoredFiles, reconcileStorage } = require("../utils/storageCleanup");
+
+// Every admin route needs a signed-in platform moderator or admin;
+// the stricter admin-only routes add requireRole("admin") on top.
+router.use(requireAuth, requireRole("moderator"));
+
+/* --------------------------------- Helpers --------------------------------- */
+
+async function getUserByUsername(username) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, username, platform_role, is_suspended, suspended_until, suspension_reason, suspended_by")
+    .eq("username", username)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Moderators may only act on regular users; admins may act on anyone but themselves
+function canModerate(actor, target) {
+  if (actor.username === target.username) return false;
+  if (getPlatformRole(actor) === "admin") return true;
+  return getPlatformRole(target) === "user";
+}
+
+// Recalculate post_count from posts table
+async function recomputeCommunityPostCount(communityId) {
+  const { count, error } = await supabase
+    .from("posts")
+    .select("id", { count: "exact", head: true })
+    .eq("community_id", communityId);
+
+  if (error) throw error;
+
+  const { error: updErr } = await supabase
+    .from("communities")
+    .update({ post_count: count || 0 })
+    .eq("id", communityId);
+
+  if (updErr) throw updErr;
+}
+
+/* ---------------------------------- Users ---------------------------------- */
+
+/**
+ * List users with their platform role and suspension state
+ * GET /admin/users?q=&suspended=true|false&role=&limit=
+ */
+router.get("/users", async (req, res) => {
+  const { q, suspended, role } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  try {
+    let query = supabase
+      .from("users")
+      .select("id, username, name, avatar, platform_role, is_suspended, suspended_until, suspension_reason, suspended_by, created_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (q) query = query.ilike("username", `%${q}%`);
+    if (suspended === "true" || suspended === "false") query = query.eq("is_suspended", suspended === "true");
+    if (role) query = query.eq("platform_role", role);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("admin list users error:", err);
+    res.status(500).json({ message: "Server error while fetching users." });
+  }
+});
+
+/**
+ * Suspend a user; until omitted means indefinitely
+ * POST /admin/users/:username/suspend
+ * Body: { reason?, until? (ISO date) }
+ */
+router.post("/users/:username/suspend", async (req, res) => {
+  const { username } = req.params;
+  const { reason = null, until = null } = req.body;
+
+  if (until && (isNaN(Date.parse(until)) || new Date(until) <= new Date())) {
+    return res.status(400).json({ message: "until must be a future date." });
+  }
+
+  try {
+    const target = await getUserByUsername(username);
+    if (!target) return res.status(404).json({ message: "User not found." });
+    if (!canModerate(req.user, target)) {
+      return res.status(403).json({ message: "Not allowed to suspend this user." });
+    }
+
+    const { data, error } = await supabase
+      .from("users")
+      .update({
+        is_suspended: true,
+        suspended_until: until ? new Date(until).toISOString() : null,
+        suspension_reason: reason,
+        suspended_by: req.user.username,
+      })
+      .eq("id", target.id)
+      .select("id, username, platform_role, is_suspended, suspended_until, suspension_reason, suspended_by")
+      .single();
+
+    if (error) throw error;
+
+    invalidateUserProfile(target.id);
+
+    const io = req.app.get("io");
+    if (io) disconnectUserSockets(io, target.username, "account_suspended", "Account suspended");
+
+    res.json(data);
+  } catch (err) {
+    console.error("admin suspend user error:", err);
+    res.status(500).json({ message: "Server error while suspending user." });
+  }
+});
+
+/**
+ * Lift a suspension
+ * POST /admin/users/:username/unsuspend
+ */
+router.post("/users/:username/unsuspend", async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const target = await getUserByUsername(username);
+    if (!target) return res.status(404).json({ message: "User not found." });
+    if (!canModerate(req.user, target)) {
+      return res.status(403).json({ message: "Not allowed to unsuspend this user." });
+    }
+
+    const { data, error } = await supabase
+      .from("users")
+      .update({ is_suspended: false, suspended_until: null, suspension_reason: null, suspended_by: null })
+      .eq("id", target.id)
+      .select("id, username, platform_role, is_suspended, suspended_until, suspension_reason, suspended_by")
+      .single();
+
+    if (error) throw error;
+
+    invalidateUserProfile(target.id);
+    res.json(data);
+  } catch (err) {
+    console.error("admin unsuspend user error:", err);
+    res.status(500).json({ message: "Server error while unsuspending user." });
+  }
+});
+
+/**
+ * Change a user's platform role (admin only)
+ * PUT /admin/users/:username/role
+ * Body: { role: 'user' | 'moderator' | 'admin' }
+ */
+router.put("/users/:username/role", requireRole("admin"), async (req, res) => {
+  const { username } = req.params;
+  const { role } = req.body;
+
+  if (!PLATFORM_ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${PLATFORM_ROLES.join(", ")}.` });
+  }
+
+  if (username === req.user.username) {
+    return res.status(400).json({ message: "You cannot change your own role." });
+  }
+
+  try {
+    const target = await getUserByUsername(username);
+    if (!target) return res.status(404).json({ message: "User not found." });
+
+    const { data, error } = await supabase
+      .from("users")
+      .update({ platform_role: role })
+      .eq("id", target.id)
+      .select("id, username, platform_role")
+      .single();
+
+    if (error) throw error;
+
+    invalidateUserProfile(target.id);
+    res.json(data);
+  } catch (err) {
+    console.error("admin set role error:", err);
+    res.status(500).json({ message: "Server error while updating role." });
+  }
+});
+
+/* ------------------------------ Content removal ----------------------------- */
+
+/**
+ * Force-delete any post
+ * DELETE /admin/posts/:id
+ * Body: { reason? } - forwarded to the author as a notification
+ */
+router.delete("/posts/:id", async (req, res) => {
+  const postId = Number(req.params.id);
+  const reason = req.body?.reason || null;
+
+  try {
+    const { data: post, error: fetchErr } = await supabase
+      .from("posts")
+      .select("id, author_username, community_id, shared_post_id")
+      .eq("id", postId)
+      .maybeSingle();
+
+    if (fetchErr) throw fetchErr;
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    const mediaUrls = await mediaUrlsOf("post_media", "post_id", [postId]);
+    const { error } = await supabase.from("posts").delete().eq("id", postId);
+    if (error) throw error;
+
+    await deleteStoredFiles(mediaUrls);
+    if (post.community_id) await recomputeCommunityPostCount(post.community_id);
+    if (post.shared_post_id) await recomputeShareCount(post.shared_post_id);
+
+    await createNotification(
+      post.author_username,
+      "moderation",
+      reason ? `Your post was removed by a moderator: ${reason}` : "Your post was removed by a moderator.",
+      { post_id: postId },
+      null,
+      "Post removed"
+    );
+
+    res.json({ message: "Post deleted." });
+  } catch (err) {
+    console.error("admin delete post error:", err);
+    res.status(500).json({ message: "Server error while deleting post." });
+  }
+});
+
+/**
+ * Force-delete a community (admin only)
+ * DELETE /admin/communities/:id
+ */
+router.delete("/communities/:id", requireRole("admin"), async (req, res) => {
+  const communityId = Number(req.params.id);
+
+  try {
+    const { data: community, error: fetchErr } = await supabase
+      .from("communities")
+      .select("id, name, created_by")
+      .eq("id", communityId)
+      .maybeSingle();
+
+    if (fetchErr) throw fetchErr;
+    if (!community) return res.status(404).json({ message: "Community not found." });
+
+    const fileUrls = await communityFileUrls(communityId);
+    const { error } = await supabase.from("communities").delete().eq("id", communityId);
+    if (error) throw error;
+
+    await deleteStoredFiles(fileUrls);
+
+    res.json({ message: "Community deleted." });
+  } catch (err) {
+    console.error("admin delete community error:", err);
+    res.status(500).json({ message: "Server error while deleting community." });
+  }
+});
+
+/* --------------------------------- Storage ---------------------------------- */
+
+/**
+ * Remove stored files no row references right away (admin only)
+ * POST /admin/storage/reconcile
+ * Body: { dry_run? } - with dry_run only counts what would be removed
+ * Runs the same job as the periodic reconciliation; files younger than a day are kept.
+ */
+router.post("/storage/reconcile", requireRole("admin"), async (req, res) => {
+  const dryRun = req.body?.dry_run === true;
+
+  try {
+    const buckets = await reconcileStorage({ dryRun });
+    res.json({ dry_run: dryRun, buckets });
+  } catch (err) {
+    console.error("admin storage reconcile error:", err);
+    res.status(500).json({ message: "Server error while reconciling storage." });
+  }
+});
+
+/* --------------------------------- Payments --------------------------------- */
+
+/**
+ * Browse payment transactions across all users (admin only)
+ * GET /admin/payments/transactions?username=&status=&before=&limit=
+ */
+router.get("/payments/transactions", requireRole("admin"), async (req, res) => {
+  const { username, status, before } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  try {
+    let query = supabase
+      .from("payment_transactions")
+      .select("*")
+      .order("transaction_date", { ascending: false })
+      .limit(limit);
+
+    if (username) query = query.eq("username", username);
+    if (status) query = query.eq("status", status);
+    if (before) query = query.lt("transaction_date", before);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (err) {
+    console.error("admin list transactions error:", err);
+    res.status(500).json({ message: "Server error while fetching transactions." });
+  }
+});
+
+module.exports = router;
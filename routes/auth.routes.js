@@ -1,73 +1,164 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../db/supabaseClient');
-const { randomUUID } = require('crypto');
+const { requireAuthToken } = require('../middleware/auth.middleware');
+const { validateUsername, usernameBaseFromEmail, usernameCandidates, findTakenUsernames } = require('../utils/username');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Generated usernames are probed in batches of candidates, up to USERNAME_MAX_CANDIDATES in total
+const USERNAME_BATCH_SIZE = 10;
+const USERNAME_MAX_CANDIDATES = 50;
+
+/**
+ * Which of `columns` a unique violation is about: PostgREST names the constraint in the message
+ * ('... unique constraint "users_username_key"') and the key in the details ('Key (username)=(bob) already exists.')
+ * @returns {string|null} null when it is about none of them
+ */
+function violatedColumn(err, columns) {
+    const constraint = (/constraint "([^"]+)"/.exec(err.message || '') || [])[1] || '';
+    const key = (/^Key \((.*?)\)=\(/.exec(err.details || '') || [])[1] || '';
+    return columns.find((column) => constraint.includes(column) || key.includes(column)) || null;
+}
+
+async function getProfileById(id) {
+  const { data, error } = await supabase.from('users').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Pick the first candidate username nobody has taken (or used to have) yet
+ * @returns {Promise<string|null>}
+ */
+async function pickFreeUsername(candidates) {
+  const taken = await findTakenUsernames(candidates);
+  return candidates.find((c) => !taken.has(c)) || null;
+}
+
+/**
+ * Create the default hangout status (visible by default); safe to call on every sync
+ */
+async function ensureHangoutStatus(username) {
+  try {
+    const { error } = await supabase
+      .from('user_hangout_status')
+      .upsert([{
+        username,
+        is_available: true, // Auto-enable visibility for new users
+        current_activity: null,
+        activities: []
+      }], { onConflict: 'username', ignoreDuplicates: true });
+    if (error) throw error;
+  } catch (hangoutErr) {
+    // Non-critical - log but don't fail signup
+    console.error('Warning: Could not create hangout status:', hangoutErr);
+  }
+}
 
 /**
  * Đăng ký user mới (Sync from Supabase Auth)
  * POST /auth/signup
+ * Headers: Authorization: Bearer <supabase access token>
  * Body: { id, email, name, country, city, username, gender }
+ *
+ * Idempotent per auth id: a retried sync returns the existing profile (200)
+ * instead of failing; a new profile is answered with 201.
+ * A custom username must pass the check-username rules and be free (409 otherwise);
+ * without one, a username is generated from the e-mail prefix with a deterministic suffix.
  */
-router.post('/signup', async (req, res) => {
+router.post('/signup', requireAuthToken, async (req, res) => {
   console.log('📝 Received signup sync request:', req.body);
-  const { id, name, email, country, city, username: customUsername, gender } = req.body;
+  const { id, name, country, city, username: customUsername, gender } = req.body;
+  const authUser = req.auth;
+  const email = authUser.email || req.body.email;
 
-  // We expect an ID from Supabase Auth
+  // We expect an ID from Supabase Auth, and it must be the caller's
   if (!id || !email) {
     console.error('❌ Missing id or email in signup request');
     return res.status(400).json({ message: 'Missing id or email' });
   }
+  if (id !== authUser.id) {
+    return res.status(403).json({ message: 'id does not match the authenticated user' });
+  }
+
+  if (customUsername) {
+    const problem = validateUsername(customUsername);
+    if (problem) return res.status(400).json({ message: problem });
+  }
 
   try {
-    // Check if username exists (if provided)
-    // If not provided, generate one
-    const username = customUsername || (email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '') + '_' + Math.floor(Math.random() * 1000));
-    console.log('👤 Processing signup for username:', username);
-
-    // Insert into public users table
-    const { data: inserted, error: insErr } = await supabase
-      .from('users')
-      .insert([{
-        id,
-        email,
-        username,
-        name: name || username,
-        country: country || null,
-        city: city || null,
-        gender: gender || null,
-        email_confirmed: false
-      }])
-      .select('*')
-      .single();
-
-    if (insErr) {
-      console.error('❌ Error inserting user into public table:', insErr);
-      // If duplicate username, we might want to retry with a new username if it was auto-generated
-      // But for now just throw
-      throw insErr;
+    // Retried sync: the profile already exists
+    const existing = req.user || await getProfileById(id);
+    if (existing) {
+      await ensureHangoutStatus(existing.username);
+      return res.json({ user: existing, created: false });
     }
 
-    console.log('✅ User inserted into public table:', inserted.id);
+    const base = customUsername ? customUsername.trim() : usernameBaseFromEmail(email);
+    const candidates = customUsername
+      ? [base]
+      : usernameCandidates(base, id, USERNAME_MAX_CANDIDATES);
+
+    let inserted = null;
+    const tried = new Set();
+    while (!inserted && tried.size < candidates.length) {
+      const batch = candidates.filter((c) => !tried.has(c)).slice(0, USERNAME_BATCH_SIZE);
+      const username = await pickFreeUsername(batch);
+      if (!username) {
+        batch.forEach((c) => tried.add(c));
+        continue;
+      }
+      tried.add(username);
+
+      console.log('👤 Processing signup for username:', username);
 
-    // Create default hangout status for new user (visible by default)
-    try {
-      await supabase
-        .from('user_hangout_status')
+      const { data, error: insErr } = await supabase
+        .from('users')
         .insert([{
-          username: inserted.username,
-          is_available: true, // Auto-enable visibility for new users
-          current_activity: null,
-          activities: []
-        }]);
-      console.log(`✅ Created default hangout status for ${inserted.username}`);
-    } catch (hangoutErr) {
-      // Non-critical - log but don't fail signup
-      console.error('Warning: Could not create hangout status:', hangoutErr);
+          id,
+          email,
+          username,
+          name: name || username,
+          country: country || null,
+          city: city || null,
+          gender: gender || null,
+          email_confirmed: false
+        }])
+        .select('*')
+        .single();
+
+      if (!insErr) {
+        inserted = data;
+        break;
+      }
+      if (insErr.code !== UNIQUE_VIOLATION) throw insErr;
+
+      // Lost a race: either a concurrent retry created this profile, or someone took the username
+      const raced = await getProfileById(id);
+      if (raced) {
+        await ensureHangoutStatus(raced.username);
+        return res.json({ user: raced, created: false });
+      }
+
+      const column = violatedColumn(insErr, ['username', 'email']);
+      if (column === 'email') return res.status(409).json({ message: 'An account with this email already exists.' });
+      if (column !== 'username') throw insErr;
     }
 
+    if (!inserted) {
+      if (customUsername) return res.status(409).json({ message: 'Username already taken.' });
+      return res.status(409).json({ message: 'Could not generate a unique username, please choose one.' });
+    }
+
+    console.log('✅ User inserted into public table:', inserted.id);
+    await ensureHangoutStatus(inserted.username);
+
     // Return user
-    res.json({
+    res.status(201).json({
       user: inserted,
+      created: true,
       // No token needed here as client already has it from Supabase
     });
   } catch (err) {
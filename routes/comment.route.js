@@ -1,6 +1,68 @@
 const express = require("express");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
+const { requireAuth, optionalAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, id, limit } = require("../utils/schema");
+const { encodeCursor, decodeCursor, preciseTimestamp } = require("../utils/cursor");
+const { canViewPost } = require("../utils/postVisibility");
+
+// ------------------------------- Request schemas -------------------------------
+
+const commentParams = object({ id: id(), commentId: id() }, ["id", "commentId"]);
+const content = () => string({ minLength: 1, maxLength: 5000 });
+
+const validateCreateComment = validate({
+  params: object({ id: id() }, ["id"]),
+  body: object({ content: content(), parent_id: id({ nullable: true }) }, ["content"]),
+});
+const validateListComments = validate({
+  params: object({ id: id() }, ["id"]),
+  query: object({
+    parent_id: string({ pattern: "^(null|[1-9][0-9]*)$", description: "Parent comment id, or null for top-level comments" }),
+    limit: limit(100),
+    cursor: string({ maxLength: 500 }),
+  }),
+});
+const validateUpdateComment = validate({ params: commentParams, body: object({ content: content() }, ["content"]) });
+const validateCommentId = validate({ params: commentParams });
+
+// ----------------------------- Utilities & Helpers -----------------------------
+
+const COMMENT_COLUMNS = "id, post_id, author_username, content, parent_id, like_count, reply_count, created_at, updated_at";
+
+/**
+ * Sort keys of a comments cursor, checked and normalized for the `.or()` filter,
+ * or null when the cursor is malformed
+ */
+function commentCursor(cursor) {
+  const keys = decodeCursor(cursor, ["created_at", "id"]);
+  if (!keys || typeof keys.created_at !== "string" || !Number.isInteger(keys.id) || keys.id < 1) return null;
+
+  const created_at = preciseTimestamp(keys.created_at);
+  return created_at ? { created_at, id: keys.id } : null;
+}
+
+async function getPost(postId) {
+  const { data, error } = await supabase
+    .from("posts")
+    .select("id, author_username, status, audience, community_id, disable_comments")
+    .eq("id", postId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+async function getComment(postId, commentId) {
+  const { data, error } = await supabase
+    .from("comments")
+    .select(COMMENT_COLUMNS)
+    .eq("id", commentId)
+    .eq("post_id", postId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
 
 async function updateCommentCount(postId) {
   const { count, error } = await supabase
@@ -14,30 +76,113 @@ async function updateCommentCount(postId) {
   return count || 0;
 }
 
+async function updateReplyCount(commentId) {
+  const { count, error } = await supabase
+    .from("comments")
+    .select("id", { count: "exact", head: true })
+    .eq("parent_id", commentId);
+  if (error) throw error;
+
+  const upd = await supabase.from("comments").update({ reply_count: count || 0 }).eq("id", commentId);
+  if (upd.error) throw upd.error;
+  return count || 0;
+}
+
+async function updateCommentLikeCount(commentId) {
+  const { count, error } = await supabase
+    .from("comment_likes")
+    .select("comment_id", { count: "exact", head: true })
+    .eq("comment_id", commentId);
+  if (error) throw error;
+
+  const upd = await supabase.from("comments").update({ like_count: count || 0 }).eq("id", commentId);
+  if (upd.error) throw upd.error;
+  return count || 0;
+}
+
+// Add author name/avatar (same fields as the posts feed) and, for a viewer, whether they liked each comment
+async function enrichComments(comments, viewer) {
+  if (comments.length === 0) return [];
+
+  const usernames = [...new Set(comments.map((c) => c.author_username).filter(Boolean))];
+  const { data: users, error: uErr } = await supabase
+    .from("users")
+    .select("username, name, avatar")
+    .in("username", usernames);
+  if (uErr) throw uErr;
+
+  let liked = new Set();
+  if (viewer) {
+    const { data: likes, error: lErr } = await supabase
+      .from("comment_likes")
+      .select("comment_id")
+      .eq("username", viewer)
+      .in("comment_id", comments.map((c) => c.id));
+    if (lErr) throw lErr;
+    liked = new Set((likes || []).map((l) => l.comment_id));
+  }
+
+  const userMap = new Map((users || []).map((u) => [u.username, u]));
+  return comments.map((c) => {
+    const author = userMap.get(c.author_username) || null;
+    return {
+      ...c,
+      authorAvatar: author ? author.avatar : null,
+      authorDisplayName: author ? author.name || author.username : c.author_username,
+      ...(viewer && { isLikedByViewer: liked.has(c.id) }),
+    };
+  });
+}
+
+// The comment and every reply below it
+async function collectThread(commentId) {
+  const ids = [commentId];
+  let frontier = [commentId];
+
+  while (frontier.length > 0) {
+    const { data, error } = await supabase.from("comments").select("id").in("parent_id", frontier);
+    if (error) throw error;
+    frontier = (data || []).map((c) => c.id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+}
+
 // ------------------------------- Add a comment --------------------------------
 
 /**
- * Add a comment
+ * Add a comment or a reply (parent_id) as the authenticated user
  * POST /posts/:id/comments
+ * Body: { content, parent_id? }
+ * Refused with 403 when the post has comments disabled.
  */
-router.post("/:id/comments", async (req, res) => {
+router.post("/:id/comments", requireAuth, matchIdentity("author_username"), validateCreateComment, async (req, res) => {
   const postId = Number(req.params.id);
-  const { author_username, content, parent_id = null } = req.body;
-
-  if (!author_username || !content) {
-    return res.status(400).json({ message: "Missing author_username or content." });
-  }
+  const author_username = req.user.username;
+  const { content, parent_id = null } = req.body;
 
   try {
+    const post = await getPost(postId);
+    if (!post || !(await canViewPost(post, author_username))) return res.status(404).json({ message: "Post not found." });
+    if (post.disable_comments) return res.status(403).json({ message: "Comments are disabled for this post." });
+
+    if (parent_id !== null && !(await getComment(postId, parent_id))) {
+      return res.status(404).json({ message: "Parent comment not found." });
+    }
+
     const { data, error } = await supabase
       .from("comments")
       .insert([{ post_id: postId, author_username, content, parent_id }])
-      .select("*")
+      .select(COMMENT_COLUMNS)
       .single();
     if (error) throw error;
 
     await updateCommentCount(postId);
-    res.status(201).json(data);
+    if (parent_id !== null) await updateReplyCount(parent_id);
+
+    const [enriched] = await enrichComments([data], author_username);
+    res.status(201).json(enriched);
   } catch (err) {
     console.error("add comment error:", err);
     res.status(500).json({ message: "Server error while adding comment." });
@@ -47,19 +192,34 @@ router.post("/:id/comments", async (req, res) => {
 // ------------------------------- Get comments --------------------------------
 
 /**
- * Get comments for a post
- * GET /posts/:id/comments
+ * Get one level of comments for a post, oldest first
+ * GET /posts/:id/comments?parent_id=<id>|null&limit=20&cursor=<next_cursor>
+ * Without parent_id (or parent_id=null) top-level comments are returned.
+ * Returns: { comments, next_cursor } - next_cursor is null on the last page
  */
-router.get("/:id/comments", async (req, res) => {
+router.get("/:id/comments", optionalAuth, validateListComments, async (req, res) => {
   const postId = Number(req.params.id);
-  const parentId = req.query.parent_id === "null" ? null : Number(req.query.parent_id);
+  const parentId = req.query.parent_id && req.query.parent_id !== "null" ? Number(req.query.parent_id) : null;
+  const pageSize = req.query.limit;
+  const viewer = req.user ? req.user.username : null;
+
+  let after = null;
+  if (req.query.cursor) {
+    after = commentCursor(req.query.cursor);
+    if (!after) return res.status(400).json({ message: "Invalid cursor." });
+  }
 
   try {
+    const post = await getPost(postId);
+    if (!post || !(await canViewPost(post, viewer))) return res.status(404).json({ message: "Post not found." });
+
     let query = supabase
       .from("comments")
-      .select("id, post_id, author_username, content, parent_id, created_at, updated_at")
+      .select(COMMENT_COLUMNS)
       .eq("post_id", postId)
-      .order("created_at", { ascending: true });
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(pageSize + 1);
 
     if (parentId !== null) {
       query = query.eq("parent_id", parentId);
@@ -67,44 +227,95 @@ router.get("/:id/comments", async (req, res) => {
       query = query.is("parent_id", null);
     }
 
+    if (after) {
+      query = query.or(
+        `created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`
+      );
+    }
+
     const { data, error } = await query;
     if (error) throw error;
 
-    res.json(data || []);
+    const rows = data || [];
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    res.json({
+      comments: await enrichComments(page, viewer),
+      next_cursor: rows.length > pageSize ? encodeCursor({ created_at: last.created_at, id: last.id }) : null,
+    });
   } catch (err) {
     console.error("list comments error:", err);
     res.status(500).json({ message: "Server error while fetching comments." });
   }
 });
 
-// ------------------------------- Delete a comment -----------------------------
+// ------------------------------- Edit a comment -------------------------------
 
 /**
- * Delete a comment (author only – basic check)
- * DELETE /posts/:id/comments/:commentId
+ * Edit a comment (author only)
+ * PATCH /posts/:id/comments/:commentId
+ * Body: { content }
  */
-router.delete("/:id/comments/:commentId", async (req, res) => {
+router.patch("/:id/comments/:commentId", requireAuth, matchIdentity("author_username"), validateUpdateComment, async (req, res) => {
   const postId = Number(req.params.id);
   const commentId = Number(req.params.commentId);
-  const { author_username } = req.body;
-
-  if (!author_username) return res.status(400).json({ message: "Missing author_username." });
+  const username = req.user.username;
+  const { content } = req.body;
 
   try {
-    const { data: cmt, error: cErr } = await supabase
+    const post = await getPost(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+    if (post.disable_comments) return res.status(403).json({ message: "Comments are disabled for this post." });
+
+    const cmt = await getComment(postId, commentId);
+    if (!cmt) return res.status(404).json({ message: "Comment not found." });
+    if (cmt.author_username !== username)
+      return res.status(403).json({ message: "Not allowed to edit this comment." });
+
+    const { data, error } = await supabase
       .from("comments")
-      .select("id, author_username")
+      .update({ content, updated_at: new Date().toISOString() })
       .eq("id", commentId)
+      .select(COMMENT_COLUMNS)
       .single();
-    if (cErr) throw cErr;
+    if (error) throw error;
+
+    const [enriched] = await enrichComments([data], username);
+    res.json(enriched);
+  } catch (err) {
+    console.error("edit comment error:", err);
+    res.status(500).json({ message: "Server error while editing comment." });
+  }
+});
+
+// ------------------------------- Delete a comment -----------------------------
+
+/**
+ * Delete a comment and its replies (comment author or post author)
+ * DELETE /posts/:id/comments/:commentId
+ */
+router.delete("/:id/comments/:commentId", requireAuth, matchIdentity("author_username"), validateCommentId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const commentId = Number(req.params.commentId);
+  const username = req.user.username;
+
+  try {
+    const post = await getPost(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    const cmt = await getComment(postId, commentId);
     if (!cmt) return res.status(404).json({ message: "Comment not found." });
-    if (cmt.author_username !== author_username)
+    if (cmt.author_username !== username && post.author_username !== username)
       return res.status(403).json({ message: "Not allowed to delete this comment." });
 
-    const del = await supabase.from("comments").delete().eq("id", commentId);
+    // One statement, so replies never point at an already deleted parent
+    const del = await supabase.from("comments").delete().in("id", await collectThread(commentId));
     if (del.error) throw del.error;
 
     await updateCommentCount(postId);
+    if (cmt.parent_id !== null) await updateReplyCount(cmt.parent_id);
+
     res.json({ message: "Comment deleted." });
   } catch (err) {
     console.error("delete comment error:", err);
@@ -112,4 +323,64 @@ router.delete("/:id/comments/:commentId", async (req, res) => {
   }
 });
 
+// ------------------------------- Like a comment -------------------------------
+
+/**
+ * Like a comment
+ * POST /posts/:id/comments/:commentId/like
+ */
+router.post("/:id/comments/:commentId/like", requireAuth, validateCommentId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const commentId = Number(req.params.commentId);
+  const username = req.user.username;
+
+  try {
+    const post = await getPost(postId);
+    if (!post || !(await canViewPost(post, username))) return res.status(404).json({ message: "Post not found." });
+    if (post.disable_comments) return res.status(403).json({ message: "Comments are disabled for this post." });
+
+    if (!(await getComment(postId, commentId))) return res.status(404).json({ message: "Comment not found." });
+
+    const { error: insertErr } = await supabase
+      .from("comment_likes")
+      .insert([{ comment_id: commentId, username }]);
+
+    // Liking twice is not an error
+    if (insertErr && insertErr.code !== "23505") throw insertErr;
+
+    const likeCount = await updateCommentLikeCount(commentId);
+    res.json({ comment_id: commentId, like_count: likeCount });
+  } catch (err) {
+    console.error("like comment error:", err);
+    res.status(500).json({ message: "Server error while liking comment." });
+  }
+});
+
+/**
+ * Unlike a comment
+ * DELETE /posts/:id/comments/:commentId/like
+ */
+router.delete("/:id/comments/:commentId/like", requireAuth, validateCommentId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const commentId = Number(req.params.commentId);
+  const username = req.user.username;
+
+  try {
+    if (!(await getComment(postId, commentId))) return res.status(404).json({ message: "Comment not found." });
+
+    const { error: delErr } = await supabase
+      .from("comment_likes")
+      .delete()
+      .eq("comment_id", commentId)
+      .eq("username", username);
+    if (delErr) throw delErr;
+
+    const likeCount = await updateCommentLikeCount(commentId);
+    res.json({ comment_id: commentId, like_count: likeCount });
+  } catch (err) {
+    console.error("unlike comment error:", err);
+    res.status(500).json({ message: "Server error while unliking comment." });
+  }
+});
+
 module.exports = router;
@@ -2,10 +2,100 @@ const express = require("express");
 const multer = require("multer");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
-const { requireAuth, optionalAuth } = require("../middleware/auth.middleware");
+const { requireAuth, optionalAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, boolean, oneOf, id, username, limit, dateTime } = require("../utils/schema");
+const { attachSharedPosts } = require("../utils/postShares");
+const { prepareMedia, storeMedia } = require("../utils/media");
+const {
+  mediaUrlsOf,
+  communityFileUrls,
+  communityFileLocations,
+  ownedFileUrls,
+  deleteStoredFiles,
+} = require("../utils/storageCleanup");
 
 const upload = multer({ storage: multer.memoryStorage() });
 
+/* ------------------------------ Request schemas ----------------------------- */
+
+// Every route below /:id shares the community id param
+const communityParams = (extra = {}) => object({ id: id(), ...extra }, ["id", ...Object.keys(extra)]);
+
+const MEMBER_ROLES = ["admin", "moderator", "member"];
+
+const communityFields = {
+  name: string({ minLength: 1, maxLength: 100 }),
+  description: string({ maxLength: 2000, nullable: true }),
+  image_url: string({ format: "uri", nullable: true }),
+  is_private: boolean(),
+};
+
+const eventFields = {
+  name: string({ minLength: 1, maxLength: 200 }),
+  description: string({ maxLength: 5000, nullable: true }),
+  location: string({ maxLength: 500, nullable: true }),
+  start_time: dateTime(),
+  end_time: dateTime({ nullable: true }),
+};
+
+const validateCommunityId = validate({ params: communityParams() });
+const validateCreateCommunity = validate({ body: object(communityFields, ["name"]) });
+const validateListCommunities = validate({ query: object({ limit: limit(100), q: string({ maxLength: 100 }) }) });
+const validateSuggestedCommunities = validate({ query: object({ limit: limit(50, 10) }) });
+const validateUpdateCommunity = validate({
+  params: communityParams(),
+  body: object({
+    ...communityFields,
+    requires_post_approval: boolean(),
+    requires_member_approval: boolean(),
+  }),
+});
+const validateListMembers = validate({ params: communityParams(), query: object({ limit: limit(100, 50) }) });
+const validateMemberParams = validate({ params: communityParams({ username: username() }) });
+const validateMemberRole = validate({
+  params: communityParams({ username: username() }),
+  body: object({ role: oneOf(MEMBER_ROLES) }, ["role"]),
+});
+const validateCommunityPosts = validate({
+  params: communityParams(),
+  query: object({ limit: limit(100), before: dateTime() }),
+});
+const validateCommunityPostId = validate({ params: communityParams({ postId: id() }) });
+const validateCreateComment = validate({
+  params: communityParams({ postId: id() }),
+  body: object({ content: string({ minLength: 1, maxLength: 5000 }), parent_id: id({ nullable: true }) }, ["content"]),
+});
+const validateCommentId = validate({ params: communityParams({ postId: id(), commentId: id() }) });
+const validateUpdateComment = validate({
+  params: communityParams({ postId: id(), commentId: id() }),
+  body: object({ content: string({ minLength: 1, maxLength: 5000 }) }, ["content"]),
+});
+const validateJoinedCommunities = validate({
+  params: object({ username: username() }, ["username"]),
+  query: object({ limit: limit(100) }),
+});
+const validateListJoinRequests = validate({
+  params: communityParams(),
+  query: object({ status: oneOf(["pending", "approved", "rejected"]) }),
+});
+const validateReviewJoinRequest = validate({
+  params: communityParams({ requestId: id() }),
+  body: object({ action: oneOf(["approve", "reject"]) }, ["action"]),
+});
+const validateEventId = validate({ params: communityParams({ eventId: id() }) });
+const validateCreateEvent = validate({ params: communityParams(), body: object(eventFields, ["name", "start_time"]) });
+const validateUpdateEvent = validate({ params: communityParams({ eventId: id() }), body: object(eventFields) });
+const validateEventResponse = validate({
+  params: communityParams({ eventId: id() }),
+  body: object({ status: oneOf(["going", "interested", "not_going"]) }, ["status"]),
+});
+const validateEventParticipants = validate({
+  params: communityParams({ eventId: id() }),
+  query: object({ status: oneOf(["going", "interested", "not_going"]) }),
+});
+const validateChatMessages = validate({ params: communityParams(), query: object({ limit: limit(100, 50) }) });
+
 /* --------------------------------- Helpers --------------------------------- */
 
 async function getCommunityById(communityId) {
@@ -13,7 +103,7 @@ async function getCommunityById(communityId) {
     .from("communities")
     .select("*")
     .eq("id", communityId)
-    .single();
+    .maybeSingle();
 
   if (error) throw error;
   return data || null;
@@ -123,14 +213,10 @@ async function recomputePostCommentCount(postId) {
  * POST /communities
  * Body: { name, description?, image_url?, is_private? }
  */
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, validateCreateCommunity, async (req, res) => {
   const { name, description, image_url, is_private = false } = req.body;
   const created_by = req.user.username;
 
-  if (!name) {
-    return res.status(400).json({ message: "Missing name." });
-  }
-
   try {
     // Check if user is PRO
     // req.user is already fetched from DB in middleware, so we can check is_premium directly
@@ -203,7 +289,7 @@ router.post("/", requireAuth, async (req, res) => {
  * Get all communities or search
  * GET /communities?q=<search>&limit=20
  */
-router.get("/", async (req, res) => {
+router.get("/", validateListCommunities, async (req, res) => {
   const limit = Math.min(Number(req.query.limit || 20), 100);
   const q = (req.query.q || "").trim();
 
@@ -232,7 +318,7 @@ router.get("/", async (req, res) => {
  * Get suggested communities (top by member count)
  * GET /communities/suggested?limit=10
  */
-router.get("/suggested", async (req, res) => {
+router.get("/suggested", validateSuggestedCommunities, async (req, res) => {
   const limit = Math.min(Number(req.query.limit || 10), 50);
 
   try {
@@ -254,7 +340,7 @@ router.get("/suggested", async (req, res) => {
  * Get a single community
  * GET /communities/:id
  */
-router.get("/:id", optionalAuth, async (req, res) => {
+router.get("/:id", optionalAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const viewer = req.user ? req.user.username : null;
 
@@ -292,7 +378,7 @@ router.get("/:id", optionalAuth, async (req, res) => {
  * PUT /communities/:id
  * Body: { name?, description?, image_url?, is_private? }
  */
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, validateUpdateCommunity, async (req, res) => {
   const communityId = Number(req.params.id);
   const { name, description, image_url, is_private } = req.body;
   const actor = req.user.username;
@@ -310,6 +396,8 @@ router.put("/:id", requireAuth, async (req, res) => {
     if (req.body.requires_post_approval !== undefined) updates.requires_post_approval = req.body.requires_post_approval;
     if (req.body.requires_member_approval !== undefined) updates.requires_member_approval = req.body.requires_member_approval;
 
+    const previous = updates.image_url !== undefined ? await getCommunityById(communityId) : null;
+
     const { data, error } = await supabase
       .from("communities")
       .update(updates)
@@ -318,6 +406,11 @@ router.put("/:id", requireAuth, async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    if (previous && previous.image_url !== data.image_url) {
+      await deleteStoredFiles(ownedFileUrls([previous.image_url], communityFileLocations(communityId)));
+    }
+
     res.json(data);
   } catch (err) {
     console.error("update community error:", err);
@@ -329,7 +422,7 @@ router.put("/:id", requireAuth, async (req, res) => {
  * Delete community (creator only)
  * DELETE /communities/:id
  */
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const actor = req.user.username;
 
@@ -340,9 +433,12 @@ router.delete("/:id", requireAuth, async (req, res) => {
       return res.status(403).json({ message: "Only creator can delete community." });
     }
 
+    const fileUrls = await communityFileUrls(communityId);
     const { error } = await supabase.from("communities").delete().eq("id", communityId);
     if (error) throw error;
 
+    await deleteStoredFiles(fileUrls);
+
     res.json({ message: "Community deleted." });
   } catch (err) {
     console.error("delete community error:", err);
@@ -356,7 +452,7 @@ router.delete("/:id", requireAuth, async (req, res) => {
  * Join a community (public only - private requires join request)
  * POST /communities/:id/join
  */
-router.post("/:id/join", requireAuth, async (req, res) => {
+router.post("/:id/join", requireAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const username = req.user.username;
 
@@ -458,7 +554,7 @@ router.post("/:id/join", requireAuth, async (req, res) => {
  * Leave a community
  * DELETE /communities/:id/join
  */
-router.delete("/:id/join", requireAuth, async (req, res) => {
+router.delete("/:id/join", requireAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const username = req.user.username;
 
@@ -484,7 +580,7 @@ router.delete("/:id/join", requireAuth, async (req, res) => {
  * Get community members
  * GET /communities/:id/members
  */
-router.get("/:id/members", async (req, res) => {
+router.get("/:id/members", validateListMembers, async (req, res) => {
   const communityId = Number(req.params.id);
   const limit = Math.min(Number(req.query.limit || 50), 100);
 
@@ -525,7 +621,7 @@ router.get("/:id/members", async (req, res) => {
  * Get join requests (admin or moderator)
  * GET /communities/:id/join_requests
  */
-router.get("/:id/join_requests", requireAuth, async (req, res) => {
+router.get("/:id/join_requests", requireAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const actor = req.user.username;
 
@@ -570,7 +666,7 @@ router.get("/:id/join_requests", requireAuth, async (req, res) => {
  * Approve join request (admin or moderator)
  * POST /communities/:id/join_requests/:username/approve
  */
-router.post("/:id/join_requests/:username/approve", requireAuth, async (req, res) => {
+router.post("/:id/join_requests/:username/approve", requireAuth, validateMemberParams, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
   const actor = req.user.username;
@@ -659,7 +755,7 @@ router.post("/:id/join_requests/:username/approve", requireAuth, async (req, res
  * Reject join request (admin or moderator)
  * POST /communities/:id/join_requests/:username/reject
  */
-router.post("/:id/join_requests/:username/reject", requireAuth, async (req, res) => {
+router.post("/:id/join_requests/:username/reject", requireAuth, validateMemberParams, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
   const actor = req.user.username;
@@ -690,16 +786,12 @@ router.post("/:id/join_requests/:username/reject", requireAuth, async (req, res)
  * PUT /communities/:id/members/:username/role
  * Body: { role }
  */
-router.put("/:id/members/:username/role", requireAuth, async (req, res) => {
+router.put("/:id/members/:username/role", requireAuth, validateMemberRole, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
   const { role } = req.body;
   const actor = req.user.username;
 
-  if (!["admin", "moderator", "member"].includes(role)) {
-    return res.status(400).json({ message: "Invalid role." });
-  }
-
   try {
     if (!(await isCommunityAdmin(communityId, actor))) {
       return res.status(403).json({ message: "Only admin can change roles." });
@@ -724,7 +816,7 @@ router.put("/:id/members/:username/role", requireAuth, async (req, res) => {
  * Kick member (admin only)
  * DELETE /communities/:id/members/:username
  */
-router.delete("/:id/members/:username", requireAuth, async (req, res) => {
+router.delete("/:id/members/:username", requireAuth, validateMemberParams, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
   const actor = req.user.username;
@@ -760,7 +852,7 @@ router.delete("/:id/members/:username", requireAuth, async (req, res) => {
  * Ban member (admin only)
  * POST /communities/:id/members/:username/ban
  */
-router.post("/:id/members/:username/ban", requireAuth, async (req, res) => {
+router.post("/:id/members/:username/ban", requireAuth, validateMemberParams, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
   const actor = req.user.username;
@@ -799,7 +891,7 @@ router.post("/:id/members/:username/ban", requireAuth, async (req, res) => {
  *
  * Lấy từ bảng `posts` filter theo community_id, join thêm author + post_media.
  */
-router.get("/:id/posts", optionalAuth, async (req, res) => {
+router.get("/:id/posts", optionalAuth, validateCommunityPosts, async (req, res) => {
   const communityId = Number(req.params.id);
   const limit = Math.min(Number(req.query.limit || 20), 100);
   const before = req.query.before ? new Date(req.query.before).toISOString() : null;
@@ -825,7 +917,7 @@ router.get("/:id/posts", optionalAuth, async (req, res) => {
     let query = supabase
       .from("posts")
       .select(
-        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, comment_count, community_id, created_at, updated_at"
+        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
       )
       .eq("community_id", communityId)
       .or("status.eq.approved,status.is.null") // Show approved or legacy (null) posts
@@ -849,7 +941,7 @@ router.get("/:id/posts", optionalAuth, async (req, res) => {
     // Media
     const { data: media, error: mediaErr } = await supabase
       .from("post_media")
-      .select("id, post_id, media_url, media_type, position")
+      .select("id, post_id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec")
       .in("post_id", postIds)
       .order("position", { ascending: true });
 
@@ -880,15 +972,17 @@ router.get("/:id/posts", optionalAuth, async (req, res) => {
         const author = userMap.get(p.author_username) || null;
 
         let isLikedByViewer = false;
+        let viewerReaction = null;
         if (viewer) {
           const { data: liked } = await supabase
             .from("post_likes")
-            .select("id")
+            .select("reaction")
             .eq("post_id", p.id)
             .eq("username", viewer)
             .limit(1);
 
           isLikedByViewer = !!(liked && liked.length > 0);
+          viewerReaction = isLikedByViewer ? liked[0].reaction : null;
         }
 
         return {
@@ -898,11 +992,12 @@ router.get("/:id/posts", optionalAuth, async (req, res) => {
           author_avatar: author ? author.avatar : null,
           author_display_name: author ? author.name || author.username : p.author_username,
           isLikedByViewer,
+          viewerReaction,
         };
       })
     );
 
-    res.json(enriched);
+    res.json(await attachSharedPosts(enriched, viewer));
   } catch (err) {
     console.error("get community posts error:", err);
     res.status(500).json({ message: "Server error while fetching posts." });
@@ -913,7 +1008,7 @@ router.get("/:id/posts", optionalAuth, async (req, res) => {
  * Get pending posts (admin or moderator)
  * GET /communities/:id/posts/pending
  */
-router.get("/:id/posts/pending", requireAuth, async (req, res) => {
+router.get("/:id/posts/pending", requireAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const actor = req.user.username;
 
@@ -979,7 +1074,7 @@ router.get("/:id/posts/pending", requireAuth, async (req, res) => {
  * Approve post (admin or moderator)
  * POST /communities/:id/posts/:postId/approve
  */
-router.post("/:id/posts/:postId/approve", requireAuth, async (req, res) => {
+router.post("/:id/posts/:postId/approve", requireAuth, validateCommunityPostId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const actor = req.user.username;
@@ -1010,7 +1105,7 @@ router.post("/:id/posts/:postId/approve", requireAuth, async (req, res) => {
  * Reject post (moderator or admin)
  * POST /communities/:id/posts/:postId/reject
  */
-router.post("/:id/posts/:postId/reject", requireAuth, async (req, res) => {
+router.post("/:id/posts/:postId/reject", requireAuth, validateCommunityPostId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const actor = req.user.username;
@@ -1041,7 +1136,7 @@ router.post("/:id/posts/:postId/reject", requireAuth, async (req, res) => {
  * Delete a community post (moderator or admin)
  * DELETE /communities/:id/posts/:postId
  */
-router.delete("/:id/posts/:postId", requireAuth, async (req, res) => {
+router.delete("/:id/posts/:postId", requireAuth, validateCommunityPostId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const actor = req.user.username;
@@ -1063,9 +1158,11 @@ router.delete("/:id/posts/:postId", requireAuth, async (req, res) => {
       return res.status(403).json({ message: "Not allowed to delete this post." });
     }
 
+    const mediaUrls = await mediaUrlsOf("post_media", "post_id", [postId]);
     const { error } = await supabase.from("posts").delete().eq("id", postId);
     if (error) throw error;
 
+    await deleteStoredFiles(mediaUrls);
     await recomputeCommunityPostCount(communityId);
 
     res.json({ message: "Post deleted." });
@@ -1081,16 +1178,13 @@ router.delete("/:id/posts/:postId", requireAuth, async (req, res) => {
 /**
  * Add a comment to a community post (uses main comments table)
  * POST /communities/:id/posts/:postId/comments
- * Body: { author_username, content, parent_id? }
+ * Body: { content, parent_id? }
  */
-router.post("/:id/posts/:postId/comments", async (req, res) => {
+router.post("/:id/posts/:postId/comments", requireAuth, matchIdentity("author_username"), validateCreateComment, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
-  const { author_username, content, parent_id = null } = req.body;
-
-  if (!author_username || !content) {
-    return res.status(400).json({ message: "Missing author or content." });
-  }
+  const author_username = req.user.username;
+  const { content, parent_id = null } = req.body;
 
   try {
     // Ensure post exists & belongs to this community
@@ -1125,7 +1219,7 @@ router.post("/:id/posts/:postId/comments", async (req, res) => {
  * Get comments for a community post
  * GET /communities/:id/posts/:postId/comments?parent_id=<id|null>
  */
-router.get("/:id/posts/:postId/comments", async (req, res) => {
+router.get("/:id/posts/:postId/comments", validateCommunityPostId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const hasParent = typeof req.query.parent_id !== "undefined";
@@ -1170,7 +1264,7 @@ router.get("/:id/posts/:postId/comments", async (req, res) => {
  * Get ALL comments of a community post
  * GET /communities/:id/posts/:postId/comments/all
  */
-router.get("/:id/posts/:postId/comments/all", async (req, res) => {
+router.get("/:id/posts/:postId/comments/all", validateCommunityPostId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
 
@@ -1205,15 +1299,12 @@ router.get("/:id/posts/:postId/comments/all", async (req, res) => {
 /**
  * Delete a community post comment (author or admin)
  * DELETE /communities/:id/posts/:postId/comments/:commentId
- * Body: { actor }
  */
-router.delete("/:id/posts/:postId/comments/:commentId", async (req, res) => {
+router.delete("/:id/posts/:postId/comments/:commentId", requireAuth, matchIdentity("actor"), validateCommentId, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const commentId = Number(req.params.commentId);
-  const { actor } = req.body;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
+  const actor = req.user.username;
 
   try {
     // Ensure post exists & belongs to this community
@@ -1256,17 +1347,14 @@ router.delete("/:id/posts/:postId/comments/:commentId", async (req, res) => {
 /**
  * Edit a community post comment (author or admin)
  * PATCH /communities/:id/posts/:postId/comments/:commentId
- * Body: { actor, content }
+ * Body: { content }
  */
-router.patch("/:id/posts/:postId/comments/:commentId", async (req, res) => {
+router.patch("/:id/posts/:postId/comments/:commentId", requireAuth, matchIdentity("actor"), validateUpdateComment, async (req, res) => {
   const communityId = Number(req.params.id);
   const postId = Number(req.params.postId);
   const commentId = Number(req.params.commentId);
-  const { actor, content } = req.body;
-
-  if (!actor || !content) {
-    return res.status(400).json({ message: "Missing actor or content." });
-  }
+  const actor = req.user.username;
+  const { content } = req.body;
 
   try {
     const { data: post, error: pErr } = await supabase
@@ -1317,7 +1405,7 @@ router.patch("/:id/posts/:postId/comments/:commentId", async (req, res) => {
  * Get communities a user has joined
  * GET /communities/user/:username/joined
  */
-router.get("/user/:username/joined", async (req, res) => {
+router.get("/user/:username/joined", validateJoinedCommunities, async (req, res) => {
   const { username } = req.params;
   const limit = Math.min(Number(req.query.limit || 20), 100);
 
@@ -1352,20 +1440,13 @@ router.get("/user/:username/joined", async (req, res) => {
 /**
  * Update member role (admin/moderator only)
  * POST /communities/:id/members/:username/role
- * Body: { actor, role: 'admin'|'moderator'|'member' }
+ * Body: { role: 'admin'|'moderator'|'member' }
  */
-router.post("/:id/members/:username/role", async (req, res) => {
+router.post("/:id/members/:username/role", requireAuth, matchIdentity("actor"), validateMemberRole, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
-  const { actor, role } = req.body;
-
-  if (!actor || !role) {
-    return res.status(400).json({ message: "Missing actor or role." });
-  }
-
-  if (!["admin", "moderator", "member"].includes(role)) {
-    return res.status(400).json({ message: "Invalid role." });
-  }
+  const actor = req.user.username;
+  const { role } = req.body;
 
   try {
     // Check if actor is admin
@@ -1394,14 +1475,11 @@ router.post("/:id/members/:username/role", async (req, res) => {
 /**
  * Kick a member from community (admin/moderator only)
  * DELETE /communities/:id/members/:username
- * Body: { actor }
  */
-router.delete("/:id/members/:username", async (req, res) => {
+router.delete("/:id/members/:username", requireAuth, matchIdentity("actor"), validateMemberParams, async (req, res) => {
   const communityId = Number(req.params.id);
   const targetUsername = req.params.username;
-  const { actor } = req.body;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
+  const actor = req.user.username;
 
   try {
     // Check if actor is admin or moderator
@@ -1440,14 +1518,12 @@ router.delete("/:id/members/:username", async (req, res) => {
 /**
  * Upload community avatar (admin only)
  * POST /communities/:id/avatar
- * FormData: { actor, avatar: File }
+ * FormData: { avatar: File }
  */
-router.post("/:id/avatar", upload.single("avatar"), async (req, res) => {
+router.post("/:id/avatar", requireAuth, upload.single("avatar"), matchIdentity("actor"), validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
-  const { actor } = req.body;
+  const actor = req.user.username;
   const file = req.file;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
   if (!file) return res.status(400).json({ message: "Missing avatar file." });
 
   try {
@@ -1455,20 +1531,11 @@ router.post("/:id/avatar", upload.single("avatar"), async (req, res) => {
       return res.status(403).json({ message: "Only admins can upload avatar." });
     }
 
-    const cleanName = file.originalname.replace(/[^\w.\-]+/g, "_");
-    const storagePath = `community/${communityId}/avatar_${Date.now()}_${cleanName}`;
+    const { error: mediaError, media } = await prepareMedia(file, "avatar");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
-    const uploadRes = await supabase.storage
-      .from("community")
-      .upload(storagePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: true,
-      });
-
-    if (uploadRes.error) throw uploadRes.error;
-
-    const { data: pub } = supabase.storage.from("community").getPublicUrl(storagePath);
-    const image_url = pub.publicUrl;
+    const { media_url: image_url } = await storeMedia("community", `community/${communityId}/avatar_${Date.now()}`, media[0]);
+    const previous = await getCommunityById(communityId);
 
     const { data, error } = await supabase
       .from("communities")
@@ -1479,6 +1546,8 @@ router.post("/:id/avatar", upload.single("avatar"), async (req, res) => {
 
     if (error) throw error;
 
+    if (previous) await deleteStoredFiles(ownedFileUrls([previous.image_url], communityFileLocations(communityId)));
+
     res.json(data);
   } catch (err) {
     console.error("upload avatar error:", err);
@@ -1489,14 +1558,12 @@ router.post("/:id/avatar", upload.single("avatar"), async (req, res) => {
 /**
  * Upload community cover image (admin only)
  * POST /communities/:id/cover
- * FormData: { actor, cover: File }
+ * FormData: { cover: File }
  */
-router.post("/:id/cover", upload.single("cover"), async (req, res) => {
+router.post("/:id/cover", requireAuth, upload.single("cover"), matchIdentity("actor"), validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
-  const { actor } = req.body;
+  const actor = req.user.username;
   const file = req.file;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
   if (!file) return res.status(400).json({ message: "Missing cover file." });
 
   try {
@@ -1504,20 +1571,11 @@ router.post("/:id/cover", upload.single("cover"), async (req, res) => {
       return res.status(403).json({ message: "Only admins can upload cover image." });
     }
 
-    const cleanName = file.originalname.replace(/[^\w.\-]+/g, "_");
-    const storagePath = `community/${communityId}/cover_${Date.now()}_${cleanName}`;
-
-    const uploadRes = await supabase.storage
-      .from("community")
-      .upload(storagePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: true,
-      });
-
-    if (uploadRes.error) throw uploadRes.error;
+    const { error: mediaError, media } = await prepareMedia(file, "cover");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
-    const { data: pub } = supabase.storage.from("community").getPublicUrl(storagePath);
-    const cover_image = pub.publicUrl;
+    const { media_url: cover_image } = await storeMedia("community", `community/${communityId}/cover_${Date.now()}`, media[0]);
+    const previous = await getCommunityById(communityId);
 
     const { data, error } = await supabase
       .from("communities")
@@ -1528,6 +1586,8 @@ router.post("/:id/cover", upload.single("cover"), async (req, res) => {
 
     if (error) throw error;
 
+    if (previous) await deleteStoredFiles([previous.cover_image]);
+
     res.json(data);
   } catch (err) {
     console.error("upload cover error:", err);
@@ -1540,13 +1600,10 @@ router.post("/:id/cover", upload.single("cover"), async (req, res) => {
 /**
  * Request to join a private community
  * POST /communities/:id/join-request
- * Body: { username }
  */
-router.post("/:id/join-request", async (req, res) => {
+router.post("/:id/join-request", requireAuth, matchIdentity("username"), validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
-  const { username } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+  const username = req.user.username;
 
   try {
     const community = await getCommunityById(communityId);
@@ -1582,15 +1639,13 @@ router.post("/:id/join-request", async (req, res) => {
 
 /**
  * Get join requests for a community (admin only)
- * GET /communities/:id/join-requests?actor=<username>&status=pending
+ * GET /communities/:id/join-requests?status=pending
  */
-router.get("/:id/join-requests", async (req, res) => {
+router.get("/:id/join-requests", requireAuth, matchIdentity("actor"), validateListJoinRequests, async (req, res) => {
   const communityId = Number(req.params.id);
-  const actor = (req.query.actor || "").trim();
+  const actor = req.user.username;
   const status = (req.query.status || "pending").trim();
 
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
-
   try {
     if (!(await isCommunityAdmin(communityId, actor))) {
       return res.status(403).json({ message: "Only admins can view join requests." });
@@ -1634,20 +1689,13 @@ router.get("/:id/join-requests", async (req, res) => {
 /**
  * Review a join request (admin only)
  * POST /communities/:id/join-requests/:requestId
- * Body: { actor, action: 'approve'|'reject' }
+ * Body: { action: 'approve'|'reject' }
  */
-router.post("/:id/join-requests/:requestId", async (req, res) => {
+router.post("/:id/join-requests/:requestId", requireAuth, matchIdentity("actor"), validateReviewJoinRequest, async (req, res) => {
   const communityId = Number(req.params.id);
   const requestId = Number(req.params.requestId);
-  const { actor, action } = req.body;
-
-  if (!actor || !action) {
-    return res.status(400).json({ message: "Missing actor or action." });
-  }
-
-  if (!["approve", "reject"].includes(action)) {
-    return res.status(400).json({ message: "Invalid action." });
-  }
+  const actor = req.user.username;
+  const { action } = req.body;
 
   try {
     if (!(await isCommunityAdmin(communityId, actor))) {
@@ -1764,7 +1812,7 @@ router.post("/:id/join-requests/:requestId", async (req, res) => {
  * Get events for a community
  * GET /communities/:id/events?viewer=<username>
  */
-router.get("/:id/events", optionalAuth, async (req, res) => {
+router.get("/:id/events", optionalAuth, validateCommunityId, async (req, res) => {
   const communityId = Number(req.params.id);
   const viewer = req.user ? req.user.username : null;
 
@@ -1845,7 +1893,7 @@ router.get("/:id/events", optionalAuth, async (req, res) => {
  * Get a specific event from a community
  * GET /communities/:id/events/:eventId?viewer=<username>
  */
-router.get("/:id/events/:eventId", optionalAuth, async (req, res) => {
+router.get("/:id/events/:eventId", optionalAuth, validateEventId, async (req, res) => {
   const communityId = Number(req.params.id);
   const eventId = Number(req.params.eventId);
   const viewer = req.user ? req.user.username : null;
@@ -1915,16 +1963,12 @@ router.get("/:id/events/:eventId", optionalAuth, async (req, res) => {
  * POST /communities/:id/events
  * FormData: { name, description?, location?, start_time, end_time?, image? }
  */
-router.post("/:id/events", requireAuth, upload.single("image"), async (req, res) => {
+router.post("/:id/events", requireAuth, upload.single("image"), validateCreateEvent, async (req, res) => {
   const communityId = Number(req.params.id);
   const creator = req.user.username;
   const { name, description, location, start_time, end_time } = req.body;
   const file = req.file;
 
-  if (!name || !start_time) {
-    return res.status(400).json({ message: "Missing name or start_time." });
-  }
-
   try {
     const community = await getCommunityById(communityId);
     if (!community) return res.status(404).json({ message: "Community not found." });
@@ -1934,22 +1978,12 @@ router.post("/:id/events", requireAuth, upload.single("image"), async (req, res)
       return res.status(403).json({ message: "Must be a member to create events." });
     }
 
-    let image_url = null;
-    if (file) {
-      const cleanName = file.originalname.replace(/[^\w.\-]+/g, "_");
-      const storagePath = `community_events/${communityId}/${Date.now()}_${cleanName}`;
-
-      const uploadRes = await supabase.storage
-        .from("posts")
-        .upload(storagePath, file.buffer, {
-          contentType: file.mimetype,
-          upsert: true,
-        });
-
-      if (uploadRes.error) throw uploadRes.error;
+    const { error: mediaError, media } = await prepareMedia(file, "event");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
-      const { data: pub } = supabase.storage.from("posts").getPublicUrl(storagePath);
-      image_url = pub.publicUrl;
+    let image_url = null;
+    if (media[0]) {
+      ({ media_url: image_url } = await storeMedia("posts", `community_events/${communityId}/${Date.now()}`, media[0]));
     }
 
     // Create the event
@@ -1997,7 +2031,7 @@ router.post("/:id/events", requireAuth, upload.single("image"), async (req, res)
  * PUT /communities/:id/events/:eventId
  * Body: { name?, description?, location?, start_time?, end_time? }
  */
-router.put("/:id/events/:eventId", requireAuth, async (req, res) => {
+router.put("/:id/events/:eventId", requireAuth, validateUpdateEvent, async (req, res) => {
   const communityId = Number(req.params.id);
   const eventId = Number(req.params.eventId);
   const actor = req.user.username;
@@ -2051,7 +2085,7 @@ router.put("/:id/events/:eventId", requireAuth, async (req, res) => {
  * Delete a community event (creator or admin only)
  * DELETE /communities/:id/events/:eventId
  */
-router.delete("/:id/events/:eventId", requireAuth, async (req, res) => {
+router.delete("/:id/events/:eventId", requireAuth, validateEventId, async (req, res) => {
   const communityId = Number(req.params.id);
   const eventId = Number(req.params.eventId);
   const actor = req.user.username;
@@ -2089,6 +2123,8 @@ router.delete("/:id/events/:eventId", requireAuth, async (req, res) => {
 
     if (delErr) throw delErr;
 
+    await deleteStoredFiles([event.image_url]);
+
     res.json({ message: "Event deleted." });
   } catch (err) {
     console.error("delete community event error:", err);
@@ -2101,16 +2137,12 @@ router.delete("/:id/events/:eventId", requireAuth, async (req, res) => {
  * POST /communities/:id/events/:eventId/respond
  * Body: { status: 'going' | 'interested' | 'not_going' }
  */
-router.post("/:id/events/:eventId/respond", requireAuth, async (req, res) => {
+router.post("/:id/events/:eventId/respond", requireAuth, validateEventResponse, async (req, res) => {
   const communityId = Number(req.params.id);
   const eventId = Number(req.params.eventId);
   const username = req.user.username;
   const { status } = req.body;
 
-  if (!status || !['going', 'interested', 'not_going'].includes(status)) {
-    return res.status(400).json({ message: "Invalid status. Use 'going', 'interested', or 'not_going'." });
-  }
-
   try {
     // Check if user is a member
     if (!(await isCommunityMember(communityId, username))) {
@@ -2160,7 +2192,7 @@ router.post("/:id/events/:eventId/respond", requireAuth, async (req, res) => {
  * Get participants for a community event
  * GET /communities/:id/events/:eventId/participants?status=going|interested
  */
-router.get("/:id/events/:eventId/participants", async (req, res) => {
+router.get("/:id/events/:eventId/participants", validateEventParticipants, async (req, res) => {
   const communityId = Number(req.params.id);
   const eventId = Number(req.params.eventId);
   const filterStatus = req.query.status;
@@ -2221,7 +2253,7 @@ router.get("/:id/events/:eventId/participants", async (req, res) => {
  * Get community chat messages
  * GET /communities/:id/chat/messages?viewer=<username>&limit=50
  */
-router.get("/:id/chat/messages", requireAuth, async (req, res) => {
+router.get("/:id/chat/messages", requireAuth, validateChatMessages, async (req, res) => {
   const communityId = Number(req.params.id);
   const viewer = req.user.username;
   const limit = Math.min(Number(req.query.limit || 50), 100);
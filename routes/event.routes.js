@@ -4,8 +4,69 @@ const multer = require("multer");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
 const { calculateDistance } = require("../utils/distance");
+const { prepareMedia, mediaStoragePath, storeMedia } = require("../utils/media");
+const { eventFileUrls, deleteStoredFiles } = require("../utils/storageCleanup");
+const { requireAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, integer, number, boolean, oneOf, id, username, dateTime } = require("../utils/schema");
 const upload = multer({ storage: multer.memoryStorage() });
 
+/* -------------------------------------------------------------------------- */
+/*                               REQUEST SCHEMAS                              */
+/* -------------------------------------------------------------------------- */
+
+const eventIdParams = object({ id: id() }, ["id"]);
+
+const validateEventId = validate({ params: eventIdParams });
+const validateUserEvents = validate({ params: object({ username: username() }, ["username"]) });
+const validateSearchEvents = validate({ query: object({ q: string({ maxLength: 100 }) }) });
+const validateCreateEvent = validate({
+   body: object(
+      {
+         name: string({ minLength: 1, maxLength: 200 }),
+         description: string({ maxLength: 5000, nullable: true }),
+         details: string({ maxLength: 10000, nullable: true }),
+         address: string({ minLength: 1, maxLength: 500 }),
+         date_start: dateTime(),
+         date_end: dateTime(),
+         latitude: number({ minimum: -90, maximum: 90, nullable: true }),
+         longitude: number({ minimum: -180, maximum: 180, nullable: true }),
+         entrance_fee: string({ maxLength: 100 }),
+         is_recurring: boolean(),
+         recurrence_pattern: string({ maxLength: 100, nullable: true }),
+         has_pricing_menu: boolean(),
+         max_participants: integer({ minimum: 1, nullable: true }),
+         image_url: string({ nullable: true }),
+         category: string({ maxLength: 100, nullable: true }),
+      },
+      ["name", "address", "date_start", "date_end"]
+   ),
+});
+const validateUpdateEvent = validate({
+   params: eventIdParams,
+   body: object({
+      date_start: dateTime(),
+      date_end: dateTime(),
+      address: string({ minLength: 1, maxLength: 500 }),
+   }),
+});
+const validateListEvents = validate({
+   query: object({
+      user_lat: number({ minimum: -90, maximum: 90 }),
+      user_lng: number({ minimum: -180, maximum: 180 }),
+      distance_km: number({ minimum: 0 }),
+   }),
+});
+const validateGetEvent = validate({ params: eventIdParams, query: object({ viewer: username() }) });
+const validateParticipate = validate({
+   params: eventIdParams,
+   body: object({ status: oneOf(["interested", "going"]) }),
+});
+const validateEventComment = validate({
+   params: eventIdParams,
+   body: object({ content: string({ minLength: 1, maxLength: 2000 }) }, ["content"]),
+});
+
 /* -------------------------------------------------------------------------- */
 /*                                   HELPERS                                  */
 /* -------------------------------------------------------------------------- */
@@ -31,7 +92,7 @@ async function getParticipants(eventId) {
 /*                      1. SEARCH – USER EVENTS – ORDER FIRST                 */
 /* -------------------------------------------------------------------------- */
 
-router.get("/search", async (req, res) => {
+router.get("/search", validateSearchEvents, async (req, res) => {
    const q = (req.query.q || "").trim();
    if (!q) return res.json([]);
 
@@ -52,7 +113,7 @@ router.get("/search", async (req, res) => {
 });
 
 /* Get events created by a user */
-router.get("/user/:username/created", async (req, res) => {
+router.get("/user/:username/created", validateUserEvents, async (req, res) => {
    try {
       const { data, error } = await supabase
          .from("events")
@@ -69,7 +130,7 @@ router.get("/user/:username/created", async (req, res) => {
 });
 
 /* Get events user is participating in */
-router.get("/user/:username/participating", async (req, res) => {
+router.get("/user/:username/participating", validateUserEvents, async (req, res) => {
    try {
       const { data: participation, error } = await supabase
          .from("event_participants")
@@ -97,7 +158,7 @@ router.get("/user/:username/participating", async (req, res) => {
 /*                         UPLOAD EVENT IMAGE (SUPABASE)                      */
 /* -------------------------------------------------------------------------- */
 
-router.post("/upload-image", upload.single("image"), async (req, res) => {
+router.post("/upload-image", requireAuth, upload.single("image"), async (req, res) => {
    console.log("🔥 FILE RECEIVED:", req.file);
 
    const file = req.file;
@@ -106,23 +167,15 @@ router.post("/upload-image", upload.single("image"), async (req, res) => {
    }
 
    try {
-      const fileName = `event_images/${Date.now()}_${file.originalname}`;
-
-      const { error: uploadErr } = await supabase.storage.from("posts").upload(fileName, file.buffer, {
-         contentType: file.mimetype,
-         upsert: true,
-      });
+      const { error: mediaError, media } = await prepareMedia(file, "event");
+      if (mediaError) return res.status(400).json({ message: mediaError });
 
-      if (uploadErr) {
-         console.error("Supabase upload error:", uploadErr);
-         return res.status(500).json({ message: "Failed to upload event image." });
-      }
-
-      const { data: publicUrlData } = supabase.storage.from("posts").getPublicUrl(fileName);
+      const basePath = `event_images/${Date.now()}`;
+      const { media_url } = await storeMedia("posts", basePath, media[0]);
 
       return res.json({
-         publicUrl: publicUrlData.publicUrl,
-         fileName,
+         publicUrl: media_url,
+         fileName: mediaStoragePath(basePath, media[0]),
       });
    } catch (err) {
       console.error("Upload event image error:", err);
@@ -134,9 +187,9 @@ router.post("/upload-image", upload.single("image"), async (req, res) => {
 /*                         2. CREATE EVENT (PRO ONLY)                         */
 /* -------------------------------------------------------------------------- */
 
-router.post("/", async (req, res) => {
+router.post("/", requireAuth, matchIdentity("hosted_by"), validateCreateEvent, async (req, res) => {
+   const hosted_by = req.user.username;
    const {
-      hosted_by,
       name,
       description,
       details,
@@ -155,9 +208,6 @@ router.post("/", async (req, res) => {
       category,
    } = req.body;
 
-   if (!hosted_by || !name || !address || !date_start || !date_end)
-      return res.status(400).json({ message: "Missing required fields." });
-
    try {
       // CHECK PRO
       const { data: user, error: userErr } = await supabase
@@ -205,12 +255,9 @@ router.post("/", async (req, res) => {
    }
 });
 
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireAuth, matchIdentity("username"), validateUpdateEvent, async (req, res) => {
    const id = Number(req.params.id);
-   const username = req.body.username;
-   if (!username) {
-      return res.status(400).json({ message: "Missing username." });
-   }
+   const username = req.user.username;
    const { date_start, date_end, address } = req.body;
    try {
       const { data: event, error: eventErr } = await supabase.from("events").select("hosted_by").eq("id", id).single();
@@ -245,30 +292,37 @@ router.put("/:id", async (req, res) => {
    }
 });
 
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAuth, matchIdentity("username"), validateEventId, async (req, res) => {
    const id = Number(req.params.id);
-   const username = req.query.username;
+   const username = req.user.username;
 
-   if (!username) return res.status(400).json({ message: "Missing username." });
+   try {
+      const { data: event } = await supabase.from("events").select("hosted_by").eq("id", id).single();
 
-   const { data: event } = await supabase.from("events").select("hosted_by").eq("id", id).single();
+      if (!event) return res.status(404).json({ message: "Event not found" });
 
-   if (!event) return res.status(404).json({ message: "Event not found" });
+      if (event.hosted_by !== username) {
+         return res.status(403).json({ message: "Only the host can delete this event." });
+      }
 
-   if (event.hosted_by !== username) {
-      return res.status(403).json({ message: "Only the host can delete this event." });
-   }
+      const fileUrls = await eventFileUrls(id);
+      const { error } = await supabase.from("events").delete().eq("id", id);
+      if (error) throw error;
 
-   await supabase.from("events").delete().eq("id", id);
+      await deleteStoredFiles(fileUrls);
 
-   res.json({ message: "Event deleted." });
+      res.json({ message: "Event deleted." });
+   } catch (err) {
+      console.error("Delete event error:", err);
+      res.status(500).json({ message: "Failed to delete event." });
+   }
 });
 
 /* -------------------------------------------------------------------------- */
 /*                          3. LIST EVENTS (with distance)                    */
 /* -------------------------------------------------------------------------- */
 
-router.get("/", async (req, res) => {
+router.get("/", validateListEvents, async (req, res) => {
    const { user_lat, user_lng, distance_km = 0 } = req.query;
 
    try {
@@ -311,7 +365,7 @@ router.get("/", async (req, res) => {
 /*       4. EVENT DETAILS + PARTICIPANTS + COMMENTS + VIEWER STATUS          */
 /* -------------------------------------------------------------------------- */
 
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateGetEvent, async (req, res) => {
    const id = Number(req.params.id);
    const viewer = req.query.viewer;
 
@@ -372,11 +426,10 @@ router.get("/:id", async (req, res) => {
 /*                        5. JOIN / LEAVE EVENT (CLEAN)                       */
 /* -------------------------------------------------------------------------- */
 
-router.post("/:id/participate", async (req, res) => {
+router.post("/:id/participate", requireAuth, matchIdentity("username"), validateParticipate, async (req, res) => {
    const id = Number(req.params.id);
-   const { username, status = "interested" } = req.body;
-
-   if (!username) return res.status(400).json({ message: "Missing username." });
+   const username = req.user.username;
+   const { status = "interested" } = req.body;
 
    try {
       const { data, error } = await supabase
@@ -394,11 +447,9 @@ router.post("/:id/participate", async (req, res) => {
    }
 });
 
-router.delete("/:id/leave", async (req, res) => {
+router.delete("/:id/leave", requireAuth, matchIdentity("username"), validateEventId, async (req, res) => {
    const id = Number(req.params.id);
-   const { username } = req.body;
-
-   if (!username) return res.status(400).json({ message: "Missing username." });
+   const username = req.user.username;
 
    try {
       await supabase.from("event_participants").delete().eq("event_id", id).eq("username", username);
@@ -413,27 +464,20 @@ router.delete("/:id/leave", async (req, res) => {
 /*                              6. COMMENTS CLEAN                             */
 /* -------------------------------------------------------------------------- */
 
-router.post("/:id/comments", upload.single("image"), async (req, res) => {
+router.post("/:id/comments", requireAuth, upload.single("image"), matchIdentity("author_username"), validateEventComment, async (req, res) => {
    const id = Number(req.params.id);
-   const { author_username, content } = req.body;
+   const author_username = req.user.username;
+   const { content } = req.body;
    const file = req.file;
 
-   if (!author_username || !content) return res.status(400).json({ message: "Missing content or author." });
-
    try {
-      let image_url = null;
+      const { error: mediaError, media } = await prepareMedia(file, "event");
+      if (mediaError) return res.status(400).json({ message: mediaError });
 
-      if (file) {
-         const fileName = `event_comments/${id}/${Date.now()}_${file.originalname}`;
-         const uploadRes = await supabase.storage.from("posts").upload(fileName, file.buffer, {
-            contentType: file.mimetype,
-            upsert: true,
-         });
-
-         if (uploadRes.error) throw uploadRes.error;
+      let image_url = null;
 
-         const { data } = supabase.storage.from("posts").getPublicUrl(fileName);
-         image_url = data.publicUrl;
+      if (media[0]) {
+         ({ media_url: image_url } = await storeMedia("posts", `event_comments/${id}/${Date.now()}`, media[0]));
       }
 
       const { data, error } = await supabase
@@ -451,7 +495,7 @@ router.post("/:id/comments", upload.single("image"), async (req, res) => {
    }
 });
 
-router.get("/:id/comments", async (req, res) => {
+router.get("/:id/comments", validateEventId, async (req, res) => {
    const id = Number(req.params.id);
 
    try {
@@ -2,6 +2,39 @@ const express = require("express");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
 const { calculateDistance } = require("../utils/distance");
+const { requireAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { object, string, number, boolean, array, oneOf, username, limit } = require("../utils/schema");
+
+/* ----------------------------- REQUEST SCHEMAS ----------------------------- */
+
+const validateUpdateStatus = validate({
+   body: object({
+      is_available: boolean(),
+      current_activity: string({ maxLength: 200, nullable: true }),
+      activities: array(string({ maxLength: 100 }), { maxItems: 50, nullable: true }),
+   }),
+});
+const validateUsernameParam = validate({ params: object({ username: username() }, ["username"]) });
+const validateUpdateLocation = validate({
+   body: object(
+      { latitude: number({ minimum: -90, maximum: 90 }), longitude: number({ minimum: -180, maximum: 180 }) },
+      ["latitude", "longitude"]
+   ),
+});
+const validateListHangouts = validate({
+   query: object({
+      limit: limit(100, 50),
+      distance_km: number({ minimum: 0 }),
+      user_lat: number({ minimum: -90, maximum: 90 }),
+      user_lng: number({ minimum: -180, maximum: 180 }),
+   }),
+});
+const validateSwipe = validate({
+   body: object({ target: username(), direction: oneOf(["left", "right"]) }, ["target", "direction"]),
+});
+const validateUndoSwipe = validate({ body: object({ target: username() }, ["target"]) });
 
 /* ----------------------------- HELPER FUNCTIONS ---------------------------- */
 
@@ -10,13 +43,12 @@ const { calculateDistance } = require("../utils/distance");
    ========================================================================== */
 
 /**
- * UPDATE HANGOUT STATUS
+ * UPDATE HANGOUT STATUS (authenticated user)
  * PUT /hangouts/status
  */
-router.put("/status", async (req, res) => {
-   const { username, is_available, current_activity, activities } = req.body;
-
-   if (!username) return res.status(400).json({ message: "Missing username." });
+router.put("/status", requireAuth, matchIdentity("username"), validateUpdateStatus, async (req, res) => {
+   const username = req.user.username;
+   const { is_available, current_activity, activities } = req.body;
 
    try {
       const payload = {
@@ -45,7 +77,7 @@ router.put("/status", async (req, res) => {
  * GET USER HANGOUT STATUS
  * GET /hangouts/status/:username
  */
-router.get("/status/:username", async (req, res) => {
+router.get("/status/:username", validateUsernameParam, async (req, res) => {
    const { username } = req.params;
 
    try {
@@ -76,14 +108,13 @@ router.get("/status/:username", async (req, res) => {
    ========================================================================== */
 
 /**
- * UPDATE LOCATION
+ * UPDATE LOCATION (authenticated user)
  * PUT /hangouts/location
  */
-router.put("/location", async (req, res) => {
+router.put("/location", requireAuth, matchIdentity("username"), validateUpdateLocation, async (req, res) => {
    try {
-      const { username, latitude, longitude } = req.body;
-
-      if (!username) return res.status(400).json({ error: "username is required" });
+      const username = req.user.username;
+      const { latitude, longitude } = req.body;
 
       const { error } = await supabase
          .from("users")
@@ -139,7 +170,7 @@ router.get("/locations", async (req, res) => {
    3) GET USERS AVAILABLE FOR HANGOUT (TINDER FEATURE)
    ========================================================================== */
 
-router.get("/", async (req, res) => {
+router.get("/", validateListHangouts, async (req, res) => {
    const limit = Math.min(Number(req.query.limit || 50), 100);
    const distanceKm = Number(req.query.distance_km || 0);
    const userLat = req.query.user_lat ? Number(req.query.user_lat) : null;
@@ -200,11 +231,10 @@ router.get("/", async (req, res) => {
 });
 
 ///POST /hangouts/swipe
-router.post("/swipe", async (req, res) => {
+router.post("/swipe", requireAuth, rateLimit("swipes"), matchIdentity("swiper"), validateSwipe, async (req, res) => {
    console.log(">>> SWIPE REQUEST BODY:", req.body);
-   const { swiper, target, direction } = req.body;
-
-   if (!swiper || !target || !direction) return res.status(400).json({ message: "Missing fields" });
+   const swiper = req.user.username;
+   const { target, direction } = req.body;
 
    const { error } = await supabase
       .from("user_swipes")
@@ -216,12 +246,10 @@ router.post("/swipe", async (req, res) => {
 });
 
 // DELETE swipe
-router.delete("/swipe", async (req, res) => {
-   const { swiper, target } = req.body;
+router.delete("/swipe", requireAuth, matchIdentity("swiper"), validateUndoSwipe, async (req, res) => {
+   const swiper = req.user.username;
+   const { target } = req.body;
 
-   if (!swiper || !target) {
-      return res.status(400).json({ message: "Missing fields" });
-   }
    try {
       const { error } = await supabase
          .from("user_swipes")
@@ -239,9 +267,9 @@ router.delete("/swipe", async (req, res) => {
    }
 });
 
-//GET /hangouts/swipe/right?username=khanh
-router.get("/swipe/right", async (req, res) => {
-   const username = req.query.username;
+//GET /hangouts/swipe/right (authenticated user's right swipes)
+router.get("/swipe/right", requireAuth, matchIdentity("username"), async (req, res) => {
+   const username = req.user.username;
 
    const { data, error } = await supabase
       .from("user_swipes")
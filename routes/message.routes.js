@@ -1,10 +1,56 @@
 const express = require("express");
-const multer = require("multer");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
-const upload = multer({ storage: multer.memoryStorage() });
+const { requireAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { mediaUpload } = require("../middleware/upload.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { object, string, array, oneOf, id, username, limit, dateTime } = require("../utils/schema");
+const { prepareMedia, storeMedia } = require("../utils/media");
+const { mediaRowUrls, deleteStoredFiles } = require("../utils/storageCleanup");
+const upload = mediaUpload();
 const MSG_BUCKET = "chat-image";
 
+/* ------------------------------ Request schemas ----------------------------- */
+
+const conversationParams = object({ id: id() }, ["id"]);
+const reactionBody = object({ message_id: id(), emoji: string({ minLength: 1, maxLength: 32 }) }, ["message_id", "emoji"]);
+
+const validateConversationId = validate({ params: conversationParams });
+const validateCreateConversation = validate({
+  body: object(
+    {
+      type: oneOf(["dm", "group"]),
+      title: string({ maxLength: 100, nullable: true }),
+      members: array(username(), { maxItems: 256 }),
+    },
+    ["type"]
+  ),
+});
+const validateAddMembers = validate({
+  params: conversationParams,
+  body: object({ members: array(username(), { minItems: 1, maxItems: 256 }) }, ["members"]),
+});
+const validateRemoveMember = validate({ params: object({ id: id(), username: username() }, ["id", "username"]) });
+const validateListMessages = validate({
+  params: conversationParams,
+  query: object({ limit: limit(100, 30), before: dateTime() }),
+});
+const validateSendMessage = validate({
+  params: conversationParams,
+  body: object({ content: string({ maxLength: 5000, nullable: true }), reply_to_message_id: id({ nullable: true }) }),
+});
+const validateSendMedia = validate({
+  params: conversationParams,
+  body: object({ content: string({ maxLength: 5000, nullable: true }) }),
+});
+const validateDeleteMessage = validate({ params: object({ id: id(), messageId: id() }, ["id", "messageId"]) });
+const validateMarkRead = validate({
+  params: conversationParams,
+  body: object({ up_to_message_id: id({ nullable: true }) }),
+});
+const validateReaction = validate({ params: conversationParams, body: reactionBody });
+
 /* --------------------------------- Helpers --------------------------------- */
 
 async function ensureUserExists(username) {
@@ -56,7 +102,7 @@ async function getMessageById(messageId) {
   const { data, error } = await supabase
     .from("messages")
     .select(
-      "id, conversation_id, sender_username, message_type, content, reply_to_message_id, created_at, updated_at, message_media(id, media_url, media_type, position)"
+      "id, conversation_id, sender_username, message_type, content, reply_to_message_id, created_at, updated_at, message_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec)"
     )
     .eq("id", messageId)
     .single();
@@ -64,17 +110,6 @@ async function getMessageById(messageId) {
   return data || null;
 }
 
-function storagePathFromPublicUrl(publicUrl, bucket = MSG_BUCKET) {
-  try {
-    const marker = `/object/public/${bucket}/`;
-    const idx = publicUrl.indexOf(marker);
-    if (idx === -1) return null;
-    return publicUrl.substring(idx + marker.length);
-  } catch {
-    return null;
-  }
-}
-
 /* ---------------------------- Conversations CRUD --------------------------- */
 
 /**
@@ -87,14 +122,12 @@ function storagePathFromPublicUrl(publicUrl, bucket = MSG_BUCKET) {
 /**
  * Create a conversation (dm or group); DM is unique per pair (re-use if exists)
  * POST /messages/conversations
- * Body: { type: 'dm'|'group', created_by, title?, members: string[] }
+ * Body: { type: 'dm'|'group', title?, members: string[] }
+ * The authenticated user is the creator.
  */
-router.post("/conversations", async (req, res) => {
-  const { type, created_by, title = null, members = [] } = req.body;
-
-  if (!type || !created_by) {
-    return res.status(400).json({ message: "Missing type or created_by." });
-  }
+router.post("/conversations", requireAuth, matchIdentity("created_by"), validateCreateConversation, async (req, res) => {
+  const created_by = req.user.username;
+  const { type, title = null, members = [] } = req.body;
 
   try {
     const uniqMembers = Array.from(new Set([created_by, ...members]));
@@ -178,13 +211,12 @@ router.post("/conversations", async (req, res) => {
 });
 
 /**
- * List conversations for a user with last message and unread count
- * GET /messages/conversations?user=<username>
+ * List conversations for the authenticated user with last message and unread count
+ * GET /messages/conversations
  * Uses view v_conversation_overview(username, conversation_id, last_message_at, unread_count)
  */
-router.get("/conversations", async (req, res) => {
-  const viewer = (req.query.user || "").trim();
-  if (!viewer) return res.status(400).json({ message: "Missing user." });
+router.get("/conversations", requireAuth, matchIdentity("user"), async (req, res) => {
+  const viewer = req.user.username;
 
   try {
     // Which conversations is the viewer in?
@@ -215,7 +247,7 @@ router.get("/conversations", async (req, res) => {
         message_type,
         content,
         created_at,
-        message_media(id, media_url, media_type, position),
+        message_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec),
         sender:users!messages_sender_username_fkey(id, username, name, avatar, email, country, city, status, bio, age, gender, interests, is_online)
 
       `)
@@ -398,12 +430,15 @@ router.get("/conversations", async (req, res) => {
 });
 
 /**
- * Get conversation detail
+ * Get conversation detail (members only)
  * GET /messages/conversations/:id
  */
-router.get("/conversations/:id", async (req, res) => {
+router.get("/conversations/:id", requireAuth, validateConversationId, async (req, res) => {
   const conversationId = Number(req.params.id);
   try {
+    if (!(await isMember(conversationId, req.user.username)))
+      return res.status(403).json({ message: "Not a member of this conversation." });
+
     const conv = await getConversationById(conversationId);
     if (!conv) return res.status(404).json({ message: "Conversation not found." });
     res.json(conv);
@@ -416,13 +451,12 @@ router.get("/conversations/:id", async (req, res) => {
 /**
  * Add members (admin only)
  * POST /messages/conversations/:id/members
- * Body: { actor, members: string[] }
+ * Body: { members: string[] }
  */
-router.post("/conversations/:id/members", async (req, res) => {
+router.post("/conversations/:id/members", requireAuth, matchIdentity("actor"), validateAddMembers, async (req, res) => {
   const conversationId = Number(req.params.id);
-  const { actor, members = [] } = req.body;
-
-  if (!actor || !members.length) return res.status(400).json({ message: "Missing actor or members." });
+  const actor = req.user.username;
+  const { members = [] } = req.body;
 
   try {
     if (!(await isAdmin(conversationId, actor)))
@@ -451,14 +485,11 @@ router.post("/conversations/:id/members", async (req, res) => {
 /**
  * Remove a member (admin or self)
  * DELETE /messages/conversations/:id/members/:username
- * Body: { actor }
  */
-router.delete("/conversations/:id/members/:username", async (req, res) => {
+router.delete("/conversations/:id/members/:username", requireAuth, matchIdentity("actor"), validateRemoveMember, async (req, res) => {
   const conversationId = Number(req.params.id);
   const target = req.params.username;
-  const { actor } = req.body;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
+  const actor = req.user.username;
 
   try {
     const isActorAdmin = await isAdmin(conversationId, actor);
@@ -483,15 +514,18 @@ router.delete("/conversations/:id/members/:username", async (req, res) => {
 /* --------------------------------- Messaging -------------------------------- */
 
 /**
- * List messages (paginated)
+ * List messages (paginated, members only)
  * GET /messages/conversations/:id/messages?limit=30&before=<ISO>
  */
-router.get("/conversations/:id/messages", async (req, res) => {
+router.get("/conversations/:id/messages", requireAuth, validateListMessages, async (req, res) => {
   const conversationId = Number(req.params.id);
   const limit = Math.min(Number(req.query.limit || 30), 100);
   const before = req.query.before ? new Date(req.query.before).toISOString() : null;
 
   try {
+    if (!(await isMember(conversationId, req.user.username)))
+      return res.status(403).json({ message: "Not a member of this conversation." });
+
     let query = supabase
       .from("messages")
       .select(`
@@ -503,7 +537,7 @@ router.get("/conversations/:id/messages", async (req, res) => {
         reply_to_message_id,
         created_at,
         updated_at,
-        message_media(id, media_url, media_type, position),
+        message_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec),
         sender:users!messages_sender_username_fkey(id, username, name, avatar)
       `)
       .eq("conversation_id", conversationId)
@@ -523,26 +557,30 @@ router.get("/conversations/:id/messages", async (req, res) => {
 });
 
 /**
- * Send a text message (with optional image)
+ * Send a text message (with optional image) as the authenticated user
  * POST /messages/conversations/:id/messages
- * FormData: { sender_username, content, reply_to_message_id?, image? (file) }
- * OR JSON: { sender_username, content, reply_to_message_id? }
+ * FormData: { content, reply_to_message_id?, image? (file) }
+ * OR JSON: { content, reply_to_message_id? }
  */
-router.post("/conversations/:id/messages", upload.single("image"), async (req, res) => {
+router.post("/conversations/:id/messages", requireAuth, rateLimit("messages"), upload.single("image"), matchIdentity("sender_username"), validateSendMessage, async (req, res) => {
   const conversationId = Number(req.params.id);
-  const { sender_username, content, reply_to_message_id = null } = req.body;
+  const sender_username = req.user.username;
+  const { content, reply_to_message_id = null } = req.body;
   const imageFile = req.file;
 
-  if (!sender_username || (!content && !reply_to_message_id && !imageFile)) {
-    return res.status(400).json({ message: "Missing sender or content." });
+  if (!content && !reply_to_message_id && !imageFile) {
+    return res.status(400).json({ message: "Missing content." });
   }
 
   try {
     if (!(await isMember(conversationId, sender_username)))
       return res.status(403).json({ message: "Not a member of this conversation." });
 
+    const { error: mediaError, media } = await prepareMedia(imageFile, "message", { user: req.user });
+    if (mediaError) return res.status(400).json({ message: mediaError });
+
     // Determine message type based on whether there's an image
-    const messageType = imageFile ? "image" : "text";
+    const messageType = media[0] ? media[0].kind : "text";
 
     // Create message
     const { data: message, error } = await supabase
@@ -564,28 +602,13 @@ router.post("/conversations/:id/messages", upload.single("image"), async (req, r
 
     // If there's an image, upload it and attach to message
     let messageMedia = null;
-    if (imageFile) {
-      const clean = imageFile.originalname.replace(/[^\w.\-]+/g, "_");
-      const storagePath = `conversations/${conversationId}/${message.id}/${Date.now()}_${clean}`;
-
-      const up = await supabase.storage
-        .from(MSG_BUCKET)
-        .upload(storagePath, imageFile.buffer, { contentType: imageFile.mimetype, upsert: true });
-      if (up.error) throw up.error;
-
-      const { data: pub } = supabase.storage.from(MSG_BUCKET).getPublicUrl(storagePath);
-      const media_url = pub.publicUrl;
-
-      const media_type = imageFile.mimetype.startsWith("video")
-        ? "video"
-        : imageFile.mimetype.startsWith("audio")
-        ? "audio"
-        : "image";
+    if (media[0]) {
+      const stored = await storeMedia(MSG_BUCKET, `conversations/${conversationId}/${message.id}/${Date.now()}`, media[0]);
 
       const ins = await supabase
         .from("message_media")
-        .insert([{ message_id: message.id, media_url, media_type, position: 0 }])
-        .select("id, message_id, media_url, media_type, position, created_at")
+        .insert([{ message_id: message.id, ...stored, position: 0 }])
+        .select("id, message_id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec, created_at")
         .single();
       if (ins.error) throw ins.error;
 
@@ -604,33 +627,34 @@ router.post("/conversations/:id/messages", upload.single("image"), async (req, r
  * Send a message with media attachments
  * POST /messages/conversations/:id/messages/media
  * Files: files[] (multi)
- * Body: { sender_username, content? }
+ * Body: { content? }
  *
- * Creates ONE message, attaches N media rows.
+ * Creates ONE message from the authenticated user, attaches N media rows.
  */
 router.post(
   "/conversations/:id/messages/media",
+  requireAuth,
+  rateLimit("messages"),
   upload.array("files", 10),
+  matchIdentity("sender_username"),
+  validateSendMedia,
   async (req, res) => {
     const conversationId = Number(req.params.id);
-    const { sender_username, content = null } = req.body;
+    const sender_username = req.user.username;
+    const { content = null } = req.body;
     const files = req.files || [];
 
-    if (!sender_username) return res.status(400).json({ message: "Missing sender_username." });
     if (!(await isMember(conversationId, sender_username)))
       return res.status(403).json({ message: "Not a member of this conversation." });
     if (!files.length && !content)
       return res.status(400).json({ message: "No files or content to send." });
 
     try {
+      const { error: mediaError, media } = await prepareMedia(files, "message", { user: req.user });
+      if (mediaError) return res.status(400).json({ message: mediaError });
+
       // Create message first (type based on first file or text)
-      const firstType = files[0]
-        ? files[0].mimetype.startsWith("video")
-          ? "video"
-          : files[0].mimetype.startsWith("audio")
-          ? "audio"
-          : "image"
-        : "text";
+      const firstType = media[0] ? media[0].kind : "text";
 
       const { data: msg, error: mErr } = await supabase
         .from("messages")
@@ -648,29 +672,13 @@ router.post(
 
       // Upload & attach media
       const attachments = [];
-      for (let i = 0; i < files.length; i++) {
-        const f = files[i];
-        const clean = f.originalname.replace(/[^\w.\-]+/g, "_");
-        const storagePath = `conversations/${conversationId}/${msg.id}/${Date.now()}_${i}_${clean}`;
-
-        const up = await supabase.storage
-          .from(MSG_BUCKET)
-          .upload(storagePath, f.buffer, { contentType: f.mimetype, upsert: true });
-        if (up.error) throw up.error;
-
-        const { data: pub } = supabase.storage.from(MSG_BUCKET).getPublicUrl(storagePath);
-        const media_url = pub.publicUrl;
-
-        const media_type = f.mimetype.startsWith("video")
-          ? "video"
-          : f.mimetype.startsWith("audio")
-          ? "audio"
-          : "image";
+      for (let i = 0; i < media.length; i++) {
+        const stored = await storeMedia(MSG_BUCKET, `conversations/${conversationId}/${msg.id}/${Date.now()}_${i}`, media[i]);
 
         const ins = await supabase
           .from("message_media")
-          .insert([{ message_id: msg.id, media_url, media_type, position: i }])
-          .select("id, message_id, media_url, media_type, position, created_at")
+          .insert([{ message_id: msg.id, ...stored, position: i }])
+          .select("id, message_id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec, created_at")
           .single();
         if (ins.error) throw ins.error;
 
@@ -689,14 +697,11 @@ router.post(
 /**
  * Delete a message (author only)
  * DELETE /messages/conversations/:id/messages/:messageId
- * Body: { actor }
  */
-router.delete("/conversations/:id/messages/:messageId", async (req, res) => {
+router.delete("/conversations/:id/messages/:messageId", requireAuth, matchIdentity("actor"), validateDeleteMessage, async (req, res) => {
   const conversationId = Number(req.params.id);
   const messageId = Number(req.params.messageId);
-  const { actor } = req.body;
-
-  if (!actor) return res.status(400).json({ message: "Missing actor." });
+  const actor = req.user.username;
 
   try {
     const msg = await getMessageById(messageId);
@@ -711,6 +716,8 @@ router.delete("/conversations/:id/messages/:messageId", async (req, res) => {
     const delMsg = await supabase.from("messages").delete().eq("id", messageId);
     if (delMsg.error) throw delMsg.error;
 
+    await deleteStoredFiles(mediaRowUrls(msg.message_media));
+
     res.json({ message: "Message deleted." });
   } catch (err) {
     console.error("delete message error:", err);
@@ -721,15 +728,14 @@ router.delete("/conversations/:id/messages/:messageId", async (req, res) => {
 /* --------------------------------- Read state -------------------------------- */
 
 /**
- * Mark messages as read up to a point
+ * Mark messages as read up to a point for the authenticated user
  * POST /messages/conversations/:id/read
- * Body: { username, up_to_message_id? }
+ * Body: { up_to_message_id? }
  */
-router.post("/conversations/:id/read", async (req, res) => {
+router.post("/conversations/:id/read", requireAuth, matchIdentity("username"), validateMarkRead, async (req, res) => {
   const conversationId = Number(req.params.id);
-  const { username, up_to_message_id = null } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+  const username = req.user.username;
+  const { up_to_message_id = null } = req.body;
 
   try {
     if (!(await isMember(conversationId, username)))
@@ -765,16 +771,14 @@ router.post("/conversations/:id/read", async (req, res) => {
 /* --------------------------------- Reactions -------------------------------- */
 
 /**
- * Add a reaction
+ * Add a reaction as the authenticated user
  * POST /messages/conversations/:id/reactions
- * Body: { message_id, username, emoji }
+ * Body: { message_id, emoji }
  */
-router.post("/conversations/:id/reactions", async (req, res) => {
+router.post("/conversations/:id/reactions", requireAuth, matchIdentity("username"), validateReaction, async (req, res) => {
   const conversationId = Number(req.params.id);
-  const { message_id, username, emoji } = req.body;
-
-  if (!message_id || !username || !emoji)
-    return res.status(400).json({ message: "Missing message_id, username or emoji." });
+  const username = req.user.username;
+  const { message_id, emoji } = req.body;
 
   try {
     const msg = await getMessageById(Number(message_id));
@@ -798,16 +802,14 @@ router.post("/conversations/:id/reactions", async (req, res) => {
 });
 
 /**
- * Remove a reaction
+ * Remove a reaction of the authenticated user
  * DELETE /messages/conversations/:id/reactions
- * Body: { message_id, username, emoji }
+ * Body: { message_id, emoji }
  */
-router.delete("/conversations/:id/reactions", async (req, res) => {
+router.delete("/conversations/:id/reactions", requireAuth, matchIdentity("username"), validateReaction, async (req, res) => {
   const conversationId = Number(req.params.id);
-  const { message_id, username, emoji } = req.body;
-
-  if (!message_id || !username || !emoji)
-    return res.status(400).json({ message: "Missing message_id, username or emoji." });
+  const username = req.user.username;
+  const { message_id, emoji } = req.body;
 
   try {
     const msg = await getMessageById(Number(message_id));
@@ -1,47 +1,42 @@
 const express = require("express");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
+const { requireAuth, matchIdentity, requireRole } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, boolean, array, id, username, limit } = require("../utils/schema");
+const { createNotification } = require("../utils/notifications");
 
-/* --------------------------------- Helpers --------------------------------- */
+/* ------------------------------ Request schemas ----------------------------- */
 
-async function createNotification(recipientUsername, type, content, data = {}, senderUsername = null, title = null) {
-  try {
-    const { data: notification, error } = await supabase
-      .from("notifications")
-      .insert([
-        {
-          recipient_username: recipientUsername,
-          sender_username: senderUsername,
-          type,
-          title,
-          content,
-          data,
-        },
-      ])
-      .select("*")
-      .single();
-
-    if (error) throw error;
-    return notification;
-  } catch (err) {
-    console.error("create notification error:", err);
-    return null;
-  }
-}
+const validateListNotifications = validate({ query: object({ limit: limit(100, 50), unread_only: boolean() }) });
+const validateMarkRead = validate({
+  body: object({ notification_ids: array(id(), { maxItems: 500 }), all: boolean() }),
+});
+const validateNotificationId = validate({ params: object({ id: id() }, ["id"]) });
+const validateCreateNotification = validate({
+  body: object(
+    {
+      recipient_username: username(),
+      type: string({ minLength: 1, maxLength: 50 }),
+      title: string({ maxLength: 200, nullable: true }),
+      content: string({ minLength: 1, maxLength: 2000 }),
+      data: object({}),
+    },
+    ["recipient_username", "type", "content"]
+  ),
+});
 
 /* ---------------------------- Get Notifications ---------------------------- */
 
 /**
- * Get notifications for a user
- * GET /notifications?username=<username>&limit=50&unread_only=false
+ * Get notifications for the authenticated user
+ * GET /notifications?limit=50&unread_only=false
  */
-router.get("/", async (req, res) => {
-  const username = (req.query.username || "").trim();
+router.get("/", requireAuth, matchIdentity("username"), validateListNotifications, async (req, res) => {
+  const username = req.user.username;
   const limit = Math.min(Number(req.query.limit || 50), 100);
   const unreadOnly = String(req.query.unread_only || "false") === "true";
 
-  if (!username) return res.status(400).json({ message: "Missing username." });
-
   try {
     let query = supabase
       .from("notifications")
@@ -65,13 +60,11 @@ router.get("/", async (req, res) => {
 });
 
 /**
- * Get unread notification count
- * GET /notifications/unread-count?username=<username>
+ * Get unread notification count for the authenticated user
+ * GET /notifications/unread-count
  */
-router.get("/unread-count", async (req, res) => {
-  const username = (req.query.username || "").trim();
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.get("/unread-count", requireAuth, matchIdentity("username"), async (req, res) => {
+  const username = req.user.username;
 
   try {
     const { count, error } = await supabase
@@ -91,12 +84,11 @@ router.get("/unread-count", async (req, res) => {
 /**
  * Mark notification(s) as read
  * PUT /notifications/mark-read
- * Body: { username, notification_ids?: number[], all?: boolean }
+ * Body: { notification_ids?: number[], all?: boolean }
  */
-router.put("/mark-read", async (req, res) => {
-  const { username, notification_ids = [], all = false } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.put("/mark-read", requireAuth, matchIdentity("username"), validateMarkRead, async (req, res) => {
+  const username = req.user.username;
+  const { notification_ids = [], all = false } = req.body;
 
   try {
     if (all) {
@@ -129,15 +121,12 @@ router.put("/mark-read", async (req, res) => {
 });
 
 /**
- * Delete a notification
+ * Delete a notification of the authenticated user
  * DELETE /notifications/:id
- * Body: { username }
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAuth, matchIdentity("username"), validateNotificationId, async (req, res) => {
   const notificationId = Number(req.params.id);
-  const { username } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+  const username = req.user.username;
 
   try {
     const { error } = await supabase
@@ -157,14 +146,12 @@ router.delete("/:id", async (req, res) => {
 /**
  * Create a notification (for testing or internal use)
  * POST /notifications
- * Body: { recipient_username, sender_username?, type, title?, content, data? }
+ * Body: { recipient_username, type, title?, content, data? }
+ * Platform admins only (e.g. announcements); the sender is the authenticated admin.
  */
-router.post("/", async (req, res) => {
-  const { recipient_username, sender_username, type, title, content, data = {} } = req.body;
-
-  if (!recipient_username || !type || !content) {
-    return res.status(400).json({ message: "Missing required fields." });
-  }
+router.post("/", requireAuth, requireRole("admin"), validateCreateNotification, async (req, res) => {
+  const sender_username = req.user.username;
+  const { recipient_username, type, title, content, data = {} } = req.body;
 
   try {
     const notification = await createNotification(
@@ -188,4 +175,3 @@ router.post("/", async (req, res) => {
 });
 
 module.exports = router;
-module.exports.createNotification = createNotification;
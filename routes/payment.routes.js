@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
+const { requireAuth, matchIdentity, invalidateUserProfile } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, number, oneOf } = require("../utils/schema");
 
 // Initialize Stripe with secret key from environment
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY || "");
@@ -13,6 +16,22 @@ async function getUserByUsername(username) {
   return data || null;
 }
 
+/* ------------------------------- Request schemas ------------------------------ */
+
+const validateCreatePaymentIntent = validate({
+  body: object({ amount: number({ minimum: 0.01, maximum: 100000 }) }),
+});
+const validateSubscribe = validate({
+  body: object(
+    {
+      plan_type: string({ minLength: 1 }),
+      payment_method: oneOf(["test", "stripe"]),
+      payment_intent_id: string({ maxLength: 255 }),
+    },
+    ["plan_type"]
+  ),
+});
+
 /* -------------------------------- Payment Plans ------------------------------- */
 
 /**
@@ -68,16 +87,13 @@ router.get("/plans", async (req, res) => {
 /* --------------------------- Stripe Payment Intent ---------------------------- */
 
 /**
- * Create a Stripe payment intent
+ * Create a Stripe payment intent for the authenticated user
  * POST /payments/create-payment-intent
- * Body: { username, amount?: number }
+ * Body: { amount?: number }
  */
-router.post("/create-payment-intent", async (req, res) => {
-  const { username, amount = 1 } = req.body;
-
-  if (!username) {
-    return res.status(400).json({ message: "Missing username." });
-  }
+router.post("/create-payment-intent", requireAuth, matchIdentity("username"), validateCreatePaymentIntent, async (req, res) => {
+  const username = req.user.username;
+  const { amount = 1 } = req.body;
 
   try {
     // Verify user exists
@@ -118,12 +134,11 @@ router.post("/create-payment-intent", async (req, res) => {
 /* ------------------------------- Subscriptions -------------------------------- */
 
 /**
- * Get user's current subscription
- * GET /payments/subscription?username=johndoe
+ * Get the authenticated user's current subscription
+ * GET /payments/subscription
  */
-router.get("/subscription", async (req, res) => {
-  const username = (req.query.username || "").trim();
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.get("/subscription", requireAuth, matchIdentity("username"), async (req, res) => {
+  const username = req.user.username;
 
   try {
     const { data: subscription, error } = await supabase
@@ -178,6 +193,7 @@ router.get("/subscription", async (req, res) => {
           theme_preference: "blue",
         })
         .eq("username", username);
+      invalidateUserProfile(req.user.id);
 
       return res.json(updated);
     }
@@ -190,16 +206,13 @@ router.get("/subscription", async (req, res) => {
 });
 
 /**
- * Subscribe to Pro plan (Test Payment)
+ * Subscribe the authenticated user to Pro plan (Test Payment)
  * POST /payments/subscribe
- * Body: { username, plan_type: 'pro', payment_method: 'test' | 'stripe', payment_intent_id?: string }
+ * Body: { plan_type: 'pro', payment_method: 'test' | 'stripe', payment_intent_id?: string }
  */
-router.post("/subscribe", async (req, res) => {
-  const { username, plan_type, payment_method = "test", payment_intent_id } = req.body;
-
-  if (!username || !plan_type) {
-    return res.status(400).json({ message: "Missing username or plan_type." });
-  }
+router.post("/subscribe", requireAuth, matchIdentity("username"), validateSubscribe, async (req, res) => {
+  const username = req.user.username;
+  const { plan_type, payment_method = "test", payment_intent_id } = req.body;
 
   if (plan_type !== "pro") {
     return res.status(400).json({ message: "Only Pro plan can be subscribed to." });
@@ -312,6 +325,7 @@ router.post("/subscribe", async (req, res) => {
       .eq("username", username);
 
     if (userErr) throw userErr;
+    invalidateUserProfile(req.user.id);
 
     res.json({
       subscription,
@@ -325,14 +339,11 @@ router.post("/subscribe", async (req, res) => {
 });
 
 /**
- * Cancel subscription (downgrade to free)
+ * Cancel the authenticated user's subscription (downgrade to free)
  * POST /payments/cancel
- * Body: { username }
  */
-router.post("/cancel", async (req, res) => {
-  const { username } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.post("/cancel", requireAuth, matchIdentity("username"), async (req, res) => {
+  const username = req.user.username;
 
   try {
     // Update subscription to cancelled
@@ -360,6 +371,7 @@ router.post("/cancel", async (req, res) => {
       .eq("username", username);
 
     if (userErr) throw userErr;
+    invalidateUserProfile(req.user.id);
 
     res.json({
       subscription,
@@ -374,12 +386,11 @@ router.post("/cancel", async (req, res) => {
 /* ---------------------------- Payment History --------------------------------- */
 
 /**
- * Get payment transaction history
- * GET /payments/history?username=johndoe
+ * Get the authenticated user's payment transaction history
+ * GET /payments/history
  */
-router.get("/history", async (req, res) => {
-  const username = (req.query.username || "").trim();
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.get("/history", requireAuth, matchIdentity("username"), async (req, res) => {
+  const username = req.user.username;
 
   try {
     const { data: transactions, error } = await supabase
@@ -1,20 +1,124 @@
 const express = require("express");
-const multer = require("multer");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
-const { requireAuth } = require("../middleware/auth.middleware");
-const upload = multer({ storage: multer.memoryStorage() });
+const { requireAuth, optionalAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { mediaUpload } = require("../middleware/upload.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { object, string, integer, boolean, oneOf, id, limit, dateTime } = require("../utils/schema");
+const { encodeCursor, decodeCursor, preciseTimestamp } = require("../utils/cursor");
+const { buildFeed } = require("../utils/feed");
+const {
+  AUDIENCES,
+  DEFAULT_AUDIENCE,
+  DRAFT_STATUSES,
+  olderPostsFilter,
+  fetchVisiblePosts,
+  canViewPost,
+} = require("../utils/postVisibility");
+const { normalizeHashtag, MAX_TAG_LENGTH } = require("../utils/postTags");
+const { communityPostStatus, isCommunityMember, indexPostTags, publishPost } = require("../utils/postPublishing");
+const { REACTIONS, recomputePostReactions, getViewerReactions } = require("../utils/postReactions");
+const {
+  resolveShareTarget,
+  checkShareReach,
+  defaultShareAudience,
+  recomputeShareCount,
+  attachSharedPosts,
+} = require("../utils/postShares");
+const { createNotification } = require("../utils/notifications");
+const { prepareMedia, storeMedia } = require("../utils/media");
+const { mediaRowUrls, mediaUrlsOf, deleteStoredFiles } = require("../utils/storageCleanup");
+const {
+  loadRevisionSnapshot,
+  isMediaEdit,
+  recordPostRevision,
+  canViewRevisions,
+  listPostRevisions,
+} = require("../utils/postRevisions");
+const upload = mediaUpload();
+
+// ------------------------------- Request schemas -------------------------------
+
+const postIdParams = object({ id: id() }, ["id"]);
+
+const postFields = {
+  content: string({ maxLength: 10000, nullable: true }),
+  audience: oneOf(AUDIENCES),
+  disable_comments: boolean(),
+  hide_like_count: boolean(),
+  community_id: id({ nullable: true }),
+};
+
+const validatePostId = validate({ params: postIdParams });
+// ?before=&before_id=: created_at and id of the last post of the previous page
+const pageQuery = () => ({
+  before: dateTime(),
+  before_id: id({ description: "id of the last post of the previous page (with before)" }),
+});
+const validateListPosts = validate({ query: object({ limit: limit(100), ...pageQuery() }) });
+const validateFeed = validate({ query: object({ limit: limit(50), cursor: string({ maxLength: 500 }) }) });
+const validateSearchPosts = validate({
+  query: object({ q: string({ minLength: 1, maxLength: 200 }), limit: limit(100), ...pageQuery() }, ["q"]),
+});
+const validateTrendingHashtags = validate({
+  query: object({
+    hours: integer({ minimum: 1, maximum: 168, default: 24, description: "Sliding window in hours" }),
+    limit: limit(50, 10),
+  }),
+});
+const validateHashtagPosts = validate({
+  params: object({ tag: string({ minLength: 1, maxLength: MAX_TAG_LENGTH + 1 }) }, ["tag"]),
+  query: object({ limit: limit(100), ...pageQuery() }),
+});
+const validateReact = validate({ params: postIdParams, body: object({ reaction: oneOf(REACTIONS) }, ["reaction"]) });
+const validateListReactions = validate({
+  params: postIdParams,
+  query: object({ type: oneOf(REACTIONS), limit: limit(500, 100) }),
+});
+const validateDeleteMedia = validate({ params: object({ id: id(), mediaId: id() }, ["id", "mediaId"]) });
+const publishAt = () =>
+  dateTime({ nullable: true, description: "Schedule the post for this future time (null turns it back into a draft)" });
+const validateCreatePost = validate({
+  body: object({
+    ...postFields,
+    status: oneOf(["draft"], { nullable: true, description: "Saves a draft; every other status is set by the server" }),
+    publish_at: publishAt(),
+  }),
+});
+const validateUpdatePost = validate({ params: postIdParams, body: object({ ...postFields, publish_at: publishAt() }) });
+const validateListDrafts = validate({ query: object({ limit: limit(100, 50) }) });
+const validateListRevisions = validate({
+  params: postIdParams,
+  query: object({
+    limit: limit(100, 20),
+    before: integer({ minimum: 1, description: "Only revisions older than this revision number" }),
+  }),
+});
+const validateSharePost = validate({
+  params: postIdParams,
+  body: object({
+    content: string({ maxLength: 10000, nullable: true, description: "Quote text; leave empty for a plain repost" }),
+    audience: oneOf(AUDIENCES),
+    community_id: id({ nullable: true }),
+  }),
+});
 
 // ----------------------------- Utilities & Helpers -----------------------------
 
+// Where a page of ?before=&before_id= starts (see olderPostsFilter)
+function pageStart({ before, before_id }) {
+  return before ? { created_at: preciseTimestamp(before), id: before_id ?? null } : null;
+}
+
 async function getPostById(postId) {
   const { data, error } = await supabase
     .from("posts")
     .select(
-      "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, comment_count, created_at, updated_at, post_media(id, media_url, media_type, position), community_id"
+      "id, author_username, content, status, publish_at, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, created_at, updated_at, edited_at, post_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec), community_id"
     )
     .eq("id", postId)
-    .single();
+    .maybeSingle();
   if (error) throw error;
   return data || null;
 }
@@ -33,126 +137,328 @@ async function enrichPostWithAuthor(post) {
   };
 }
 
-async function recomputePostLikeCount(postId) {
-  const { count, error } = await supabase
-    .from("post_likes")
-    .select("id", { count: "exact", head: true })
-    .eq("post_id", postId);
+// Attach media and author name/avatar to a list of posts and, for a viewer, their reaction to each one
+async function enrichPosts(posts, viewer = null) {
+  if (posts.length === 0) return [];
 
-  if (error) throw error;
+  const postIds = posts.map((p) => p.id);
+  const authorUsernames = [...new Set(posts.map((p) => p.author_username).filter(Boolean))];
 
-  const { error: updErr } = await supabase
-    .from("posts")
-    .update({ like_count: count || 0 })
-    .eq("id", postId);
+  // Fetch media
+  const { data: media, error: mediaErr } = await supabase
+    .from("post_media")
+    .select("id, post_id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec")
+    .in("post_id", postIds)
+    .order("position", { ascending: true });
+
+  if (mediaErr) throw mediaErr;
+
+  // Fetch authors
+  let users = [];
+  if (authorUsernames.length > 0) {
+    const { data: usersData, error: usersErr } = await supabase
+      .from("users")
+      .select("username, name, avatar")
+      .in("username", authorUsernames);
 
-  if (updErr) throw updErr;
-  return count || 0;
+    if (usersErr) throw usersErr;
+    users = usersData || [];
+  }
+
+  // Fetch the viewer's reactions
+  const reactions = await getViewerReactions(postIds, viewer);
+
+  const userMap = new Map(users.map((u) => [u.username, u]));
+  const mediaMap = new Map();
+  (media || []).forEach((m) => {
+    const arr = mediaMap.get(m.post_id) || [];
+    arr.push(m);
+    mediaMap.set(m.post_id, arr);
+  });
+
+  const enriched = posts.map((p) => {
+    const author = userMap.get(p.author_username) || null;
+    return {
+      ...p,
+      post_media: mediaMap.get(p.id) || [],
+      authorAvatar: author ? author.avatar : null,
+      authorDisplayName: author ? author.name || author.username : p.author_username,
+      ...(viewer && { isLikedByViewer: reactions.has(p.id), viewerReaction: reactions.get(p.id) || null }),
+    };
+  });
+
+  // Originals of shares
+  return attachSharedPosts(enriched, viewer);
 }
 
 // ------------------------------- Get Posts Feed --------------------------------
 
 /**
  * Get posts feed with author information
- * GET /posts?limit=20&before=<ISO>
+ * GET /posts?limit=20&before=<created_at>&before_id=<id>
+ * Only posts the caller may see are returned (see utils/postVisibility.js).
  */
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, validateListPosts, async (req, res) => {
   const limit = Math.min(Number(req.query.limit || 20), 100);
-  const before = req.query.before ? new Date(req.query.before).toISOString() : null;
+  const before = pageStart(req.query);
+  const viewer = req.user ? req.user.username : null;
 
   try {
-    let query = supabase
+    const posts = await fetchVisiblePosts(
+      (cursor, batchSize) => {
+        let query = supabase
+          .from("posts")
+          .select(
+            "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
+          )
+          .order("created_at", { ascending: false })
+          .order("id", { ascending: false })
+          .limit(batchSize);
+
+        if (cursor) {
+          query = query.or(olderPostsFilter(cursor));
+        }
+
+        return query;
+      },
+      viewer,
+      { limit, before }
+    );
+
+    if (posts.length === 0) {
+      return res.json([]);
+    }
+
+    res.json(await enrichPosts(posts, viewer));
+  } catch (err) {
+    console.error("get posts feed error:", err);
+    res.status(500).json({ message: "Server error while fetching posts." });
+  }
+});
+
+// ------------------------------- Home feed -------------------------------------
+
+/**
+ * Personalized home feed for the authenticated user
+ * Own posts, people they follow, communities they joined and trending posts,
+ * ranked by recency, engagement and relationship strength (see utils/feed.js).
+ * GET /posts/feed?limit=20&cursor=<next_cursor>
+ * Returns: { posts, next_cursor } - each post carries feed_reason (own | following | community | trending)
+ */
+router.get("/feed", requireAuth, validateFeed, async (req, res) => {
+  const viewer = req.user.username;
+
+  let after = null;
+  if (req.query.cursor) {
+    after = decodeCursor(req.query.cursor, ["now", "score", "id"]);
+    if (after && ![after.now, after.score, after.id].every(Number.isFinite)) after = null;
+    if (!after) return res.status(400).json({ message: "Invalid cursor." });
+  }
+
+  try {
+    const { posts, next } = await buildFeed(viewer, { limit: req.query.limit, after });
+
+    res.json({
+      posts: await enrichPosts(posts, viewer),
+      next_cursor: next ? encodeCursor(next) : null,
+    });
+  } catch (err) {
+    console.error("get home feed error:", err);
+    res.status(500).json({ message: "Server error while fetching feed." });
+  }
+});
+
+// ------------------------------- Drafts & scheduled posts ----------------------
+
+/**
+ * The authenticated user's drafts, most recently edited first
+ * GET /posts/drafts?limit=50
+ */
+router.get("/drafts", requireAuth, validateListDrafts, async (req, res) => {
+  const username = req.user.username;
+
+  try {
+    const { data: posts, error } = await supabase
       .from("posts")
       .select(
-        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, comment_count, community_id, created_at, updated_at"
+        "id, author_username, content, status, publish_at, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
       )
+      .eq("author_username", username)
+      .eq("status", "draft")
+      .order("updated_at", { ascending: false, nullsFirst: false })
       .order("created_at", { ascending: false })
-      .limit(limit);
+      .limit(req.query.limit);
+    if (error) throw error;
 
-    if (before) {
-      query = query.lt("created_at", before);
-    }
+    res.json(await enrichPosts(posts || [], username));
+  } catch (err) {
+    console.error("list drafts error:", err);
+    res.status(500).json({ message: "Server error while fetching drafts." });
+  }
+});
 
-    const { data: posts, error: postsErr } = await query;
-    if (postsErr) throw postsErr;
+/**
+ * The authenticated user's scheduled posts, next to be published first
+ * GET /posts/scheduled?limit=50
+ */
+router.get("/scheduled", requireAuth, validateListDrafts, async (req, res) => {
+  const username = req.user.username;
 
-    if (!posts || posts.length === 0) {
-      return res.json([]);
-    }
+  try {
+    const { data: posts, error } = await supabase
+      .from("posts")
+      .select(
+        "id, author_username, content, status, publish_at, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
+      )
+      .eq("author_username", username)
+      .eq("status", "scheduled")
+      .order("publish_at", { ascending: true })
+      .limit(req.query.limit);
+    if (error) throw error;
 
-    const postIds = posts.map((p) => p.id);
-    const authorUsernames = [...new Set(posts.map((p) => p.author_username).filter(Boolean))];
+    res.json(await enrichPosts(posts || [], username));
+  } catch (err) {
+    console.error("list scheduled posts error:", err);
+    res.status(500).json({ message: "Server error while fetching scheduled posts." });
+  }
+});
 
-    // Fetch media
-    const { data: media, error: mediaErr } = await supabase
-      .from("post_media")
-      .select("id, post_id, media_url, media_type, position")
-      .in("post_id", postIds)
-      .order("position", { ascending: true });
+// ------------------------------- Search & hashtags -----------------------------
 
-    if (mediaErr) throw mediaErr;
+/**
+ * Full-text search over post content, newest first
+ * GET /posts/search?q=<words>&limit=20&before=<created_at>&before_id=<id>
+ * q accepts web search syntax: "exact phrase", -excluded, word or word.
+ */
+router.get("/search", optionalAuth, validateSearchPosts, async (req, res) => {
+  const { q, limit } = req.query;
+  const before = pageStart(req.query);
+  const viewer = req.user ? req.user.username : null;
 
-    // Fetch authors
-    let users = [];
-    if (authorUsernames.length > 0) {
-      const { data: usersData, error: usersErr } = await supabase
-        .from("users")
-        .select("username, name, avatar")
-        .in("username", authorUsernames);
+  try {
+    const posts = await fetchVisiblePosts(
+      (cursor, batchSize) => {
+        let query = supabase
+          .from("posts")
+          .select(
+            "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
+          )
+          .textSearch("search_vector", q, { type: "websearch", config: "simple" })
+          .order("created_at", { ascending: false })
+          .order("id", { ascending: false })
+          .limit(batchSize);
+
+        if (cursor) {
+          query = query.or(olderPostsFilter(cursor));
+        }
 
-      if (usersErr) throw usersErr;
-      users = usersData || [];
-    }
+        return query;
+      },
+      viewer,
+      { limit, before }
+    );
 
-    const userMap = new Map(users.map((u) => [u.username, u]));
-    const mediaMap = new Map();
-    (media || []).forEach((m) => {
-      const arr = mediaMap.get(m.post_id) || [];
-      arr.push(m);
-      mediaMap.set(m.post_id, arr);
-    });
+    res.json(await enrichPosts(posts, viewer));
+  } catch (err) {
+    console.error("search posts error:", err);
+    res.status(500).json({ message: "Server error while searching posts." });
+  }
+});
 
-    const enriched = posts.map((p) => {
-      const author = userMap.get(p.author_username) || null;
-      return {
-        ...p,
-        post_media: mediaMap.get(p.id) || [],
-        authorAvatar: author ? author.avatar : null,
-        authorDisplayName: author ? author.name || author.username : p.author_username,
-      };
-    });
+/**
+ * Trending hashtags: most used in public posts over the last `hours`
+ * GET /posts/hashtags?hours=24&limit=10
+ * Returns: [{ tag, post_count, last_used_at }]
+ */
+router.get("/hashtags", validateTrendingHashtags, async (req, res) => {
+  const since = new Date(Date.now() - req.query.hours * 3600 * 1000).toISOString();
 
-    res.json(enriched);
+  try {
+    const { data, error } = await supabase.rpc("trending_hashtags", { p_since: since, p_limit: req.query.limit });
+    if (error) throw error;
+
+    res.json((data || []).map((t) => ({ ...t, post_count: Number(t.post_count) })));
   } catch (err) {
-    console.error("get posts feed error:", err);
+    console.error("trending hashtags error:", err);
+    res.status(500).json({ message: "Server error while fetching trending hashtags." });
+  }
+});
+
+/**
+ * Posts with a hashtag, newest first
+ * GET /posts/hashtags/:tag?limit=20&before=<created_at>&before_id=<id>
+ * The tag may be given with or without "#" and in any case.
+ */
+router.get("/hashtags/:tag", optionalAuth, validateHashtagPosts, async (req, res) => {
+  const tag = normalizeHashtag(req.params.tag);
+  const before = pageStart(req.query);
+  const viewer = req.user ? req.user.username : null;
+
+  if (!tag) return res.status(400).json({ message: "Invalid hashtag." });
+
+  try {
+    const posts = await fetchVisiblePosts(
+      async (cursor, batchSize) => {
+        let query = supabase
+          .from("post_hashtags")
+          .select("post_id, created_at")
+          .eq("tag", tag)
+          .order("created_at", { ascending: false })
+          .order("post_id", { ascending: false })
+          .limit(batchSize);
+
+        if (cursor) {
+          query = query.or(olderPostsFilter(cursor, "post_id"));
+        }
+
+        const { data: tagged, error } = await query;
+        if (error || !tagged || tagged.length === 0) return { data: tagged, error };
+
+        const { data: rows, error: postsErr } = await supabase
+          .from("posts")
+          .select(
+            "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at"
+          )
+          .in("id", tagged.map((t) => t.post_id));
+        if (postsErr) return { data: null, error: postsErr };
+
+        // Keep hashtag order (post_hashtags.created_at is the post's created_at)
+        const byId = new Map((rows || []).map((p) => [p.id, p]));
+        return { data: tagged.map((t) => byId.get(t.post_id)).filter(Boolean), error: null };
+      },
+      viewer,
+      { limit: req.query.limit, before }
+    );
+
+    res.json(await enrichPosts(posts, viewer));
+  } catch (err) {
+    console.error("hashtag posts error:", err);
     res.status(500).json({ message: "Server error while fetching posts." });
   }
 });
 
 /**
  * Get post by ID with author information
- * GET /posts/:id?viewer=username
+ * GET /posts/:id
+ * Posts the caller may not see answer 404, like missing ones.
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, validatePostId, async (req, res) => {
   const postId = Number(req.params.id);
-  const viewer = req.query.viewer;
+  const viewer = req.user ? req.user.username : null;
 
   try {
     const post = await getPostById(postId);
-    if (!post) return res.status(404).json({ message: "Post not found." });
+    if (!post || !(await canViewPost(post, viewer, { includeDrafts: true }))) {
+      return res.status(404).json({ message: "Post not found." });
+    }
 
-    const enrichedPost = await enrichPostWithAuthor(post);
+    const [enrichedPost] = await attachSharedPosts([await enrichPostWithAuthor(post)], viewer);
 
-    // Check if viewer has liked this post
+    // Viewer's own reaction
     if (viewer) {
-      const { data: like } = await supabase
-        .from("post_likes")
-        .select("id")
-        .eq("post_id", postId)
-        .eq("username", viewer)
-        .limit(1);
-
-      enrichedPost.isLikedByViewer = !!(like && like.length > 0);
+      const reaction = (await getViewerReactions([postId], viewer)).get(postId) || null;
+      enrichedPost.isLikedByViewer = reaction !== null;
+      enrichedPost.viewerReaction = reaction;
     }
 
     res.json(enrichedPost);
@@ -164,7 +470,7 @@ router.get("/:id", async (req, res) => {
 
 // ----------------------- Upload media for a post -----------------------
 
-router.post("/:id/media", upload.array("media", 20), async (req, res) => {
+router.post("/:id/media", requireAuth, rateLimit("uploads"), upload.array("media", 10), validatePostId, async (req, res) => {
   try {
     const postId = Number(req.params.id);
     const files = req.files || [];
@@ -173,42 +479,27 @@ router.post("/:id/media", upload.array("media", 20), async (req, res) => {
       return res.status(400).json({ message: "No media uploaded." });
     }
 
-    const uploadedMedia = [];
-
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-
-      const cleanName = file.originalname.replace(/[^\w.\-]+/g, "_");
-      const storagePath = `posts/${postId}/${Date.now()}_${i}_${cleanName}`;
+    const post = await loadRevisionSnapshot(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
 
-      // Upload vào supabase storage
-      const uploadRes = await supabase.storage
-        .from("posts")
-        .upload(storagePath, file.buffer, {
-          contentType: file.mimetype,
-          upsert: true,
-        });
+    if (post.author_username !== req.user.username) {
+      return res.status(403).json({ message: "Not allowed to add media to this post." });
+    }
 
-      if (uploadRes.error) throw uploadRes.error;
+    const { error: mediaError, media } = await prepareMedia(files, "post", { user: req.user });
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
-      // Lấy public url
-      const { data: publicUrl } = supabase.storage
-        .from("posts")
-        .getPublicUrl(storagePath);
+    const uploadedMedia = [];
+    // New files go after the ones the post already has
+    const firstPosition = post.post_media.length ? Math.max(...post.post_media.map((m) => m.position)) + 1 : 0;
 
-      const media_url = publicUrl.publicUrl;
+    for (let i = 0; i < media.length; i++) {
+      const stored = await storeMedia("posts", `posts/${postId}/${Date.now()}_${i}`, media[i]);
 
       // Insert DB
       const { data: mediaRow, error: mediaErr } = await supabase
         .from("post_media")
-        .insert([
-          {
-            post_id: postId,
-            media_url,
-            media_type: file.mimetype.startsWith("video") ? "video" : "image",
-            position: i,
-          },
-        ])
+        .insert([{ post_id: postId, ...stored, position: firstPosition + i }])
         .select("*")
         .single();
 
@@ -217,6 +508,8 @@ router.post("/:id/media", upload.array("media", 20), async (req, res) => {
       uploadedMedia.push(mediaRow);
     }
 
+    if (isMediaEdit(post)) await recordPostRevision(post, req.user.username, "media_added");
+
     res.status(201).json(uploadedMedia);
   } catch (err) {
     console.error("upload media error:", err);
@@ -226,38 +519,33 @@ router.post("/:id/media", upload.array("media", 20), async (req, res) => {
 
 // ------------------------------- Delete single media from a post -------------------------------
 
-router.delete("/:id/media/:mediaId", async (req, res) => {
+router.delete("/:id/media/:mediaId", requireAuth, matchIdentity("author_username"), validateDeleteMedia, async (req, res) => {
   const postId = Number(req.params.id);
   const mediaId = Number(req.params.mediaId);
-  const { author_username } = req.body;
-
-  if (!author_username) {
-    return res.status(400).json({ message: "Missing author_username." });
-  }
+  const author_username = req.user.username;
 
   try {
     // Check owner
-    const { data: post, error: postErr } = await supabase
-      .from("posts")
-      .select("author_username")
-      .eq("id", postId)
-      .single();
-
-    if (postErr || !post) return res.status(404).json({ message: "Post not found." });
+    const post = await loadRevisionSnapshot(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
 
     if (post.author_username !== author_username) {
       return res.status(403).json({ message: "Not allowed to delete this media." });
     }
 
-    // Delete media row
-    const { error: delErr } = await supabase
+    // Delete media row; the revision keeps its files when the post has edit history
+    const { data: removed, error: delErr } = await supabase
       .from("post_media")
       .delete()
       .eq("id", mediaId)
-      .eq("post_id", postId);
+      .eq("post_id", postId)
+      .select("media_url, variants, poster_url");
 
     if (delErr) throw delErr;
 
+    await recordPostRevision(post, author_username, "media_removed");
+    await deleteStoredFiles(mediaRowUrls(removed));
+
     res.json({ success: true });
   } catch (err) {
     console.error("delete media error:", err);
@@ -270,47 +558,39 @@ router.delete("/:id/media/:mediaId", async (req, res) => {
 /**
  * Create a post with optional media files
  * POST /posts
+ * The author is always the authenticated user.
+ * status "draft" saves a draft and a future publish_at schedules the post; both stay
+ * visible to the author only until published. community_id needs the author to be a member.
  */
-router.post("/", upload.array("media", 10), async (req, res) => {
+router.post("/", requireAuth, rateLimit("posts"), upload.array("media", 10), matchIdentity("author_username"), validateCreatePost, async (req, res) => {
   try {
+    const author_username = req.user.username;
     const {
-      author_username,
       content = null,
       status = null,
-      audience = "followers",
+      audience = DEFAULT_AUDIENCE,
       disable_comments = "false",
       hide_like_count = "false",
-      community_id = null
+      community_id = null,
+      publish_at = null
     } = req.body;
 
-    if (!author_username) {
-      return res.status(400).json({ message: "Missing author_username." });
-    }
-
     let finalStatus = status;
 
-    if (community_id) {
-      
-      const { data: memberRow } = await supabase
-        .from("community_members")
-        .select("role")
-        .eq("community_id", community_id)
-        .eq("username", author_username)
-        .single();
-
-      const role = memberRow?.role;
+    if (community_id && !(await isCommunityMember(community_id, author_username))) {
+      return res.status(403).json({ message: "Only community members can post to this community." });
+    }
 
-      if (role === "admin" || role === "moderator") {
-        finalStatus = "approved";
-      } else {
-        const { data: c } = await supabase
-          .from("communities")
-          .select("requires_post_approval")
-          .eq("id", community_id)
-          .single();
+    const { error: mediaError, media } = await prepareMedia(req.files, "post", { user: req.user });
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
-        finalStatus = c?.requires_post_approval ? "pending" : "approved";
+    if (publish_at) {
+      if (Date.parse(publish_at) <= Date.now()) {
+        return res.status(400).json({ message: "publish_at must be in the future." });
       }
+      finalStatus = "scheduled";
+    } else if (status !== "draft" && community_id) {
+      finalStatus = await communityPostStatus(community_id, author_username);
     }
 
     const { data: post, error: postErr } = await supabase
@@ -323,7 +603,8 @@ router.post("/", upload.array("media", 10), async (req, res) => {
           audience,
           disable_comments: String(disable_comments) === "true",
           hide_like_count: String(hide_like_count) === "true",
-          community_id
+          community_id,
+          publish_at: finalStatus === "scheduled" ? publish_at : null
         }
       ])
       .select("*")
@@ -331,45 +612,19 @@ router.post("/", upload.array("media", 10), async (req, res) => {
 
     if (postErr) throw postErr;
 
-    const files = req.files || [];
-    const mediaRows = [];
-
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-
-      const cleanName = file.originalname.replace(/[^\w.\-]+/g, "_");
-      const storagePath = `posts/${post.id}/${Date.now()}_${i}_${cleanName}`;
-
-      const uploadRes = await supabase.storage
-        .from("posts")
-        .upload(storagePath, file.buffer, {
-          contentType: file.mimetype,
-          upsert: true,
-        });
-
-      if (uploadRes.error) throw uploadRes.error;
+    for (let i = 0; i < media.length; i++) {
+      const stored = await storeMedia("posts", `posts/${post.id}/${Date.now()}_${i}`, media[i]);
 
-      const { data: pub } = supabase.storage.from("posts").getPublicUrl(storagePath);
-      const media_url = pub.publicUrl;
-
-      const { data: pm, error: pmErr } = await supabase
+      const { error: pmErr } = await supabase
         .from("post_media")
-        .insert([
-          {
-            post_id: post.id,
-            media_url,
-            media_type: file.mimetype.startsWith("video") ? "video" : "image",
-            position: i,
-          }
-        ])
-        .select("*")
-        .single();
+        .insert([{ post_id: post.id, ...stored, position: i }]);
 
       if (pmErr) throw pmErr;
-
-      mediaRows.push(pm);
     }
 
+    // Drafts and scheduled posts are indexed when they are published
+    if (!DRAFT_STATUSES.includes(post.status)) await indexPostTags(post);
+
     const full = await getPostById(post.id);
     res.status(201).json(full);
 
@@ -380,33 +635,200 @@ router.post("/", upload.array("media", 10), async (req, res) => {
 });
 
 
+// ------------------------------- Share a post ---------------------------------
+
+/**
+ * Share a post as the authenticated user: a repost, or a quote when content is given
+ * POST /posts/:id/share
+ * Body: { content?, audience?, community_id? }
+ * A share cannot reach a wider audience than the original (see utils/postShares.js);
+ * sharing into a community requires membership, e.g. for admins amplifying member posts.
+ */
+router.post("/:id/share", requireAuth, rateLimit("posts"), validateSharePost, async (req, res) => {
+  const postId = Number(req.params.id);
+  const author_username = req.user.username;
+  const content = req.body.content && req.body.content.trim() ? req.body.content : null;
+  const community_id = req.body.community_id || null;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post || !(await canViewPost(post, author_username))) return res.status(404).json({ message: "Post not found." });
+
+    const original = await resolveShareTarget(post);
+    if (!original || !(await canViewPost(original, author_username))) {
+      return res.status(404).json({ message: "The shared post is no longer available." });
+    }
+
+    const audience = req.body.audience || defaultShareAudience(original);
+    const refusal = await checkShareReach(original, { audience, community_id });
+    if (refusal) return res.status(403).json({ message: refusal });
+
+    let status = null;
+    if (community_id) {
+      const { data: member, error: mErr } = await supabase
+        .from("community_members")
+        .select("username")
+        .eq("community_id", community_id)
+        .eq("username", author_username)
+        .eq("status", "approved")
+        .maybeSingle();
+      if (mErr) throw mErr;
+      if (!member) return res.status(403).json({ message: "Only community members can share to this community." });
+
+      status = await communityPostStatus(community_id, author_username);
+    }
+
+    const { data: share, error: insertErr } = await supabase
+      .from("posts")
+      .insert([{ author_username, content, status, audience, community_id, shared_post_id: original.id }])
+      .select("*")
+      .single();
+    if (insertErr) throw insertErr;
+
+    await recomputeShareCount(original.id);
+    if (content) await indexPostTags(share);
+
+    if (original.author_username !== author_username) {
+      await createNotification(
+        original.author_username,
+        "share",
+        `${author_username} shared your post.`,
+        { post_id: original.id, share_id: share.id },
+        author_username,
+        "New share"
+      );
+    }
+
+    const full = await getPostById(share.id);
+    const [enriched] = await attachSharedPosts([await enrichPostWithAuthor(full)], author_username);
+    res.status(201).json(enriched);
+  } catch (err) {
+    console.error("share post error:", err);
+    res.status(500).json({ message: "Server error while sharing post." });
+  }
+});
+
+// ------------------------------- Publish or unschedule -------------------------
+
+/**
+ * Publish a draft or scheduled post now (author only)
+ * POST /posts/:id/publish
+ */
+router.post("/:id/publish", requireAuth, rateLimit("posts"), validatePostId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const username = req.user.username;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post || post.author_username !== username) return res.status(404).json({ message: "Post not found." });
+    if (!DRAFT_STATUSES.includes(post.status)) return res.status(409).json({ message: "Post is already published." });
+    if (post.community_id && !(await isCommunityMember(post.community_id, username))) {
+      return res.status(403).json({ message: "Only community members can post to this community." });
+    }
+
+    if (!(await publishPost(post))) return res.status(409).json({ message: "Post is already published." });
+
+    const [enriched] = await enrichPosts([await getPostById(postId)], username);
+    res.json(enriched);
+  } catch (err) {
+    console.error("publish post error:", err);
+    res.status(500).json({ message: "Server error while publishing post." });
+  }
+});
+
+/**
+ * Cancel the schedule of a post, keeping it as a draft (author only)
+ * DELETE /posts/:id/schedule
+ */
+router.delete("/:id/schedule", requireAuth, validatePostId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const username = req.user.username;
+
+  try {
+    const { data: post, error } = await supabase
+      .from("posts")
+      .update({ status: "draft", publish_at: null })
+      .eq("id", postId)
+      .eq("author_username", username)
+      .eq("status", "scheduled")
+      .select("*")
+      .maybeSingle();
+    if (error) throw error;
+    if (!post) return res.status(404).json({ message: "Scheduled post not found." });
+
+    res.json(post);
+  } catch (err) {
+    console.error("unschedule post error:", err);
+    res.status(500).json({ message: "Server error while cancelling the schedule." });
+  }
+});
+
 // ------------------------------- Update a post --------------------------------
 
-router.put("/:id", async (req, res) => {
+/**
+ * Edit a post (author only)
+ * PUT /posts/:id
+ * Body: { content?, audience?, disable_comments?, hide_like_count?, community_id?, publish_at? }
+ * publish_at reschedules a draft or scheduled post; null turns a scheduled post back into a draft.
+ * Moving a post into a community needs membership; published posts then go through its post approval.
+ * Edits of published posts are kept as revisions (GET /posts/:id/revisions) and set edited_at.
+ */
+router.put("/:id", requireAuth, matchIdentity("author_username"), validateUpdatePost, async (req, res) => {
   const postId = Number(req.params.id);
+  const author_username = req.user.username;
   const {
-    author_username,
     content,
     audience,
     disable_comments,
     hide_like_count,
-    community_id
+    community_id,
+    publish_at
   } = req.body;
-
-  if (!author_username) {
-    return res.status(400).json({ message: "Missing author_username." });
-  }
+  const updates = { content, audience, disable_comments, hide_like_count, community_id };
 
   try {
+    const current = await getPostById(postId);
+    if (!current || current.author_username !== author_username) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+    const before = await loadRevisionSnapshot(postId);
+
+    if (publish_at !== undefined) {
+      if (!DRAFT_STATUSES.includes(current.status)) {
+        return res.status(400).json({ message: "Only drafts and scheduled posts can be scheduled." });
+      }
+      if (publish_at !== null && Date.parse(publish_at) <= Date.now()) {
+        return res.status(400).json({ message: "publish_at must be in the future." });
+      }
+      updates.status = publish_at === null ? "draft" : "scheduled";
+      updates.publish_at = publish_at;
+    }
+
+    if (community_id !== undefined && community_id !== current.community_id) {
+      if (community_id && !(await isCommunityMember(community_id, author_username))) {
+        return res.status(403).json({ message: "Only community members can post to this community." });
+      }
+      // Drafts get their community status when published
+      if (!DRAFT_STATUSES.includes(updates.status || current.status)) {
+        updates.status = community_id ? await communityPostStatus(community_id, author_username) : null;
+      }
+    }
+
+    // A share keeps within the reach of its original
+    if (audience !== undefined || community_id !== undefined) {
+      const original = current.shared_post_id ? await getPostById(current.shared_post_id) : null;
+      if (original) {
+        const refusal = await checkShareReach(original, {
+          audience: audience !== undefined ? audience : current.audience,
+          community_id: community_id !== undefined ? community_id : current.community_id,
+        });
+        if (refusal) return res.status(403).json({ message: refusal });
+      }
+    }
+
     const { data: post, error } = await supabase
       .from("posts")
-      .update({
-        content,
-        audience,
-        disable_comments,
-        hide_like_count,
-        community_id
-      })
+      .update(updates)
       .eq("id", postId)
       .eq("author_username", author_username)
       .select("*")
@@ -414,7 +836,11 @@ router.put("/:id", async (req, res) => {
 
     if (error) throw error;
 
-    res.json(post);
+    if (content !== undefined && !DRAFT_STATUSES.includes(post.status)) await indexPostTags(post);
+
+    const revision = await recordPostRevision(before, author_username, "edit");
+
+    res.json(revision ? { ...post, edited_at: revision.created_at } : post);
   } catch (err) {
     console.error("update post error:", err);
     res.status(500).json({ message: "Failed to update post." });
@@ -424,21 +850,21 @@ router.put("/:id", async (req, res) => {
 // ------------------------------- Like/unlike a post --------------------------------
 
 /**
- * Like a post
+ * Like a post (a "like" reaction; an existing reaction of another type is kept)
  * POST /posts/:id/like
  */
-router.post("/:id/like", requireAuth, async (req, res) => {
+router.post("/:id/like", requireAuth, validatePostId, async (req, res) => {
   const postId = Number(req.params.id);
   const username = req.user.username;
 
   try {
     const { data: post, error: pErr } = await supabase
       .from("posts")
-      .select("id")
+      .select("id, author_username, status, audience, community_id")
       .eq("id", postId)
       .single();
 
-    if (pErr || !post) {
+    if (pErr || !post || !(await canViewPost(post, username))) {
       return res.status(404).json({ message: "Post not found." });
     }
 
@@ -450,9 +876,9 @@ router.post("/:id/like", requireAuth, async (req, res) => {
       throw insertErr;
     }
 
-    const likeCount = await recomputePostLikeCount(postId);
+    const counts = await recomputePostReactions(postId);
 
-    res.json({ post_id: postId, like_count: likeCount });
+    res.json({ post_id: postId, ...counts });
   } catch (err) {
     console.error("like post error:", err);
     res.status(500).json({ message: "Server error while liking post." });
@@ -460,10 +886,10 @@ router.post("/:id/like", requireAuth, async (req, res) => {
 });
 
 /**
- * Unlike a post
+ * Unlike a post (removes the caller's reaction of any type)
  * DELETE /posts/:id/like
  */
-router.delete("/:id/like", requireAuth, async (req, res) => {
+router.delete("/:id/like", requireAuth, validatePostId, async (req, res) => {
   const postId = Number(req.params.id);
   const username = req.user.username;
 
@@ -486,9 +912,9 @@ router.delete("/:id/like", requireAuth, async (req, res) => {
 
     if (delErr) throw delErr;
 
-    const likeCount = await recomputePostLikeCount(postId);
+    const counts = await recomputePostReactions(postId);
 
-    res.json({ post_id: postId, like_count: likeCount });
+    res.json({ post_id: postId, ...counts });
   } catch (err) {
     console.error("unlike post error:", err);
     res.status(500).json({ message: "Server error while unliking post." });
@@ -501,13 +927,17 @@ router.delete("/:id/like", requireAuth, async (req, res) => {
  * Get likes of a post
  * GET /posts/:id/likes
  */
-router.get("/:id/likes", async (req, res) => {
+router.get("/:id/likes", optionalAuth, validatePostId, async (req, res) => {
   const postId = Number(req.params.id);
+  const viewer = req.user ? req.user.username : null;
 
   try {
+    const post = await getPostById(postId);
+    if (!post || !(await canViewPost(post, viewer))) return res.status(404).json({ message: "Post not found." });
+
     const { data: likes, error } = await supabase
       .from("post_likes")
-      .select("username, created_at")
+      .select("username, reaction, created_at")
       .eq("post_id", postId)
       .order("created_at", { ascending: false });
     if (error) throw error;
@@ -519,18 +949,167 @@ router.get("/:id/likes", async (req, res) => {
   }
 });
 
+// ------------------------------- Reactions -----------------------------------
+
+/**
+ * React to a post, replacing the caller's previous reaction
+ * POST /posts/:id/reactions
+ * Body: { reaction: like | love | haha | wow | sad | angry }
+ */
+router.post("/:id/reactions", requireAuth, validateReact, async (req, res) => {
+  const postId = Number(req.params.id);
+  const username = req.user.username;
+  const { reaction } = req.body;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post || !(await canViewPost(post, username))) return res.status(404).json({ message: "Post not found." });
+
+    const { error: upsertErr } = await supabase
+      .from("post_likes")
+      .upsert([{ post_id: postId, username, reaction }], { onConflict: "post_id,username" });
+    if (upsertErr) throw upsertErr;
+
+    const counts = await recomputePostReactions(postId);
+
+    res.json({ post_id: postId, reaction, ...counts });
+  } catch (err) {
+    console.error("react to post error:", err);
+    res.status(500).json({ message: "Server error while reacting to post." });
+  }
+});
+
+/**
+ * Remove the caller's reaction
+ * DELETE /posts/:id/reactions
+ */
+router.delete("/:id/reactions", requireAuth, validatePostId, async (req, res) => {
+  const postId = Number(req.params.id);
+  const username = req.user.username;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    const { error: delErr } = await supabase
+      .from("post_likes")
+      .delete()
+      .eq("post_id", postId)
+      .eq("username", username);
+    if (delErr) throw delErr;
+
+    const counts = await recomputePostReactions(postId);
+
+    res.json({ post_id: postId, reaction: null, ...counts });
+  } catch (err) {
+    console.error("remove post reaction error:", err);
+    res.status(500).json({ message: "Server error while removing reaction." });
+  }
+});
+
+/**
+ * Reactions of a post grouped by type, newest first, with reactor profiles
+ * GET /posts/:id/reactions?type=love&limit=100
+ * Returns: { post_id, like_count, reaction_counts, reactions: { <type>: [{ username, name, avatar, created_at }] } }
+ * `limit` caps the reactors listed (all types together); the counts are always complete.
+ */
+router.get("/:id/reactions", optionalAuth, validateListReactions, async (req, res) => {
+  const postId = Number(req.params.id);
+  const viewer = req.user ? req.user.username : null;
+  const { type, limit } = req.query;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post || !(await canViewPost(post, viewer))) return res.status(404).json({ message: "Post not found." });
+
+    let query = supabase
+      .from("post_likes")
+      .select("username, reaction, created_at")
+      .eq("post_id", postId)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (type) {
+      query = query.eq("reaction", type);
+    }
+
+    const { data: rows, error } = await query;
+    if (error) throw error;
+
+    const usernames = [...new Set((rows || []).map((r) => r.username))];
+    let users = [];
+    if (usernames.length > 0) {
+      const { data: usersData, error: usersErr } = await supabase
+        .from("users")
+        .select("username, name, avatar")
+        .in("username", usernames);
+      if (usersErr) throw usersErr;
+      users = usersData || [];
+    }
+
+    const userMap = new Map(users.map((u) => [u.username, u]));
+    const reactions = {};
+    for (const r of rows || []) {
+      const user = userMap.get(r.username);
+      (reactions[r.reaction] = reactions[r.reaction] || []).push({
+        username: r.username,
+        name: user ? user.name : null,
+        avatar: user ? user.avatar : null,
+        created_at: r.created_at,
+      });
+    }
+
+    res.json({
+      post_id: postId,
+      like_count: post.like_count || 0,
+      reaction_counts: post.reaction_counts || {},
+      reactions,
+    });
+  } catch (err) {
+    console.error("list post reactions error:", err);
+    res.status(500).json({ message: "Server error while fetching reactions." });
+  }
+});
+
+// ------------------------------- Edit history --------------------------------
+
+/**
+ * Edit history of a post, newest first
+ * GET /posts/:id/revisions?limit=20&before=<revision>
+ * For the author, platform moderators and the moderators of the post's community.
+ * Revision 0 is the post as first published; each later one is the post right after an edit.
+ */
+router.get("/:id/revisions", requireAuth, validateListRevisions, async (req, res) => {
+  const postId = Number(req.params.id);
+  const { limit, before = null } = req.query;
+
+  try {
+    const post = await getPostById(postId);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    if (!(await canViewRevisions(post, req.user))) {
+      if (!(await canViewPost(post, req.user.username))) return res.status(404).json({ message: "Post not found." });
+      return res.status(403).json({ message: "Not allowed to view the edit history of this post." });
+    }
+
+    const revisions = await listPostRevisions(postId, { limit, before });
+
+    res.json({ post_id: postId, edited_at: post.edited_at || null, revisions });
+  } catch (err) {
+    console.error("list post revisions error:", err);
+    res.status(500).json({ message: "Server error while fetching the edit history." });
+  }
+});
+
 // ------------------------------- Delete a post --------------------------------
 
 /**
- * Delete a post (author only – basic check)
+ * Delete a post (author only)
  * DELETE /posts/:id
- * Body: { author_username }
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAuth, matchIdentity("author_username"), validatePostId, async (req, res) => {
   const postId = Number(req.params.id);
-  const { author_username } = req.body;
-
-  if (!author_username) return res.status(400).json({ message: "Missing author_username." });
+  const author_username = req.user.username;
 
   try {
     const current = await getPostById(postId);
@@ -538,9 +1117,13 @@ router.delete("/:id", async (req, res) => {
     if (current.author_username !== author_username)
       return res.status(403).json({ message: "Not allowed to delete this post." });
 
+    const mediaUrls = await mediaUrlsOf("post_media", "post_id", [postId]);
     const del = await supabase.from("posts").delete().eq("id", postId);
     if (del.error) throw del.error;
 
+    await deleteStoredFiles(mediaUrls);
+    if (current.shared_post_id) await recomputeShareCount(current.shared_post_id);
+
     res.json({ message: "Post deleted." });
   } catch (err) {
     console.error("delete post error:", err);
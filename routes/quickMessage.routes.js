@@ -1,17 +1,33 @@
 const express = require("express");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
+const { requireAuth, matchIdentity } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { object, string, id } = require("../utils/schema");
+
+/* ------------------------------ Request schemas ----------------------------- */
+
+const quickMessageFields = {
+  shortcut: string({ minLength: 1, maxLength: 50 }),
+  message: string({ minLength: 1, maxLength: 2000 }),
+};
+
+const validateCreateQuickMessage = validate({ body: object(quickMessageFields, ["shortcut", "message"]) });
+const validateUpdateQuickMessage = validate({
+  params: object({ id: id() }, ["id"]),
+  body: object(quickMessageFields),
+});
+const validateQuickMessageId = validate({ params: object({ id: id() }, ["id"]) });
+const validateExpand = validate({ query: object({ shortcut: string({ minLength: 1, maxLength: 50 }) }, ["shortcut"]) });
 
 /* --------------------------- Quick Messages CRUD --------------------------- */
 
 /**
- * Get quick messages for a user
- * GET /quick-messages?username=<username>
+ * Get quick messages for the authenticated user
+ * GET /quick-messages
  */
-router.get("/", async (req, res) => {
-  const username = (req.query.username || "").trim();
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+router.get("/", requireAuth, matchIdentity("username"), async (req, res) => {
+  const username = req.user.username;
 
   try {
     const { data, error } = await supabase
@@ -31,14 +47,11 @@ router.get("/", async (req, res) => {
 /**
  * Create a quick message
  * POST /quick-messages
- * Body: { username, shortcut, message }
+ * Body: { shortcut, message }
  */
-router.post("/", async (req, res) => {
-  const { username, shortcut, message } = req.body;
-
-  if (!username || !shortcut || !message) {
-    return res.status(400).json({ message: "Missing required fields." });
-  }
+router.post("/", requireAuth, matchIdentity("username"), validateCreateQuickMessage, async (req, res) => {
+  const username = req.user.username;
+  const { shortcut, message } = req.body;
 
   try {
     const { data, error } = await supabase
@@ -64,13 +77,12 @@ router.post("/", async (req, res) => {
 /**
  * Update a quick message
  * PUT /quick-messages/:id
- * Body: { username, shortcut?, message? }
+ * Body: { shortcut?, message? }
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireAuth, matchIdentity("username"), validateUpdateQuickMessage, async (req, res) => {
   const quickMessageId = Number(req.params.id);
-  const { username, shortcut, message } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+  const username = req.user.username;
+  const { shortcut, message } = req.body;
 
   try {
     // Verify ownership
@@ -113,13 +125,10 @@ router.put("/:id", async (req, res) => {
 /**
  * Delete a quick message
  * DELETE /quick-messages/:id
- * Body: { username }
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAuth, matchIdentity("username"), validateQuickMessageId, async (req, res) => {
   const quickMessageId = Number(req.params.id);
-  const { username } = req.body;
-
-  if (!username) return res.status(400).json({ message: "Missing username." });
+  const username = req.user.username;
 
   try {
     const { error } = await supabase
@@ -138,14 +147,14 @@ router.delete("/:id", async (req, res) => {
 
 /**
  * Get message by shortcut (for quick expansion)
- * GET /quick-messages/expand?username=<username>&shortcut=<shortcut>
+ * GET /quick-messages/expand?shortcut=<shortcut>
  */
-router.get("/expand", async (req, res) => {
-  const username = (req.query.username || "").trim();
+router.get("/expand", requireAuth, matchIdentity("username"), validateExpand, async (req, res) => {
+  const username = req.user.username;
   const shortcut = (req.query.shortcut || "").trim();
 
-  if (!username || !shortcut) {
-    return res.status(400).json({ message: "Missing username or shortcut." });
+  if (!shortcut) {
+    return res.status(400).json({ message: "Missing shortcut." });
   }
 
   try {
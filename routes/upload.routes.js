@@ -0,0 +1,332 @@
+const express = require("express");
+const router = express.Router();
+const { supabase } = require("../db/supabaseClient");
+const { requireAuth } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit, applyRateLimit } = require("../middleware/rateLimit.middleware");
+const { object, string, integer, boolean, oneOf, id, uuid } = require("../utils/schema");
+const { loadRevisionSnapshot, isMediaEdit, recordPostRevision } = require("../utils/postRevisions");
+const { EVENT_IMAGE_LOCATIONS, ownedFileUrls, deleteStoredFiles } = require("../utils/storageCleanup");
+const {
+  TARGETS,
+  checkUploadFile,
+  checkUploadTarget,
+  createUploadSession,
+  getUploadSession,
+  isExpired,
+  partUpload,
+  uploadedParts,
+  checkUploadedFile,
+  storeUploadedFile,
+  claimUploadSession,
+  releaseUploadSession,
+  closeUploadSession,
+} = require("../utils/uploads");
+
+const MEDIA_COLUMNS =
+  "id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec, created_at";
+
+/* ------------------------------ Request schemas ----------------------------- */
+
+const uploadParams = object({ id: uuid() }, ["id"]);
+
+const validateCreateUpload = validate({
+  body: object(
+    {
+      target: oneOf(Object.keys(TARGETS)),
+      target_id: id({ nullable: true, description: "Post, conversation or event id (optional for events)" }),
+      file_name: string({ maxLength: 255, nullable: true }),
+      content_type: string({ pattern: "^(image|video|audio)/[\\w.+-]+$" }),
+      size: integer({ minimum: 1, description: "Bytes" }),
+      resumable: boolean(),
+    },
+    ["target", "content_type", "size"]
+  ),
+});
+const validateUploadId = validate({ params: uploadParams });
+const validatePartUpload = validate({
+  params: object({ id: uuid(), index: integer({ minimum: 0 }) }, ["id", "index"]),
+});
+const validateCompleteUpload = validate({
+  params: uploadParams,
+  body: object({
+    content: string({ maxLength: 5000, nullable: true }),
+    message_id: id({ nullable: true, description: "Own message to add the file to, instead of sending a new one" }),
+  }),
+});
+
+/* --------------------------------- Helpers --------------------------------- */
+
+// What clients see of a session
+function publicSession(session) {
+  const { username, bucket, object_path, result, ...rest } = session;
+  return rest;
+}
+
+// Answer for sessions that can no longer take files; null when the session is open
+function closedSessionResponse(res, session) {
+  if (session.status !== "pending") return res.status(409).json({ message: `This upload is ${session.status}.` });
+  if (isExpired(session)) return res.status(410).json({ message: "This upload has expired." });
+  return null;
+}
+
+async function attachToPost(session, checked, user) {
+  const post = await loadRevisionSnapshot(session.target_id);
+  const basePath = `posts/${post.id}/${Date.now()}_${session.id.slice(0, 8)}`;
+  const { error: mediaError, stored } = await storeUploadedFile(session, checked, basePath, user);
+  if (mediaError) return { error: mediaError };
+
+  const position = post.post_media.length ? Math.max(...post.post_media.map((m) => m.position)) + 1 : 0;
+  const { data: media, error } = await supabase
+    .from("post_media")
+    .insert([{ post_id: post.id, ...stored, position }])
+    .select(`post_id, ${MEDIA_COLUMNS}`)
+    .single();
+  if (error) throw error;
+
+  if (isMediaEdit(post)) await recordPostRevision(post, user.username, "media_added");
+  return { result: media };
+}
+
+async function attachToMessage(session, checked, user, { content = null, message_id = null }) {
+  const conversationId = session.target_id;
+  const username = user.username;
+  let message;
+
+  if (message_id) {
+    const { data, error } = await supabase
+      .from("messages")
+      .select("id, conversation_id, sender_username")
+      .eq("id", message_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data || data.conversation_id !== conversationId || data.sender_username !== username) {
+      return { status: 404, error: "Message not found." };
+    }
+    message = data;
+  } else {
+    const { data, error } = await supabase
+      .from("messages")
+      .insert([{ conversation_id: conversationId, sender_username: username, message_type: session.kind, content }])
+      .select("id")
+      .single();
+    if (error) throw error;
+    message = data;
+  }
+
+  const basePath = `conversations/${conversationId}/${message.id}/${Date.now()}_${session.id.slice(0, 8)}`;
+  const { error: mediaError, stored } = await storeUploadedFile(session, checked, basePath, user);
+  if (mediaError) {
+    // A message sent just for this file goes with it
+    if (!message_id) await supabase.from("messages").delete().eq("id", message.id);
+    return { error: mediaError };
+  }
+
+  const { count, error: countErr } = await supabase
+    .from("message_media")
+    .select("id", { count: "exact", head: true })
+    .eq("message_id", message.id);
+  if (countErr) throw countErr;
+
+  const { error: insErr } = await supabase
+    .from("message_media")
+    .insert([{ message_id: message.id, ...stored, position: count || 0 }]);
+  if (insErr) throw insErr;
+
+  const { data: result, error } = await supabase
+    .from("messages")
+    .select(
+      `id, conversation_id, sender_username, message_type, content, reply_to_message_id, created_at, updated_at, message_media(${MEDIA_COLUMNS})`
+    )
+    .eq("id", message.id)
+    .single();
+  if (error) throw error;
+  return { result };
+}
+
+async function attachToEvent(session, checked, user) {
+  const basePath = `event_images/${Date.now()}_${session.id.slice(0, 8)}`;
+  const { error: mediaError, stored } = await storeUploadedFile(session, checked, basePath, user);
+  if (mediaError) return { error: mediaError };
+
+  const eventId = session.target_id;
+  if (eventId) {
+    const { data: event, error: fetchErr } = await supabase.from("events").select("image_url").eq("id", eventId).single();
+    if (fetchErr) throw fetchErr;
+
+    const { error } = await supabase.from("events").update({ image_url: stored.media_url }).eq("id", eventId);
+    if (error) throw error;
+    await deleteStoredFiles(ownedFileUrls([event.image_url], EVENT_IMAGE_LOCATIONS));
+  }
+
+  return { result: { event_id: eventId, image_url: stored.media_url } };
+}
+
+/* ---------------------------------- Routes ---------------------------------- */
+
+/**
+ * Start an upload straight to storage
+ * POST /uploads
+ * Body: { target: "post"|"message"|"event", target_id?, file_name?, content_type, size, resumable? }
+ * Videos are limited by the uploader's plan (longer and larger with PRO).
+ * Files up to 50 MB get `upload`, a signed URL to PUT the raw file to (with upload.headers).
+ * Larger files, or any with resumable: true, are sent in part_count parts of part_size bytes:
+ * POST /uploads/:id/parts/:index gives the URL for each part. Then POST /uploads/:id/complete.
+ */
+router.post("/", requireAuth, rateLimit("uploads"), validateCreateUpload, async (req, res) => {
+  const { target, target_id = null, content_type, size } = req.body;
+  const username = req.user.username;
+
+  if (!target_id && target !== "event") {
+    return res.status(400).json({ message: "target_id is required for post and message uploads." });
+  }
+
+  try {
+    const fileRefusal = checkUploadFile(target, content_type, size, req.user);
+    if (fileRefusal) return res.status(400).json({ message: fileRefusal });
+
+    const targetRefusal = await checkUploadTarget(target, target_id, username);
+    if (targetRefusal) return res.status(targetRefusal.status).json({ message: targetRefusal.message });
+
+    const session = await createUploadSession(username, req.body);
+    res.status(201).json(publicSession(session));
+  } catch (err) {
+    console.error("create upload error:", err);
+    res.status(500).json({ message: "Server error while starting upload." });
+  }
+});
+
+/**
+ * Get an upload of the authenticated user
+ * GET /uploads/:id
+ * Resumable uploads list parts_uploaded and parts_missing (part indexes) while pending,
+ * so an interrupted upload can send only what is missing.
+ */
+router.get("/:id", requireAuth, validateUploadId, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.user.username);
+    if (!session) return res.status(404).json({ message: "Upload not found." });
+
+    const body = publicSession(session);
+    if (session.status === "completed") body.result = session.result;
+    if (session.status === "pending" && session.mode === "resumable") {
+      const { uploaded, missing } = await uploadedParts(session);
+      body.parts_uploaded = uploaded;
+      body.parts_missing = missing;
+    }
+
+    res.json(body);
+  } catch (err) {
+    console.error("get upload error:", err);
+    res.status(500).json({ message: "Server error while fetching upload." });
+  }
+});
+
+/**
+ * Get the signed URL for one part of a resumable upload
+ * POST /uploads/:id/parts/:index
+ * PUT the part's bytes to `url` with `headers`; sending a part again replaces it.
+ */
+router.post("/:id/parts/:index", requireAuth, validatePartUpload, async (req, res) => {
+  const index = Number(req.params.index);
+
+  try {
+    const session = await getUploadSession(req.params.id, req.user.username);
+    if (!session) return res.status(404).json({ message: "Upload not found." });
+    if (closedSessionResponse(res, session)) return;
+    if (session.mode !== "resumable") return res.status(400).json({ message: "Only resumable uploads are sent in parts." });
+    if (index >= session.part_count) {
+      return res.status(400).json({ message: `This upload has ${session.part_count} parts (0 to ${session.part_count - 1}).` });
+    }
+
+    res.json({ index, ...(await partUpload(session, index)) });
+  } catch (err) {
+    console.error("part upload url error:", err);
+    res.status(500).json({ message: "Server error while preparing part upload." });
+  }
+});
+
+/**
+ * Finish an upload and attach the file to its target
+ * POST /uploads/:id/complete
+ * Body: { content?, message_id? } - message uploads only: caption of the new message, or
+ *       an own message of the conversation to add the file to
+ * Checks the stored file (announced size, type from its first bytes) and processes images
+ * and videos (duration limit, poster image) like multipart uploads. Returns the new post media, the message with its media, or
+ * { event_id, image_url } for events. Completing again returns the same result; while
+ * another request is completing the upload, 409. Message uploads count against the
+ * "messages" rate limit like sending a message.
+ */
+router.post("/:id/complete", requireAuth, validateCompleteUpload, async (req, res) => {
+  const username = req.user.username;
+
+  try {
+    const session = await getUploadSession(req.params.id, username);
+    if (!session) return res.status(404).json({ message: "Upload not found." });
+    if (session.status === "completed") return res.json(session.result);
+    if (closedSessionResponse(res, session)) return;
+
+    const targetRefusal = await checkUploadTarget(session.target, session.target_id, username);
+    if (targetRefusal) return res.status(targetRefusal.status).json({ message: targetRefusal.message });
+    if (session.target === "message" && (await applyRateLimit("messages", req, res))) return;
+
+    if (!(await claimUploadSession(session))) {
+      const current = await getUploadSession(session.id, username);
+      if (current && current.status === "completed") return res.json(current.result);
+      return res.status(409).json({ message: `This upload is ${current ? current.status : "gone"}.` });
+    }
+
+    try {
+      const checked = await checkUploadedFile(session);
+      if (checked.error) {
+        // Refused files are removed; missing or incomplete ones can still be sent
+        if (checked.status === 400) await closeUploadSession(session, "failed");
+        else await releaseUploadSession(session);
+        return res.status(checked.status).json({
+          message: checked.error,
+          ...(checked.missing_parts && { missing_parts: checked.missing_parts }),
+        });
+      }
+
+      let outcome;
+      if (session.target === "post") outcome = await attachToPost(session, checked, req.user);
+      else if (session.target === "message") outcome = await attachToMessage(session, checked, req.user, req.body);
+      else outcome = await attachToEvent(session, checked, req.user);
+
+      if (outcome.error) {
+        if (outcome.status) await releaseUploadSession(session);
+        else await closeUploadSession(session, "failed");
+        return res.status(outcome.status || 400).json({ message: outcome.error });
+      }
+
+      await closeUploadSession(session, "completed", outcome.result);
+      res.status(201).json(outcome.result);
+    } catch (err) {
+      await releaseUploadSession(session).catch(() => {});
+      throw err;
+    }
+  } catch (err) {
+    console.error("complete upload error:", err);
+    res.status(500).json({ message: "Server error while completing upload." });
+  }
+});
+
+/**
+ * Cancel an upload and remove what was sent of it
+ * DELETE /uploads/:id
+ */
+router.delete("/:id", requireAuth, validateUploadId, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.user.username);
+    if (!session) return res.status(404).json({ message: "Upload not found." });
+    if (session.status !== "pending") return res.status(409).json({ message: `This upload is ${session.status}.` });
+
+    await closeUploadSession(session, "cancelled");
+    res.json({ message: "Upload cancelled." });
+  } catch (err) {
+    console.error("cancel upload error:", err);
+    res.status(500).json({ message: "Server error while cancelling upload." });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,16 @@ const express = require("express");
 const multer = require("multer");
 const router = express.Router();
 const { supabase } = require("../db/supabaseClient");
+const { validateUsername, findTakenUsernames, resolveUsernameAlias, renameUsername } = require("../utils/username");
+const { collectUserData, deleteUserAccount } = require("../utils/userData");
+const { createZip } = require("../utils/zip");
+const { listSessions, revokeSession } = require("../utils/sessions");
+const { olderPostsFilter, fetchVisiblePosts, filterVisiblePosts } = require("../utils/postVisibility");
+const { attachSharedPosts } = require("../utils/postShares");
+const { prepareMedia, storeMedia } = require("../utils/media");
+const { cleanFileName } = require("../utils/storage");
+const { userFileLocations, ownedFileUrls, deleteStoredFiles } = require("../utils/storageCleanup");
+const { disconnectUserSockets, disconnectSessionSockets } = require("../websocket");
 const upload = multer({ storage: multer.memoryStorage() });
 
 /* ---------------------------------- Helpers ---------------------------------- */
@@ -65,22 +75,132 @@ async function getUserById(id) {
 }
 
 async function getUserByUsername(username) {
-  const { data, error } = await supabase.from("users").select("*").eq("username", username).single();
+  const { data, error } = await supabase.from("users").select("*").eq("username", username).maybeSingle();
   if (error) throw error;
   return sanitizeUser(data);
 }
 
+const RENAME_ERROR_STATUS = { invalid: 400, taken: 409, rate_limited: 429, not_found: 404 };
 
-function cleanFileName(filename) {
-  return filename
-    .normalize("NFD")                 // remove accents
-    .replace(/[\u0300-\u036f]/g, "")  // remove Vietnamese tones
-    .replace(/[^\w.-]/g, "_");        // replace invalid chars
+/**
+ * Rename the authenticated user and answer failures directly
+ * @returns {Promise<object|null>} the updated users row, or null when a response was already sent
+ */
+async function changeUsername(req, res, newUsername) {
+  const previous = req.user.username;
+  const result = await renameUsername(req.user, newUsername);
+
+  if (result.error) {
+    if (result.retryAfterSeconds) res.set("Retry-After", String(result.retryAfterSeconds));
+    res.status(RENAME_ERROR_STATUS[result.error]).json({ message: result.message });
+    return null;
+  }
+
+  if (result.user.username !== previous) {
+    invalidateUserProfile(req.user.id);
+
+    // Live sockets are pinned to the old username; make clients reconnect
+    const io = req.app.get("io");
+    if (io) disconnectUserSockets(io, previous, "username_changed", "Username changed, please reconnect");
+  }
+
+  return result.user;
 }
 
 /* ----------------------------- Profile Endpoints ----------------------------- */
 
-const { requireAuth } = require("../middleware/auth.middleware");
+const { requireAuth, requireAuthToken, optionalAuth, matchIdentity, invalidateUserProfile } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { object, string, integer, number, boolean, oneOf, id, uuid, username, limit } = require("../utils/schema");
+
+/* ------------------------------ Request schemas ------------------------------ */
+
+const GENDERS = ["Male", "Female", "Other"];
+
+const usernameParams = object({ username: username() }, ["username"]);
+const viewerQuery = object({ viewer: username() });
+const userFilterQuery = {
+  gender: oneOf(GENDERS),
+  min_age: integer({ minimum: 0, maximum: 150 }),
+  max_age: integer({ minimum: 0, maximum: 150 }),
+};
+
+const validateUsernameParam = validate({ params: usernameParams });
+const validateUserIdParam = validate({ params: object({ id: uuid() }, ["id"]) });
+const validateExport = validate({ query: object({ format: oneOf(["zip", "json"]) }) });
+const validateChangeUsername = validate({ body: object({ username: string() }, ["username"]) });
+const validateSessionId = validate({ params: object({ id: string({ minLength: 1, maxLength: 128 }) }, ["id"]) });
+const validateCreateProfile = validate({
+  body: object(
+    {
+      id: uuid(),
+      email: string({ format: "email" }),
+      username: string(),
+      name: string({ maxLength: 100, nullable: true }),
+      gender: oneOf(GENDERS, { nullable: true }),
+      bio: string({ maxLength: 1000, nullable: true }),
+      avatar: string({ nullable: true }),
+    },
+    ["id", "email", "username"]
+  ),
+});
+const validateUpdateProfile = validate({
+  params: object({ id: uuid() }, ["id"]),
+  body: object({
+    name: string({ maxLength: 100, nullable: true }),
+    gender: oneOf(GENDERS, { nullable: true }),
+    bio: string({ maxLength: 1000, nullable: true }),
+    avatar: string({ nullable: true }),
+    background_image: string({ nullable: true }),
+    username: string(),
+    status: string({ maxLength: 200, nullable: true }),
+    age: integer({ minimum: 0, maximum: 150, nullable: true }),
+    date_of_birth: string({ nullable: true }),
+    country: string({ maxLength: 100, nullable: true }),
+    city: string({ maxLength: 100, nullable: true }),
+    flag: string({ maxLength: 20, nullable: true }),
+    about_me: string({ maxLength: 5000, nullable: true }),
+    latitude: number({ minimum: -90, maximum: 90, nullable: true }),
+    longitude: number({ minimum: -180, maximum: 180, nullable: true }),
+    is_online: boolean(),
+  }),
+});
+const validateSearchUsers = validate({
+  // q ends up inside a PostgREST or() filter, which uses , ( ) as syntax
+  query: object({ q: string({ maxLength: 100, pattern: "^[^,()]*$" }), ...userFilterQuery }),
+});
+const validateCheckUsername = validate({ query: object({ username: string() }, ["username"]) });
+const validateListUsers = validate({ query: object({ limit: limit(100), ...userFilterQuery }) });
+const validateFollow = validate({ params: usernameParams, body: object({ followerUsername: username() }) });
+const validateFollowList = validate({ params: usernameParams, query: viewerQuery });
+const validateFollowPair = validate({
+  params: object({ username: username(), followerUsername: username() }, ["username", "followerUsername"]),
+});
+const validateMutualFollow = validate({
+  params: object({ username: username(), otherUsername: username() }, ["username", "otherUsername"]),
+});
+const validateUserPosts = validate({ params: usernameParams, query: object({ limit: limit(100) }) });
+const validateAvatarUserId = validate({ params: object({ userId: uuid() }, ["userId"]) });
+const validateLegacyAvatar = validate({ query: object({ id: uuid() }, ["id"]) });
+const validateAddLanguage = validate({
+  params: usernameParams,
+  body: object({ language: string({ minLength: 1, maxLength: 50 }), proficiency: string({ maxLength: 30 }) }, ["language"]),
+});
+const validateDeleteLanguage = validate({
+  params: object({ username: username(), languageId: id() }, ["username", "languageId"]),
+});
+const validateListCountries = validate({ params: usernameParams, query: object({ type: oneOf(["lived", "visited"]) }) });
+const validateAddCountry = validate({
+  params: usernameParams,
+  body: object(
+    { country: string({ minLength: 1, maxLength: 100 }), country_type: oneOf(["lived", "visited"]) },
+    ["country", "country_type"]
+  ),
+});
+const validateDeleteCountry = validate({
+  params: object({ username: username(), countryId: id() }, ["username", "countryId"]),
+});
 
 /**
  * Get current user (requires authentication via token/header)
@@ -103,26 +223,141 @@ router.get("/me", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Export everything tied to the current account
+ * GET /users/me/export?format=zip|json
+ * zip (default): one JSON file per data set; json: a single document
+ */
+router.get("/me/export", requireAuth, validateExport, async (req, res) => {
+  const format = req.query.format === "json" ? "json" : "zip";
+
+  try {
+    const data = await collectUserData(req.user);
+    const exportedAt = new Date().toISOString();
+    const baseName = `connectsphere-export-${req.user.username}-${exportedAt.slice(0, 10)}`;
+
+    res.setHeader("Cache-Control", "no-store");
+
+    if (format === "json") {
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}.json"`);
+      return res.json({ exported_at: exportedAt, ...data });
+    }
+
+    const entries = [
+      { name: "export.json", data: JSON.stringify({ exported_at: exportedAt, username: req.user.username }, null, 2) },
+      ...Object.entries(data).map(([name, rows]) => ({ name: `${name}.json`, data: JSON.stringify(rows, null, 2) })),
+    ];
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.zip"`);
+    res.send(createZip(entries));
+  } catch (err) {
+    console.error("export user data error:", err);
+    res.status(500).json({ message: "Server error while exporting user data." });
+  }
+});
+
+/**
+ * Change the current user's username
+ * PUT /users/me/username
+ * Body: { username }
+ * Every username-keyed row is migrated atomically and the old name keeps
+ * resolving via GET /users/username/:username. Limited to one rename per
+ * USERNAME_CHANGE_COOLDOWN_DAYS (429 with Retry-After).
+ */
+router.put("/me/username", requireAuth, validateChangeUsername, async (req, res) => {
+  try {
+    const user = await changeUsername(req, res, req.body.username);
+    if (!user) return;
+
+    res.json(sanitizeUser(user));
+  } catch (err) {
+    console.error("change username error:", err);
+    res.status(500).json({ message: "Server error while changing username." });
+  }
+});
+
+/**
+ * List the current user's active sessions (signed-in devices)
+ * GET /users/me/sessions
+ * The session making the request is flagged with `current: true`.
+ */
+router.get("/me/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(sessions.map((s) => ({ ...s, current: s.id === req.sessionId })));
+  } catch (err) {
+    console.error("list sessions error:", err);
+    res.status(500).json({ message: "Server error while fetching sessions." });
+  }
+});
+
+/**
+ * Revoke one of the current user's sessions and disconnect its live sockets
+ * DELETE /users/me/sessions/:id
+ */
+router.delete("/me/sessions/:id", requireAuth, validateSessionId, async (req, res) => {
+  const sessionId = req.params.id;
+
+  try {
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) return res.status(404).json({ message: "Session not found." });
+
+    const io = req.app.get("io");
+    if (io) disconnectSessionSockets(io, sessionId, "session_revoked", "Session revoked");
+
+    res.json({ message: "Session revoked.", id: sessionId, current: sessionId === req.sessionId });
+  } catch (err) {
+    console.error("revoke session error:", err);
+    res.status(500).json({ message: "Server error while revoking session." });
+  }
+});
+
+/**
+ * Permanently delete the current account and its data
+ * DELETE /users/me
+ * Safe to retry if a previous attempt failed part-way.
+ */
+router.delete("/me", requireAuth, async (req, res) => {
+  const user = req.user;
+
+  try {
+    const deleted = await deleteUserAccount(user);
+
+    invalidateUserProfile(user.id);
+
+    const io = req.app.get("io");
+    if (io) disconnectUserSockets(io, user.username, "account_deleted", "Account deleted");
+
+    res.json({ message: "Account deleted.", deleted });
+  } catch (err) {
+    console.error("delete account error:", err);
+    res.status(500).json({ message: "Server error while deleting account." });
+  }
+});
+
 /**
  * Create or update a user profile (called after Supabase Auth signup)
  * POST /users/create-profile
  * Body: { id, email, username, name?, gender?, bio?, avatar? }
+ * `id` must be the authenticated Supabase user.
  */
-router.post("/create-profile", async (req, res) => {
+router.post("/create-profile", requireAuthToken, validateCreateProfile, async (req, res) => {
   const { id, email, username, name, gender, bio, avatar } = req.body;
-  if (!id || !email || !username) return res.status(400).json({ message: "Missing required fields." });
+  if (id !== req.auth.id) return res.status(403).json({ message: "id does not match the authenticated user." });
+
+  // Existing (possibly legacy) usernames are left alone
+  const usernameProblem = req.user && req.user.username === username ? null : validateUsername(username);
+  if (usernameProblem) return res.status(400).json({ message: usernameProblem });
 
   try {
-    // Ensure username uniqueness if changing it
-    if (username) {
-      const { data: exists, error: existsErr } = await supabase
-        .from("users")
-        .select("id")
-        .eq("username", username)
-        .neq("id", id)
-        .limit(1);
-      if (existsErr) throw existsErr;
-      if (exists && exists.length > 0) {
+    // An existing profile changing its username goes through the rename (references + alias)
+    if (req.user && req.user.username !== username) {
+      const renamed = await changeUsername(req, res, username);
+      if (!renamed) return;
+    } else {
+      const taken = await findTakenUsernames([username], id);
+      if (taken.size > 0) {
         return res.status(409).json({ message: "Username already taken." });
       }
     }
@@ -134,6 +369,7 @@ router.post("/create-profile", async (req, res) => {
       .single();
 
     if (error) throw error;
+    invalidateUserProfile(id);
     res.json(data);
   } catch (err) {
     console.error("create-profile error:", err);
@@ -145,7 +381,7 @@ router.post("/create-profile", async (req, res) => {
  * Get profile by user id (with counters)
  * GET /users/id/:id
  */
-router.get("/id/:id", async (req, res) => {
+router.get("/id/:id", validateUserIdParam, async (req, res) => {
   const { id } = req.params;
   try {
     const user = await getUserById(id);
@@ -168,19 +404,26 @@ router.get("/id/:id", async (req, res) => {
  * Get profile by username (with counters)
  * GET /users/username/:username
  */
-router.get("/username/:username", async (req, res) => {
+router.get("/username/:username", validateUsernameParam, async (req, res) => {
   const { username } = req.params;
   try {
-    const user = await getUserByUsername(username);
-    if (!user) return res.status(404).json({ message: "User not found." });
+    let user = await getUserByUsername(username);
+    let redirectedFrom;
+
+    // Old profile links: resolve a former username to the current profile
+    if (!user) {
+      user = sanitizeUser(await resolveUsernameAlias(username));
+      if (!user) return res.status(404).json({ message: "User not found." });
+      redirectedFrom = username;
+    }
 
     const [followers, following, posts] = await Promise.all([
-      countFollowers(username),
-      countFollowing(username),
-      countPosts(username),
+      countFollowers(user.username),
+      countFollowing(user.username),
+      countPosts(user.username),
     ]);
 
-    res.json({ ...user, followers, following, posts });
+    res.json({ ...user, followers, following, posts, ...(redirectedFrom && { redirected_from: redirectedFrom }) });
   } catch (err) {
     console.error("get by username error:", err);
     res.status(500).json({ message: "Server error while fetching profile." });
@@ -188,14 +431,18 @@ router.get("/username/:username", async (req, res) => {
 });
 
 /**
- * Update profile by id
+ * Update profile by id (own profile only)
  * PUT /users/:id
  * Body: { name?, gender?, bio?, avatar?, background_image?, username?, status?, age?, date_of_birth?,
  *         country?, city?, flag?, interests?, about_me?, specialties?, 
  *         latitude?, longitude?, is_online? }
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireAuth, validateUpdateProfile, async (req, res) => {
   const { id } = req.params;
+  if (id !== req.user.id) {
+    return res.status(403).json({ message: "Not allowed to update this profile." });
+  }
+
   const {
     name, gender, bio, avatar, background_image, username, status, age, date_of_birth,
     country, city, flag, interests, about_me, specialties,
@@ -203,17 +450,10 @@ router.put("/:id", async (req, res) => {
   } = req.body;
 
   try {
-    if (username) {
-      const { data: exists, error: existsErr } = await supabase
-        .from("users")
-        .select("id")
-        .eq("username", username)
-        .neq("id", id)
-        .limit(1);
-      if (existsErr) throw existsErr;
-      if (exists && exists.length > 0) {
-        return res.status(409).json({ message: "Username already taken." });
-      }
+    // Renames move every username-keyed row, so they run before the plain column updates
+    if (username !== undefined && username !== req.user.username) {
+      const renamed = await changeUsername(req, res, username);
+      if (!renamed) return;
     }
 
     const updates = {};
@@ -222,7 +462,6 @@ router.put("/:id", async (req, res) => {
     if (bio !== undefined) updates.bio = bio;
     if (avatar !== undefined) updates.avatar = avatar;
     if (background_image !== undefined) updates.background_image = background_image;
-    if (username !== undefined) updates.username = username;
     if (status !== undefined) updates.status = status;
     if (age !== undefined) updates.age = age;
     if (date_of_birth !== undefined) updates.date_of_birth = date_of_birth;
@@ -242,9 +481,11 @@ router.put("/:id", async (req, res) => {
       updates.last_seen = new Date().toISOString();
     }
 
-    const { data, error } = await supabase
-      .from("users")
-      .update(updates)
+    // A username-only request has nothing left to update
+    const query = Object.keys(updates).length
+      ? supabase.from("users").update(updates)
+      : supabase.from("users").select("*");
+    const { data, error } = await query
       .eq("id", id)
       .select("*")
       .maybeSingle();
@@ -258,6 +499,10 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    // Images replaced by URL; only files uploaded for this user go, and deleteStoredFiles keeps any still in use
+    const replaced = ["avatar", "background_image"].filter((col) => updates[col] !== undefined).map((col) => req.user[col]);
+    await deleteStoredFiles(ownedFileUrls(replaced, userFileLocations(req.user)));
+    invalidateUserProfile(id);
     res.json(data);
   } catch (err) {
     console.error("update profile error:", err);
@@ -271,7 +516,7 @@ router.put("/:id", async (req, res) => {
  * Search users by username or name (case-insensitive) with optional filters
  * GET /users/search?q=keyword&gender=Male&min_age=18&max_age=30
  */
-router.get("/search", async (req, res) => {
+router.get("/search", validateSearchUsers, async (req, res) => {
   const q = (req.query.q || "").trim();
   if (!q) return res.json([]);
   
@@ -317,14 +562,19 @@ router.get("/search", async (req, res) => {
 /**
  * Check username availability
  * GET /users/check-username?username=foo
+ * Usernames breaking the format rules are reported as unavailable with a `reason`.
  */
-router.get("/check-username", async (req, res) => {
+router.get("/check-username", validateCheckUsername, async (req, res) => {
   const username = (req.query.username || "").trim();
   if (!username) return res.status(400).json({ message: "Missing username." });
+
+  const reason = validateUsername(username);
+  if (reason) return res.json({ username, available: false, reason });
+
   try {
-    const { data, error } = await supabase.from("users").select("id").eq("username", username).limit(1);
-    if (error) throw error;
-    const available = !data || data.length === 0;
+    // Former usernames stay reserved for their owner
+    const taken = await findTakenUsernames([username]);
+    const available = taken.size === 0;
     res.json({ username, available });
   } catch (err) {
     console.error("check-username error:", err);
@@ -360,7 +610,7 @@ router.get("/:id([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-
  * Get all users with optional filters
  * GET /users?limit=20&gender=Male&min_age=18&max_age=30
  */
-router.get("/", async (req, res) => {
+router.get("/", validateListUsers, async (req, res) => {
   const limit = Math.min(Number(req.query.limit || 20), 100);
   const genderParam = req.query.gender;
   const minAge = req.query.min_age ? Number(req.query.min_age) : null;
@@ -402,15 +652,13 @@ router.get("/", async (req, res) => {
 /* ------------------------------- Follow System ------------------------------- */
 
 /**
- * Follow a user
+ * Follow a user (follower is the authenticated user)
  * POST /users/:username/follow
- * Body: { followerUsername }
  */
-router.post("/:username/follow", async (req, res) => {
+router.post("/:username/follow", requireAuth, rateLimit("follows"), matchIdentity("followerUsername"), validateFollow, async (req, res) => {
   const followeeUsername = req.params.username;
-  const { followerUsername } = req.body;
+  const followerUsername = req.user.username;
 
-  if (!followerUsername) return res.status(400).json({ message: "Missing follower username." });
   if (followerUsername === followeeUsername)
     return res.status(400).json({ message: "You cannot follow yourself." });
 
@@ -440,15 +688,12 @@ router.post("/:username/follow", async (req, res) => {
 });
 
 /**
- * Unfollow a user
+ * Unfollow a user (follower is the authenticated user)
  * DELETE /users/:username/follow
- * Body: { followerUsername }
  */
-router.delete("/:username/follow", async (req, res) => {
+router.delete("/:username/follow", requireAuth, rateLimit("follows"), matchIdentity("followerUsername"), validateFollow, async (req, res) => {
   const followeeUsername = req.params.username;
-  const { followerUsername } = req.body;
-
-  if (!followerUsername) return res.status(400).json({ message: "Missing follower username." });
+  const followerUsername = req.user.username;
 
   try {
     const del = await supabase
@@ -474,7 +719,7 @@ router.delete("/:username/follow", async (req, res) => {
  * GET /users/:username/followers
  * Optional query: viewer=<username> to include "is_followed_by_viewer"
  */
-router.get("/:username/followers", async (req, res) => {
+router.get("/:username/followers", validateFollowList, async (req, res) => {
   const { username } = req.params;
   const viewer = (req.query.viewer || "").trim();
 
@@ -520,7 +765,7 @@ router.get("/:username/followers", async (req, res) => {
  * GET /users/:username/following
  * Optional query: viewer=<username>
  */
-router.get("/:username/following", async (req, res) => {
+router.get("/:username/following", validateFollowList, async (req, res) => {
   const { username } = req.params;
   const viewer = (req.query.viewer || "").trim();
 
@@ -562,7 +807,7 @@ router.get("/:username/following", async (req, res) => {
  * Check follow status (does viewer follow target?)
  * GET /users/:username/follow-status?viewer=<viewerUsername>
  */
-router.get("/:username/follow-status", async (req, res) => {
+router.get("/:username/follow-status", validateFollowList, async (req, res) => {
   const target = req.params.username;
   const viewer = (req.query.viewer || "").trim();
   if (!viewer) return res.status(400).json({ message: "Missing viewer." });
@@ -588,7 +833,7 @@ router.get("/:username/follow-status", async (req, res) => {
  * GET /users/:username/following/:followerUsername
  * Returns: { isFollowing: boolean }
  */
-router.get("/:username/following/:followerUsername", async (req, res) => {
+router.get("/:username/following/:followerUsername", validateFollowPair, async (req, res) => {
   const target = req.params.username;
   const viewer = req.params.followerUsername;
 
@@ -613,7 +858,7 @@ router.get("/:username/following/:followerUsername", async (req, res) => {
  * GET /users/:username/mutual-follow/:otherUsername
  * Returns: { isMutualFollow: boolean }
  */
-router.get("/:username/mutual-follow/:otherUsername", async (req, res) => {
+router.get("/:username/mutual-follow/:otherUsername", validateMutualFollow, async (req, res) => {
   const user1 = req.params.username;
   const user2 = req.params.otherUsername;
 
@@ -647,26 +892,36 @@ router.get("/:username/mutual-follow/:otherUsername", async (req, res) => {
 /* ------------------------------- User Content -------------------------------- */
 
 /**
- * Get a user's posts with media
+ * Get a user's posts with media, limited to those the caller may see
  * GET /users/:username/posts
  * Optional: ?limit=20
  */
-router.get("/:username/posts", async (req, res) => {
+router.get("/:username/posts", optionalAuth, validateUserPosts, async (req, res) => {
   const { username } = req.params;
   const limit = Number(req.query.limit || 20);
+  const viewer = req.user ? req.user.username : null;
 
   try {
-    const { data, error } = await supabase
-      .from("posts")
-      .select(
-        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, comment_count, created_at, updated_at, post_media(id, media_url, media_type, position)"
-      )
-      .eq("author_username", username)
-      .order("created_at", { ascending: false })
-      .limit(limit);
+    const data = await fetchVisiblePosts(
+      (before, batchSize) => {
+        let query = supabase
+          .from("posts")
+          .select(
+            "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at, post_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec)"
+          )
+          .eq("author_username", username)
+          .order("created_at", { ascending: false })
+          .order("id", { ascending: false })
+          .limit(batchSize);
+
+        if (before) query = query.or(olderPostsFilter(before));
+        return query;
+      },
+      viewer,
+      { limit }
+    );
 
-    if (error) throw error;
-    res.json(data);
+    res.json(await attachSharedPosts(data, viewer));
   } catch (err) {
     console.error("user posts error:", err);
     res.status(500).json({ message: "Server error while fetching user posts." });
@@ -674,13 +929,14 @@ router.get("/:username/posts", async (req, res) => {
 });
 
 /**
- * Get posts liked by a user
+ * Get posts liked by a user, limited to those the caller may see
  * GET /users/:username/liked-posts
  * Optional: ?limit=20
  */
-router.get("/:username/liked-posts", async (req, res) => {
+router.get("/:username/liked-posts", optionalAuth, validateUserPosts, async (req, res) => {
   const { username } = req.params;
   const limit = Number(req.query.limit || 20);
+  const viewer = req.user ? req.user.username : null;
 
   try {
     // Get post_ids liked by user
@@ -699,16 +955,16 @@ router.get("/:username/liked-posts", async (req, res) => {
     const { data: posts, error: pErr } = await supabase
       .from("posts")
       .select(
-        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, comment_count, created_at, updated_at, post_media(id, media_url, media_type, position)"
+        "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at, post_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec)"
       )
       .in("id", ids);
     if (pErr) throw pErr;
 
     // Keep original like ordering
-    const map = new Map(posts.map((p) => [p.id, p]));
+    const map = new Map((await filterVisiblePosts(posts, viewer)).map((p) => [p.id, p]));
     const ordered = ids.map((id) => map.get(id)).filter(Boolean);
 
-    res.json(ordered);
+    res.json(await attachSharedPosts(ordered, viewer));
   } catch (err) {
     console.error("liked-posts error:", err);
     res.status(500).json({ message: "Server error while fetching liked posts." });
@@ -722,11 +978,12 @@ router.get("/:username/liked-posts", async (req, res) => {
  * POST /users/:userId/avatar
  * FormData: avatar (file)
  */
-router.post("/:userId/avatar", upload.single("avatar"), async (req, res) => {
+router.post("/:userId/avatar", requireAuth, upload.single("avatar"), validateAvatarUserId, async (req, res) => {
   const userId = req.params.userId;
   const file = req.file;
 
   if (!userId) return res.status(400).json({ message: "Missing user id." });
+  if (userId !== req.user.id) return res.status(403).json({ message: "Not allowed to update this profile." });
   if (!file) return res.status(400).json({ message: "No file uploaded." });
 
   try {
@@ -734,25 +991,19 @@ router.post("/:userId/avatar", upload.single("avatar"), async (req, res) => {
     const user = await getUserById(userId);
     if (!user) return res.status(404).json({ message: "User not found." });
 
-    const safeName = cleanFileName(file.originalname);
-    const fileName = `${cleanFileName(user.username || userId)}_${Date.now()}_${safeName}`;
-    const filePath = `avatars/${fileName}`;
-
+    const { error: mediaError, media } = await prepareMedia(file, "avatar");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
     // Upload to Storage
-    const up = await supabase.storage
-      .from("avatars")
-      .upload(filePath, file.buffer, { contentType: file.mimetype, upsert: true });
-    if (up.error) throw up.error;
-
-    // Public URL
-    const { data: publicUrl } = supabase.storage.from("avatars").getPublicUrl(filePath);
-    const avatarUrl = publicUrl.publicUrl;
+    const filePath = `avatars/${cleanFileName(user.username || userId)}_${Date.now()}`;
+    const { media_url: avatarUrl } = await storeMedia("avatars", filePath, media[0]);
 
     // Update DB
     const { error: updateErr } = await supabase.from("users").update({ avatar: avatarUrl }).eq("id", userId);
     if (updateErr) throw updateErr;
 
+    await deleteStoredFiles(ownedFileUrls([user.avatar], userFileLocations(user)));
+    invalidateUserProfile(userId);
     res.json({ avatarUrl });
   } catch (err) {
     console.error("upload-avatar error:", err);
@@ -765,11 +1016,12 @@ router.post("/:userId/avatar", upload.single("avatar"), async (req, res) => {
  * POST /users/upload-avatar?id=<user_id>
  * FormData: avatar (file)
  */
-router.post("/upload-avatar", upload.single("avatar"), async (req, res) => {
+router.post("/upload-avatar", requireAuth, upload.single("avatar"), validateLegacyAvatar, async (req, res) => {
   const userId = req.query.id;
   const file = req.file;
 
   if (!userId) return res.status(400).json({ message: "Missing user id." });
+  if (userId !== req.user.id) return res.status(403).json({ message: "Not allowed to update this profile." });
   if (!file) return res.status(400).json({ message: "No file uploaded." });
 
   try {
@@ -777,25 +1029,19 @@ router.post("/upload-avatar", upload.single("avatar"), async (req, res) => {
     const user = await getUserById(userId);
     if (!user) return res.status(404).json({ message: "User not found." });
 
-    const safeName = cleanFileName(file.originalname);
-    const fileName = `${cleanFileName(user.username || userId)}_${Date.now()}_${safeName}`;
-    const filePath = `avatars/${fileName}`;
-
+    const { error: mediaError, media } = await prepareMedia(file, "avatar");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
     // Upload to Storage
-    const up = await supabase.storage
-      .from("avatars")
-      .upload(filePath, file.buffer, { contentType: file.mimetype, upsert: true });
-    if (up.error) throw up.error;
-
-    // Public URL
-    const { data: publicUrl } = supabase.storage.from("avatars").getPublicUrl(filePath);
-    const avatarUrl = publicUrl.publicUrl;
+    const filePath = `avatars/${cleanFileName(user.username || userId)}_${Date.now()}`;
+    const { media_url: avatarUrl } = await storeMedia("avatars", filePath, media[0]);
 
     // Update DB
     const { error: updateErr } = await supabase.from("users").update({ avatar: avatarUrl }).eq("id", userId);
     if (updateErr) throw updateErr;
 
+    await deleteStoredFiles(ownedFileUrls([user.avatar], userFileLocations(user)));
+    invalidateUserProfile(userId);
     res.json({ avatarUrl });
   } catch (err) {
     console.error("upload-avatar error:", err);
@@ -810,11 +1056,15 @@ router.post("/upload-avatar", upload.single("avatar"), async (req, res) => {
  * POST /users/:userId/background-image
  * FormData: background_image (file)
  */
-router.post("/:userId/background-image", upload.single("background_image"), async (req, res) => {
+router.post("/:userId/background-image", requireAuth, upload.single("background_image"), validateAvatarUserId, async (req, res) => {
   try {
     const { userId } = req.params;
     const file = req.file;
 
+    if (userId !== req.user.id) {
+      return res.status(403).json({ message: "Not allowed to update this profile." });
+    }
+
     if (!file) {
       return res.status(400).json({ message: "No file uploaded." });
     }
@@ -825,28 +1075,11 @@ router.post("/:userId/background-image", upload.single("background_image"), asyn
       return res.status(404).json({ message: "User not found." });
     }
 
-    // Generate unique filename
-    const fileName = `${userId}-${Date.now()}.${file.mimetype.split('/')[1]}`;
+    const { error: mediaError, media } = await prepareMedia(file, "background");
+    if (mediaError) return res.status(400).json({ message: mediaError });
 
     // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from("background-images")
-      .upload(fileName, file.buffer, {
-        contentType: file.mimetype,
-        upsert: true,
-      });
-
-    if (uploadError) {
-      console.error("Upload error:", uploadError);
-      return res.status(500).json({ message: "Failed to upload image." });
-    }
-
-    // Get public URL
-    const { data: publicUrlData } = supabase.storage
-      .from("background-images")
-      .getPublicUrl(fileName);
-
-    const backgroundImageUrl = publicUrlData.publicUrl;
+    const { media_url: backgroundImageUrl } = await storeMedia("background-images", `${userId}-${Date.now()}`, media[0]);
 
     // Update user record
     const { error: updateError } = await supabase
@@ -859,6 +1092,8 @@ router.post("/:userId/background-image", upload.single("background_image"), asyn
       return res.status(500).json({ message: "Failed to update profile." });
     }
 
+    await deleteStoredFiles(ownedFileUrls([user.background_image], userFileLocations(user)));
+    invalidateUserProfile(userId);
     res.json({ backgroundImageUrl });
   } catch (error) {
     console.error("Upload background image error:", error);
@@ -872,7 +1107,7 @@ router.post("/:userId/background-image", upload.single("background_image"), asyn
  * Get lightweight user stats (followers, following, posts)
  * GET /users/:username/stats
  */
-router.get("/:username/stats", async (req, res) => {
+router.get("/:username/stats", validateUsernameParam, async (req, res) => {
   const { username } = req.params;
   try {
     const [followers, following, posts] = await Promise.all([
@@ -893,7 +1128,7 @@ router.get("/:username/stats", async (req, res) => {
  * Get user languages
  * GET /users/:username/languages
  */
-router.get("/:username/languages", async (req, res) => {
+router.get("/:username/languages", validateUsernameParam, async (req, res) => {
   const { username } = req.params;
 
   try {
@@ -916,12 +1151,13 @@ router.get("/:username/languages", async (req, res) => {
  * POST /users/:username/languages
  * Body: { language, proficiency }
  */
-router.post("/:username/languages", async (req, res) => {
+router.post("/:username/languages", requireAuth, validateAddLanguage, async (req, res) => {
   const { username } = req.params;
+  if (username !== req.user.username) {
+    return res.status(403).json({ message: "Not allowed to modify another user's languages." });
+  }
   const { language, proficiency = "Intermediate" } = req.body;
 
-  if (!language) return res.status(400).json({ message: "Missing language." });
-
   try {
     const { data, error } = await supabase
       .from("user_languages")
@@ -941,8 +1177,11 @@ router.post("/:username/languages", async (req, res) => {
  * Delete user language
  * DELETE /users/:username/languages/:languageId
  */
-router.delete("/:username/languages/:languageId", async (req, res) => {
+router.delete("/:username/languages/:languageId", requireAuth, validateDeleteLanguage, async (req, res) => {
   const { username } = req.params;
+  if (username !== req.user.username) {
+    return res.status(403).json({ message: "Not allowed to modify another user's languages." });
+  }
   const languageId = Number(req.params.languageId);
 
   try {
@@ -966,7 +1205,7 @@ router.delete("/:username/languages/:languageId", async (req, res) => {
  * Get user countries (lived/visited)
  * GET /users/:username/countries?type=lived|visited
  */
-router.get("/:username/countries", async (req, res) => {
+router.get("/:username/countries", validateListCountries, async (req, res) => {
   const { username } = req.params;
   const type = req.query.type; // 'lived' or 'visited'
 
@@ -995,13 +1234,12 @@ router.get("/:username/countries", async (req, res) => {
  * POST /users/:username/countries
  * Body: { country, country_type: 'lived'|'visited' }
  */
-router.post("/:username/countries", async (req, res) => {
+router.post("/:username/countries", requireAuth, validateAddCountry, async (req, res) => {
   const { username } = req.params;
-  const { country, country_type } = req.body;
-
-  if (!country || !country_type) {
-    return res.status(400).json({ message: "Missing country or country_type." });
+  if (username !== req.user.username) {
+    return res.status(403).json({ message: "Not allowed to modify another user's countries." });
   }
+  const { country, country_type } = req.body;
 
   try {
     const { data, error } = await supabase
@@ -1022,8 +1260,11 @@ router.post("/:username/countries", async (req, res) => {
  * Delete user country
  * DELETE /users/:username/countries/:countryId
  */
-router.delete("/:username/countries/:countryId", async (req, res) => {
+router.delete("/:username/countries/:countryId", requireAuth, validateDeleteCountry, async (req, res) => {
   const { username } = req.params;
+  if (username !== req.user.username) {
+    return res.status(403).json({ message: "Not allowed to modify another user's countries." });
+  }
   const countryId = Number(req.params.countryId);
 
   try {
@@ -1047,7 +1288,7 @@ router.delete("/:username/countries/:countryId", async (req, res) => {
  * Calculate and get profile completion percentage
  * GET /users/:username/profile-completion
  */
-router.get("/:username/profile-completion", async (req, res) => {
+router.get("/:username/profile-completion", validateUsernameParam, async (req, res) => {
   const { username } = req.params;
 
   try {
@@ -0,0 +1,24 @@
+const proxyaddr = require("proxy-addr");
+
+/**
+ * Client IP of HTTP requests and WebSocket handshakes, by one trust rule.
+ *
+ * TRUST_PROXY_HOPS reverse proxies (Railway, Render, ...) sit in front of the server and
+ * append the address they saw to X-Forwarded-For. Entries further left were written by
+ * the client and prove nothing, so the client IP is the entry that many hops from the
+ * right, or the socket address without a proxy. index.js hands the same value to Express
+ * ("trust proxy"), so req.ip agrees.
+ */
+
+const TRUST_PROXY_HOPS = 1;
+const trustHops = (_address, hop) => hop < TRUST_PROXY_HOPS;
+
+/**
+ * @param {import("http").IncomingMessage} req - an Express request, or socket.request of a socket.io socket
+ * @returns {string|undefined}
+ */
+function clientIp(req) {
+  return proxyaddr(req, trustHops);
+}
+
+module.exports = { TRUST_PROXY_HOPS, clientIp };
@@ -0,0 +1,43 @@
+/**
+ * Opaque pagination cursors: the sort keys of the last item of a page,
+ * base64url-encoded so clients pass them back unchanged (`?cursor=`).
+ */
+
+/**
+ * @param {object} keys - e.g. { created_at, id }
+ * @returns {string}
+ */
+function encodeCursor(keys) {
+  return Buffer.from(JSON.stringify(keys)).toString("base64url");
+}
+
+/**
+ * @param {string} cursor
+ * @param {string[]} fields - keys the cursor must carry
+ * @returns {object|null} null when the cursor is malformed
+ */
+function decodeCursor(cursor, fields) {
+  try {
+    const keys = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!keys || typeof keys !== "object") return null;
+    return fields.every((f) => keys[f] !== undefined && keys[f] !== null) ? keys : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A timestamp as UTC ISO text with all of its microseconds. Postgres keeps microseconds and
+ * toISOString drops them; a cursor without them repeats or skips rows of the same millisecond.
+ * @param {string} value - any time Date.parse reads
+ * @returns {string|null} null when it is not a time
+ */
+function preciseTimestamp(value) {
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) return null;
+  const micros = /\.(\d{1,6})(?=Z|[+-]|$)/.exec(value);
+  const fraction = micros ? micros[1].padEnd(6, "0") : "000000";
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, `.${fraction}Z`);
+}
+
+module.exports = { encodeCursor, decodeCursor, preciseTimestamp };
@@ -0,0 +1,208 @@
+const { supabase } = require("../db/supabaseClient");
+const { isPublished, filterVisiblePosts } = require("./postVisibility");
+
+/**
+ * Personalized home feed (GET /posts/feed).
+ *
+ * Candidates come from the viewer's own posts, authors they follow, communities
+ * they are an approved member of, and recently popular public posts. Each
+ * candidate is scored by engagement and relationship strength, decayed by age:
+ *
+ *   score = (1 + engagement + affinity) / (age_hours + 2) ^ 1.5
+ *
+ * Pages are cut from one ranking snapshot: the cursor carries the time the
+ * first page was built, so later pages score with the same clock and ignore
+ * posts created after it.
+ */
+
+const FEED_LOOKBACK_DAYS = Number(process.env.FEED_LOOKBACK_DAYS || 14);
+// Upper bound of posts fetched per candidate source
+const CANDIDATES_PER_SOURCE = 300;
+const TRENDING_WINDOW_HOURS = 48;
+const TRENDING_CANDIDATES = 100;
+const IN_CHUNK_SIZE = 200;
+
+const POST_COLUMNS =
+  "id, author_username, content, status, audience, disable_comments, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at";
+
+// Relationship weights
+const AFFINITY = {
+  own: 1,
+  following: 2,
+  mutual: 1,
+  community: 1,
+  // per log-unit of likes the viewer gave the author during the lookback window
+  interaction: 1,
+};
+
+/* --------------------------------- Helpers --------------------------------- */
+
+function chunk(values, size = IN_CHUNK_SIZE) {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) out.push(values.slice(i, i + size));
+  return out;
+}
+
+async function selectColumn(table, column, filters) {
+  let query = supabase.from(table).select(column);
+  for (const [key, value] of Object.entries(filters)) query = query.eq(key, value);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map((row) => row[column]);
+}
+
+// Most recent posts within [since, until] where `column` is one of `values`
+async function recentPostsWhereIn(column, values, { since, until }) {
+  const posts = [];
+  for (const part of chunk(values)) {
+    const { data, error } = await supabase
+      .from("posts")
+      .select(POST_COLUMNS)
+      .in(column, part)
+      .gte("created_at", since)
+      .lte("created_at", until)
+      .order("created_at", { ascending: false })
+      .limit(CANDIDATES_PER_SOURCE);
+    if (error) throw error;
+    posts.push(...(data || []));
+  }
+  return posts
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+    .slice(0, CANDIDATES_PER_SOURCE);
+}
+
+/* ------------------------------- Candidates -------------------------------- */
+
+/**
+ * Who and what the viewer is connected to
+ */
+async function loadViewerGraph(viewer, since) {
+  const [following, followers, communityIds] = await Promise.all([
+    selectColumn("user_follows", "followee_username", { follower_username: viewer }),
+    selectColumn("user_follows", "follower_username", { followee_username: viewer }),
+    selectColumn("community_members", "community_id", { username: viewer, status: "approved" }),
+  ]);
+
+  // Likes the viewer gave recently, per author
+  const { data: likes, error: likesErr } = await supabase
+    .from("post_likes")
+    .select("post_id")
+    .eq("username", viewer)
+    .gte("created_at", since)
+    .limit(1000);
+  if (likesErr) throw likesErr;
+
+  const likesByAuthor = new Map();
+  for (const part of chunk((likes || []).map((l) => l.post_id))) {
+    const { data, error } = await supabase.from("posts").select("id, author_username").in("id", part);
+    if (error) throw error;
+    for (const p of data || []) {
+      likesByAuthor.set(p.author_username, (likesByAuthor.get(p.author_username) || 0) + 1);
+    }
+  }
+
+  return {
+    following: new Set(following),
+    followers: new Set(followers),
+    communities: new Set(communityIds),
+    likesByAuthor,
+  };
+}
+
+/**
+ * Candidate posts keyed by id, each with the reasons it was picked.
+ * Only published posts the viewer may see are kept; posts waiting for community
+ * approval stay out of the feed even for their author and moderators.
+ */
+async function collectCandidates(viewer, graph, { since, until }) {
+  const trendingSince = new Date(Math.max(Date.parse(since), Date.parse(until) - TRENDING_WINDOW_HOURS * 3600 * 1000)).toISOString();
+
+  const [followed, community, trending] = await Promise.all([
+    recentPostsWhereIn("author_username", [viewer, ...graph.following], { since, until }),
+    recentPostsWhereIn("community_id", [...graph.communities], { since, until }),
+    supabase
+      .from("posts")
+      .select(POST_COLUMNS)
+      .eq("audience", "public")
+      .is("community_id", null)
+      .gte("created_at", trendingSince)
+      .lte("created_at", until)
+      .order("like_count", { ascending: false })
+      .limit(TRENDING_CANDIDATES)
+      .then(({ data, error }) => {
+        if (error) throw error;
+        return data || [];
+      }),
+  ]);
+
+  const published = [...followed, ...community, ...trending].filter(isPublished);
+  const visible = new Set((await filterVisiblePosts(published, viewer)).map((p) => p.id));
+
+  const candidates = new Map();
+  const add = (post, reason) => {
+    if (!visible.has(post.id)) return;
+    const entry = candidates.get(post.id) || { post, reasons: new Set() };
+    entry.reasons.add(reason);
+    candidates.set(post.id, entry);
+  };
+
+  followed.forEach((p) => add(p, p.author_username === viewer ? "own" : "following"));
+  community.forEach((p) => add(p, "community"));
+  trending.forEach((p) => add(p, "trending"));
+
+  return candidates;
+}
+
+/* --------------------------------- Ranking --------------------------------- */
+
+function scoreCandidate({ post, reasons }, graph, now) {
+  const ageHours = Math.max(0, (now - Date.parse(post.created_at)) / 3600000);
+  const engagement = Math.log1p(post.like_count || 0) + 2 * Math.log1p(post.comment_count || 0);
+
+  let affinity = 0;
+  if (reasons.has("own")) affinity += AFFINITY.own;
+  if (reasons.has("following")) affinity += AFFINITY.following;
+  if (reasons.has("following") && graph.followers.has(post.author_username)) affinity += AFFINITY.mutual;
+  if (reasons.has("community")) affinity += AFFINITY.community;
+  affinity += AFFINITY.interaction * Math.log1p(graph.likesByAuthor.get(post.author_username) || 0);
+
+  return (1 + engagement + affinity) / Math.pow(ageHours + 2, 1.5);
+}
+
+// Primary reason shown to clients, strongest relationship first
+function feedReason(reasons) {
+  return ["own", "following", "community", "trending"].find((r) => reasons.has(r));
+}
+
+/**
+ * One page of the viewer's ranked feed
+ * @param {string} viewer - username
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {{ now: number, score: number, id: number }|null} [options.after] - decoded cursor of the previous page
+ * @returns {Promise<{ posts: object[], next: { now: number, score: number, id: number }|null }>}
+ *   posts carry `feed_reason`: own | following | community | trending
+ */
+async function buildFeed(viewer, { limit, after = null }) {
+  const now = after ? after.now : Date.now();
+  const until = new Date(now).toISOString();
+  const since = new Date(now - FEED_LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString();
+
+  const graph = await loadViewerGraph(viewer, since);
+  const candidates = await collectCandidates(viewer, graph, { since, until });
+
+  const ranked = [...candidates.values()]
+    .map((c) => ({ ...c, score: scoreCandidate(c, graph, now) }))
+    .sort((a, b) => b.score - a.score || b.post.id - a.post.id)
+    .filter((c) => !after || c.score < after.score || (c.score === after.score && c.post.id < after.id));
+
+  const page = ranked.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    posts: page.map((c) => ({ ...c.post, feed_reason: feedReason(c.reasons) })),
+    next: ranked.length > limit ? { now, score: last.score, id: last.post.id } : null,
+  };
+}
+
+module.exports = { buildFeed, FEED_LOOKBACK_DAYS };
@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * Local JWT verification (HS256 / RS256 / ES256) on top of Node's crypto module.
+ *
+ * Keys come from a shared HMAC secret and/or a JWKS document, loaded either from
+ * a URL (refetched when an unknown `kid` shows up, i.e. on key rotation) or from
+ * a file on disk, which lets tests sign their own tokens without a live auth service.
+ */
+
+const SUPPORTED_ALGS = {
+  HS256: { type: "hmac", hash: "sha256" },
+  RS256: { type: "rsa", hash: "sha256" },
+  ES256: { type: "ec", hash: "sha256" },
+};
+
+// Allowed clock drift between us and the token issuer
+const CLOCK_SKEW_SECONDS = 30;
+
+// Do not hammer the JWKS endpoint when clients send tokens with bogus kids
+const JWKS_MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment, "base64url");
+}
+
+/**
+ * Split and decode a compact JWT without verifying it
+ * @param {string} token
+ * @returns {{ header: object, payload: object, signingInput: string, signature: Buffer }}
+ * @throws {Error} when the token is malformed
+ */
+function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("Malformed token");
+
+  const header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+  const payload = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+
+  return {
+    header,
+    payload,
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: base64UrlDecode(parts[2]),
+  };
+}
+
+function verifySignature({ signingInput, signature }, alg, key) {
+  const spec = SUPPORTED_ALGS[alg];
+
+  if (spec.type === "hmac") {
+    const expected = crypto.createHmac(spec.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  return crypto.verify(
+    spec.hash,
+    Buffer.from(signingInput),
+    // JWS ECDSA signatures are raw r||s, not DER
+    spec.type === "ec" ? { key, dsaEncoding: "ieee-p1363" } : key,
+    signature
+  );
+}
+
+/**
+ * Check registered time/audience/issuer claims
+ * @returns {string|null} failure reason, or null when the claims are acceptable
+ */
+function checkClaims(payload, { audience, issuer }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== "number") return "missing_exp";
+  if (payload.exp + CLOCK_SKEW_SECONDS < now) return "expired";
+  if (typeof payload.nbf === "number" && payload.nbf - CLOCK_SKEW_SECONDS > now) return "not_yet_valid";
+
+  if (audience) {
+    const auds = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!auds.includes(audience)) return "invalid_audience";
+  }
+
+  if (issuer && payload.iss !== issuer) return "invalid_issuer";
+
+  return null;
+}
+
+/**
+ * Turn a JWKS key into something crypto can verify with
+ */
+function importJwk(jwk) {
+  if (jwk.kty === "oct") return base64UrlDecode(jwk.k);
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Create a verifier bound to one key configuration
+ * @param {object} options
+ * @param {string} [options.secret] - Shared HS256 secret
+ * @param {string} [options.jwksUrl] - Remote JWKS document
+ * @param {string} [options.jwksFile] - Local JWKS document (takes precedence over jwksUrl)
+ * @param {string} [options.audience] - Required `aud` claim
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @returns {{ verify: (token: string) => Promise<{ status: 'valid'|'invalid'|'unknown_key', claims?: object, reason?: string }> }}
+ *   `unknown_key` means no local key matches the token (e.g. after rotation) and the
+ *   caller should fall back to remote verification.
+ */
+function createJwtVerifier({ secret, jwksUrl, jwksFile, audience, issuer } = {}) {
+  let jwksKeys = null; // kid -> { alg, key }
+  let jwksFetchedAt = 0;
+  let jwksFailure = null; // error of the last JWKS fetch, rethrown until the next one is due
+  let jwksFetching = null; // fetch in flight, shared by concurrent callers
+
+  function readJwks(doc) {
+    const keys = new Map();
+    for (const jwk of doc.keys || []) {
+      try {
+        keys.set(jwk.kid || "", { alg: jwk.alg, key: importJwk(jwk) });
+      } catch (err) {
+        console.error("Skipping unusable JWKS key:", jwk.kid, err.message);
+      }
+    }
+    return keys;
+  }
+
+  async function fetchJwks() {
+    const response = await fetch(jwksUrl);
+    if (!response.ok) throw new Error(`JWKS fetch failed with status ${response.status}`);
+    return readJwks(await response.json());
+  }
+
+  async function loadJwks(force = false) {
+    if (jwksKeys && !force) return jwksKeys;
+    if (!jwksFile && !jwksUrl) return new Map();
+
+    if (jwksFile) {
+      jwksKeys = readJwks(JSON.parse(await fs.promises.readFile(jwksFile, "utf8")));
+      return jwksKeys;
+    }
+
+    // Fetches, failed ones included, run at most once per JWKS_MIN_REFRESH_INTERVAL_MS
+    if (jwksFetching) return jwksFetching;
+    if (Date.now() - jwksFetchedAt < JWKS_MIN_REFRESH_INTERVAL_MS) {
+      if (jwksKeys) return jwksKeys;
+      if (jwksFailure) throw jwksFailure;
+      return new Map();
+    }
+
+    jwksFetchedAt = Date.now();
+    jwksFetching = fetchJwks();
+    try {
+      jwksKeys = await jwksFetching;
+      jwksFailure = null;
+      return jwksKeys;
+    } catch (err) {
+      jwksFailure = err;
+      throw err;
+    } finally {
+      jwksFetching = null;
+    }
+  }
+
+  async function findKey(header) {
+    if (header.alg === "HS256" && secret && !header.kid) return secret;
+
+    let keys = await loadJwks();
+    let entry = keys.get(header.kid || "");
+
+    if (!entry) {
+      // Possibly a rotated key we have not seen yet
+      keys = await loadJwks(true);
+      entry = keys.get(header.kid || "");
+    }
+
+    if (entry && (!entry.alg || entry.alg === header.alg)) return entry.key;
+    if (header.alg === "HS256" && secret) return secret;
+    return null;
+  }
+
+  async function verify(token) {
+    let decoded;
+    try {
+      decoded = decodeJwt(token);
+    } catch {
+      return { status: "invalid", reason: "malformed" };
+    }
+
+    const { header, payload } = decoded;
+    if (!SUPPORTED_ALGS[header.alg]) return { status: "unknown_key", reason: "unsupported_alg" };
+
+    let key;
+    try {
+      key = await findKey(header);
+    } catch (err) {
+      console.error("JWKS load error:", err.message);
+      return { status: "unknown_key", reason: "jwks_unavailable" };
+    }
+
+    if (!key) return { status: "unknown_key", reason: "no_matching_key" };
+
+    let signatureOk = false;
+    try {
+      signatureOk = verifySignature(decoded, header.alg, key);
+    } catch {
+      signatureOk = false;
+    }
+    if (!signatureOk) return { status: "invalid", reason: "bad_signature" };
+
+    const claimsError = checkClaims(payload, { audience, issuer });
+    if (claimsError) return { status: "invalid", reason: claimsError };
+
+    return { status: "valid", claims: payload };
+  }
+
+  return { verify };
+}
+
+module.exports = { createJwtVerifier, decodeJwt };
@@ -0,0 +1,69 @@
+/**
+ * Minimal in-process LRU cache with per-entry expiry
+ *
+ * Entries are evicted when they expire or when the cache grows past `max`
+ * (least recently used first). Backed by a Map, whose iteration order is
+ * insertion order, so re-inserting on read keeps the most recent entry last.
+ */
+class LRUCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.max=1000] - Maximum number of entries kept
+   * @param {number} [options.ttlMs=60000] - Default time-to-live in milliseconds
+   */
+  constructor({ max = 1000, ttlMs = 60000 } = {}) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value; a non-positive ttl means "do not cache"
+   * @param {*} key
+   * @param {*} value
+   * @param {number} [ttlMs] - Overrides the default ttl for this entry
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    if (!(ttlMs > 0)) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.max) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { LRUCache };
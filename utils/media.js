@@ -0,0 +1,379 @@
+const sharp = require("sharp");
+const { encode } = require("blurhash");
+const { storage } = require("./storage");
+const { analyzeVideo, checkVideoLimits } = require("./video");
+
+/**
+ * Uploaded media (posts, messages, avatars, backgrounds, community and event images).
+ *
+ * Files are recognised by their first bytes, never by the MIME type the client sent.
+ * Images are re-encoded in the sizes of their preset, which applies the EXIF orientation
+ * and drops EXIF/GPS and all other metadata, and get a blurhash placeholder.
+ * Videos and audio are stored as uploaded. Videos are probed with ffprobe (duration,
+ * display size, codec), checked against the uploader's plan limits (utils/video.js) and get
+ * a poster image of an early frame, with its blurhash; without ffmpeg, MP4/MOV headers give
+ * their duration and dimensions. Audio gets its duration from MP4/M4A headers.
+ *
+ *   const { error, media } = await prepareMedia(req.files, "post", { user: req.user });
+ *   if (error) return res.status(400).json({ message: error });
+ *   const row = await storeMedia("posts", `posts/${postId}/${Date.now()}_0`, media[0]);
+ */
+
+// Longest side in pixels of each stored size; `full` is the one media_url points at
+const PRESETS = {
+  post: { kinds: ["image", "video"], sizes: { thumbnail: 320, feed: 1080, full: 2048 } },
+  message: { kinds: ["image", "video", "audio"], sizes: { thumbnail: 320, full: 2048 } },
+  avatar: { kinds: ["image"], sizes: { full: 512 } },
+  background: { kinds: ["image"], sizes: { full: 1920 } },
+  cover: { kinds: ["image"], sizes: { full: 1920 } },
+  event: { kinds: ["image"], sizes: { full: 2048 } },
+};
+
+// Longest side of video poster images
+const POSTER_MAX_SIDE = 1080;
+const ISO_MEDIA_TYPES = ["video/mp4", "video/quicktime", "audio/mp4"];
+
+const JPEG_QUALITY = 82;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString("latin1", start, end) : "";
+}
+
+/**
+ * Media type of a file from its first bytes
+ * @param {Buffer} buffer
+ * @param {string} [claimedMime] - decides between audio and video for containers holding either (WebM, Ogg)
+ * @returns {{ kind: "image"|"video"|"audio", mime: string, ext: string }|null} null for anything else
+ */
+function detectMediaType(buffer, claimedMime = "") {
+  if (!buffer || buffer.length < 12) return null;
+  const claimsAudio = String(claimedMime).startsWith("audio/");
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { kind: "image", mime: "image/jpeg", ext: "jpg" };
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { kind: "image", mime: "image/png", ext: "png" };
+  if (ascii(buffer, 0, 6) === "GIF87a" || ascii(buffer, 0, 6) === "GIF89a") return { kind: "image", mime: "image/gif", ext: "gif" };
+  if (ascii(buffer, 0, 4) === "RIFF") {
+    const format = ascii(buffer, 8, 12);
+    if (format === "WEBP") return { kind: "image", mime: "image/webp", ext: "webp" };
+    if (format === "WAVE") return { kind: "audio", mime: "audio/wav", ext: "wav" };
+    return null;
+  }
+
+  // ISO base media files (MP4, MOV, M4A, HEIC, AVIF) start with an ftyp box
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    const brand = ascii(buffer, 8, 12);
+    if (["heic", "heix", "hevc", "hevx", "mif1", "msf1"].includes(brand)) return { kind: "image", mime: "image/heic", ext: "heic" };
+    if (brand === "avif" || brand === "avis") return { kind: "image", mime: "image/avif", ext: "avif" };
+    if (brand === "M4A " || brand === "M4B ") return { kind: "audio", mime: "audio/mp4", ext: "m4a" };
+    if (brand === "qt  ") return { kind: "video", mime: "video/quicktime", ext: "mov" };
+    return { kind: "video", mime: "video/mp4", ext: "mp4" };
+  }
+
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return claimsAudio ? { kind: "audio", mime: "audio/webm", ext: "webm" } : { kind: "video", mime: "video/webm", ext: "webm" };
+  }
+  if (ascii(buffer, 0, 4) === "OggS") {
+    return claimsAudio ? { kind: "audio", mime: "audio/ogg", ext: "ogg" } : { kind: "video", mime: "video/ogg", ext: "ogv" };
+  }
+  if (ascii(buffer, 0, 4) === "fLaC") return { kind: "audio", mime: "audio/flac", ext: "flac" };
+  if (ascii(buffer, 0, 3) === "ID3") return { kind: "audio", mime: "audio/mpeg", ext: "mp3" };
+  // MPEG audio frame sync: 11 set bits; layer bits tell MP3 (non-zero) from ADTS AAC (zero)
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return (buffer[1] & 0x06) === 0 ? { kind: "audio", mime: "audio/aac", ext: "aac" } : { kind: "audio", mime: "audio/mpeg", ext: "mp3" };
+  }
+
+  return null;
+}
+
+/**
+ * Duration and picture size from the moov box of an MP4/MOV/M4A file
+ * @param {Buffer} buffer
+ * @returns {{ duration: number|null, width: number|null, height: number|null }}
+ */
+function probeIsoMedia(buffer) {
+  const result = { duration: null, width: null, height: null };
+
+  // Boxes directly inside buffer[start, end)
+  const boxes = function* (start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.toString("latin1", offset + 4, offset + 8);
+      let header = 8;
+      if (size === 1) {
+        if (offset + 16 > end) return;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header || offset + size > end) return;
+      yield { type, start: offset + header, end: offset + size };
+      offset += size;
+    }
+  };
+
+  const moov = [...boxes(0, buffer.length)].find((b) => b.type === "moov");
+  if (!moov) return result;
+
+  for (const box of boxes(moov.start, moov.end)) {
+    if (box.type === "mvhd" && box.end - box.start >= 32) {
+      const version = buffer[box.start];
+      const timescale = buffer.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+      const duration = version === 1 ? Number(buffer.readBigUInt64BE(box.start + 24)) : buffer.readUInt32BE(box.start + 16);
+      if (timescale > 0) result.duration = Math.round((duration / timescale) * 1000) / 1000;
+    }
+
+    if (box.type === "trak" && result.width === null) {
+      const tkhd = [...boxes(box.start, box.end)].find((b) => b.type === "tkhd");
+      if (!tkhd) continue;
+      // width/height are 16.16 fixed point at the end of the box
+      const width = buffer.readUInt32BE(tkhd.end - 8) / 65536;
+      const height = buffer.readUInt32BE(tkhd.end - 4) / 65536;
+      if (width > 0 && height > 0) {
+        result.width = Math.round(width);
+        result.height = Math.round(height);
+      }
+    }
+  }
+
+  return result;
+}
+
+async function blurhashOf(buffer) {
+  const { data, info } = await sharp(buffer, { failOn: "error" })
+    .rotate()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+}
+
+/**
+ * Re-encode an image in each size (never enlarged). Sizes an image is too small for
+ * share the file of the next smaller size.
+ */
+async function processImage(buffer, sizes) {
+  const meta = await sharp(buffer, { failOn: "error" }).metadata();
+  const animated = (meta.pages || 1) > 1 && meta.format !== "heif";
+  const frameHeight = meta.pageHeight || meta.height;
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const [width, height] = meta.orientation >= 5 ? [frameHeight, meta.width] : [meta.width, frameHeight];
+  const longest = Math.max(width, height);
+
+  const variants = [];
+  let previous = null;
+  for (const [size, maxSide] of Object.entries(sizes).sort((a, b) => a[1] - b[1])) {
+    const target = Math.min(maxSide, longest);
+    if (previous && previous.target === target) {
+      variants.push({ ...previous, size, sameAs: previous.size });
+      continue;
+    }
+
+    let pipeline = sharp(buffer, { animated, failOn: "error" })
+      .rotate()
+      .resize({ width: target, height: target, fit: "inside", withoutEnlargement: true });
+    let format;
+    if (animated) {
+      pipeline = pipeline.gif();
+      format = { mime: "image/gif", ext: "gif" };
+    } else if (meta.hasAlpha) {
+      pipeline = pipeline.png({ compressionLevel: 9 });
+      format = { mime: "image/png", ext: "png" };
+    } else {
+      pipeline = pipeline.jpeg({ quality: JPEG_QUALITY, mozjpeg: true });
+      format = { mime: "image/jpeg", ext: "jpg" };
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    previous = {
+      size,
+      target,
+      buffer: data,
+      contentType: format.mime,
+      ext: format.ext,
+      width: info.width,
+      height: info.pageHeight || info.height,
+    };
+    variants.push(previous);
+  }
+
+  return { width, height, duration: null, blurhash: await blurhashOf(buffer), variants };
+}
+
+/**
+ * Probe a video, check it against the uploader's plan and make its poster image
+ * @param {Buffer|string} source - the file, or a URL to read it from
+ * @param {{ mime: string }} type - from detectMediaType
+ * @param {{ head: Buffer, size: number, user?: object|null, name?: string }} file - head: first bytes
+ *   of the file (for the MP4/MOV fallback without ffmpeg); user: the uploader
+ * @returns {Promise<{ error: string|null, video?: { duration: number|null, width: number|null,
+ *   height: number|null, codec: string|null, blurhash: string|null, poster: object|null } }>}
+ *   poster is an image variant ({ buffer, contentType, ext, width, height }) for storePoster
+ */
+async function prepareVideo(source, type, { head, size, user = null, name = "File" }) {
+  const sizeRefusal = checkVideoLimits({ size }, user);
+  if (sizeRefusal) return { error: `${name}: ${sizeRefusal}` };
+
+  const analysis = await analyzeVideo(source);
+  if (analysis === false) return { error: `${name}: the video could not be read.` };
+  const probe =
+    analysis || (ISO_MEDIA_TYPES.includes(type.mime) ? probeIsoMedia(head) : { duration: null, width: null, height: null });
+
+  const durationRefusal = checkVideoLimits({ duration: probe.duration }, user);
+  if (durationRefusal) return { error: `${name}: ${durationRefusal}` };
+
+  let poster = null;
+  let blurhash = null;
+  if (analysis && analysis.poster) {
+    try {
+      ({ blurhash, variants: [poster] } = await processImage(analysis.poster, { poster: POSTER_MAX_SIDE }));
+    } catch (err) {
+      console.error("video poster error:", err.message);
+    }
+  }
+
+  return {
+    error: null,
+    video: {
+      duration: probe.duration,
+      width: probe.width,
+      height: probe.height,
+      codec: analysis ? analysis.codec : null,
+      blurhash,
+      poster,
+    },
+  };
+}
+
+/**
+ * Check and process uploaded files (multer memory storage) for a preset
+ * @param {object[]} files - multer files; a single file may be passed as well
+ * @param {keyof PRESETS} preset
+ * @param {{ user?: object|null }} [options] - user: the uploader, whose plan limits videos
+ * @returns {Promise<{ error: string|null, media: object[] }>} error is a message for a 400;
+ *   media items hold kind, mime, width, height, duration, blurhash, the variants to store and,
+ *   for videos, codec and poster
+ */
+async function prepareMedia(files, preset, { user = null } = {}) {
+  const { kinds, sizes } = PRESETS[preset];
+  const media = [];
+
+  for (const file of [].concat(files || [])) {
+    const type = detectMediaType(file.buffer, file.mimetype);
+    if (!type || !kinds.includes(type.kind)) {
+      return { error: `${file.originalname || "File"}: unsupported file type.`, media: [] };
+    }
+
+    if (type.kind === "image") {
+      try {
+        media.push({ ...type, ...(await processImage(file.buffer, sizes)) });
+      } catch {
+        // Corrupt files, or formats this server cannot decode (e.g. HEVC-coded HEIC)
+        return { error: `${file.originalname || "File"}: the image could not be read.`, media: [] };
+      }
+      continue;
+    }
+
+    const full = { size: "full", buffer: file.buffer, contentType: type.mime, ext: type.ext };
+
+    if (type.kind === "video") {
+      const name = file.originalname || "File";
+      const { error, video } = await prepareVideo(file.buffer, type, { head: file.buffer, size: file.buffer.length, user, name });
+      if (error) return { error, media: [] };
+      media.push({ ...type, ...video, variants: [{ ...full, width: video.width, height: video.height }] });
+      continue;
+    }
+
+    const probe = ISO_MEDIA_TYPES.includes(type.mime) ? probeIsoMedia(file.buffer) : { duration: null, width: null, height: null };
+    media.push({
+      ...type,
+      ...probe,
+      blurhash: null,
+      variants: [{ ...full, width: probe.width, height: probe.height }],
+    });
+  }
+
+  return { error: null, media };
+}
+
+/**
+ * Storage path of one size of a prepared media item (sizes sharing a file share the path)
+ * @param {string} basePath - as passed to storeMedia
+ * @param {object} item - from prepareMedia
+ * @param {string} [size]
+ * @returns {string}
+ */
+function mediaStoragePath(basePath, item, size = "full") {
+  let variant = item.variants.find((v) => v.size === size);
+  if (variant.sameAs) variant = item.variants.find((v) => v.size === variant.sameAs);
+  return item.kind === "image" ? `${basePath}_${variant.size}.${variant.ext}` : `${basePath}.${variant.ext}`;
+}
+
+/**
+ * Upload the poster image of a video next to it
+ * @param {string} bucket
+ * @param {string} basePath - as passed to storeMedia
+ * @param {object|null} poster - from prepareVideo
+ * @returns {Promise<string|null>} public URL, null without a poster
+ */
+async function storePoster(bucket, basePath, poster) {
+  if (!poster) return null;
+  const path = `${basePath}_poster.${poster.ext}`;
+  await storage.put(bucket, path, poster.buffer, { contentType: poster.contentType, upsert: true });
+  return storage.publicUrl(bucket, path);
+}
+
+/**
+ * Upload a prepared media item to a storage bucket
+ * @param {string} bucket
+ * @param {string} basePath - storage path without extension, unique per item
+ * @param {object} item - from prepareMedia
+ * @returns {Promise<{ media_url: string, media_type: string, width: number|null, height: number|null,
+ *   duration: number|null, blurhash: string|null, variants: Record<string, string>|null,
+ *   poster_url: string|null, codec: string|null }>} columns for post_media/message_media;
+ *   media_url is the full size
+ */
+async function storeMedia(bucket, basePath, item) {
+  const urls = {};
+  for (const variant of item.variants) {
+    if (variant.sameAs) {
+      urls[variant.size] = urls[variant.sameAs];
+      continue;
+    }
+
+    const path = mediaStoragePath(basePath, item, variant.size);
+    await storage.put(bucket, path, variant.buffer, { contentType: variant.contentType, upsert: true });
+    urls[variant.size] = storage.publicUrl(bucket, path);
+  }
+
+  return {
+    media_url: urls.full,
+    media_type: item.kind,
+    width: item.width,
+    height: item.height,
+    duration: item.duration,
+    blurhash: item.blurhash,
+    variants: item.kind === "image" ? urls : null,
+    poster_url: await storePoster(bucket, basePath, item.poster),
+    codec: item.codec || null,
+  };
+}
+
+module.exports = {
+  PRESETS,
+  detectMediaType,
+  probeIsoMedia,
+  prepareVideo,
+  prepareMedia,
+  mediaStoragePath,
+  storePoster,
+  storeMedia,
+};
@@ -0,0 +1,64 @@
+const { supabase } = require("../db/supabaseClient");
+
+/**
+ * Notification rows written by the API itself (mentions, shares, moderation, new posts).
+ * Failures are logged and swallowed: a missing notification never fails the request behind it.
+ */
+
+// Rows per insert when notifying many users at once
+const INSERT_CHUNK_SIZE = 500;
+
+async function createNotification(recipientUsername, type, content, data = {}, senderUsername = null, title = null) {
+  try {
+    const { data: notification, error } = await supabase
+      .from("notifications")
+      .insert([
+        {
+          recipient_username: recipientUsername,
+          sender_username: senderUsername,
+          type,
+          title,
+          content,
+          data,
+        },
+      ])
+      .select("*")
+      .single();
+
+    if (error) throw error;
+    return notification;
+  } catch (err) {
+    console.error("create notification error:", err);
+    return null;
+  }
+}
+
+/**
+ * Send the same notification to many users
+ * @returns {Promise<number>} notifications written
+ */
+async function createNotifications(recipientUsernames, type, content, data = {}, senderUsername = null, title = null) {
+  let written = 0;
+
+  for (let i = 0; i < recipientUsernames.length; i += INSERT_CHUNK_SIZE) {
+    const rows = recipientUsernames.slice(i, i + INSERT_CHUNK_SIZE).map((recipient_username) => ({
+      recipient_username,
+      sender_username: senderUsername,
+      type,
+      title,
+      content,
+      data,
+    }));
+
+    const { error } = await supabase.from("notifications").insert(rows);
+    if (error) {
+      console.error("create notifications error:", error);
+      continue;
+    }
+    written += rows.length;
+  }
+
+  return written;
+}
+
+module.exports = { createNotification, createNotifications };
@@ -0,0 +1,588 @@
+const fs = require("fs");
+const { requireAuth, requireAuthToken, optionalAuth } = require("../middleware/auth.middleware");
+const { object, string, integer, number, boolean, array, oneOf, id, uuid, dateTime } = require("./schema");
+const { AUDIENCES } = require("./postVisibility");
+const { REACTIONS } = require("./postReactions");
+const { version } = require("../package.json");
+
+/**
+ * OpenAPI 3 description generated from the mounted routers (served at /openapi.json, UI at /docs).
+ *
+ * Nothing here is maintained by hand per route except the response models:
+ * - paths and methods come from the Express routers,
+ * - params/query/body schemas from their validate() middleware (middleware/validate.middleware.js),
+ * - security from requireAuth / optionalAuth / requireRole, 429s from rateLimit,
+ * - summaries and descriptions from the JSDoc comment above each route,
+ * - file fields from the multer call in the route signature.
+ */
+
+/* ---------------------------------- Models ---------------------------------- */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (name) => array(ref(name));
+
+const models = {
+  Error: object({ message: string() }, ["message"]),
+  ValidationError: object(
+    {
+      message: string({ example: "Invalid request" }),
+      errors: array(object({ field: string({ example: "body.content" }), message: string() }, ["field", "message"])),
+    },
+    ["message", "errors"]
+  ),
+  RateLimitError: object({ message: string(), retry_after: integer({ description: "Seconds until the limit resets" }) }),
+
+  UserSummary: object({ username: string(), name: string({ nullable: true }), avatar: string({ nullable: true }) }),
+  User: object({
+    id: uuid(),
+    username: string(),
+    email: string({ format: "email" }),
+    name: string({ nullable: true }),
+    gender: oneOf(["Male", "Female", "Other"], { nullable: true }),
+    bio: string({ nullable: true }),
+    avatar: string({ nullable: true }),
+    background_image: string({ nullable: true }),
+    status: string({ nullable: true }),
+    age: integer({ nullable: true }),
+    date_of_birth: string({ format: "date", nullable: true }),
+    country: string({ nullable: true }),
+    city: string({ nullable: true }),
+    flag: string({ nullable: true }),
+    interests: array(string(), { nullable: true }),
+    about_me: string({ nullable: true }),
+    specialties: string({ nullable: true }),
+    latitude: number({ nullable: true }),
+    longitude: number({ nullable: true }),
+    is_online: boolean(),
+    last_seen: dateTime({ nullable: true }),
+    is_premium: boolean(),
+    platform_role: oneOf(["user", "moderator", "admin"]),
+    created_at: dateTime(),
+  }),
+  UserProfile: {
+    allOf: [
+      ref("User"),
+      object({
+        followers: integer(),
+        following: integer(),
+        posts: integer(),
+        redirected_from: string({ description: "Former username the profile was requested by" }),
+      }),
+    ],
+  },
+  Session: object({
+    id: string(),
+    user_agent: string({ nullable: true }),
+    ip: string({ nullable: true }),
+    created_at: dateTime(),
+    last_active_at: dateTime(),
+    current: boolean(),
+  }),
+
+  PostMedia: object({
+    id: id(),
+    media_url: string({ format: "uri", description: "Full size" }),
+    media_type: oneOf(["image", "video", "audio"]),
+    position: integer(),
+    width: integer({ nullable: true }),
+    height: integer({ nullable: true }),
+    duration: number({ nullable: true, description: "Seconds, for video and audio" }),
+    blurhash: string({ nullable: true, description: "Placeholder shown while an image or video poster loads" }),
+    variants: object(
+      {
+        thumbnail: string({ format: "uri" }),
+        feed: string({ format: "uri" }),
+        full: string({ format: "uri" }),
+      },
+      [],
+      { nullable: true, description: "URL of every stored size of an image" }
+    ),
+    poster_url: string({ format: "uri", nullable: true, description: "Poster image of a video (a frame near its start)" }),
+    codec: string({ nullable: true, description: "Video codec, e.g. h264, hevc, vp9" }),
+  }),
+  ReactionCounts: object(Object.fromEntries(REACTIONS.map((r) => [r, integer()])), [], {
+    description: "Count per reaction type; types without reactions are omitted",
+  }),
+  PostReactionSummary: object({
+    post_id: id(),
+    reaction: oneOf(REACTIONS, { nullable: true, description: "The caller's reaction (reaction routes only)" }),
+    like_count: integer(),
+    reaction_counts: ref("ReactionCounts"),
+  }),
+  PostRevision: object({
+    id: id(),
+    post_id: id(),
+    revision: integer({ description: "0 is the post as first published" }),
+    change: oneOf(["original", "edit", "media_added", "media_removed"]),
+    editor_username: string({ nullable: true }),
+    content: string({ nullable: true }),
+    audience: oneOf(AUDIENCES, { nullable: true }),
+    community_id: id({ nullable: true }),
+    media: listOf("PostMedia"),
+    created_at: dateTime(),
+  }),
+  Post: object({
+    id: id(),
+    author_username: string(),
+    content: string({ nullable: true }),
+    status: string({
+      nullable: true,
+      description: "pending/approved/rejected for community posts; draft or scheduled until published",
+    }),
+    publish_at: dateTime({ nullable: true, description: "Set on scheduled posts" }),
+    audience: oneOf(AUDIENCES),
+    disable_comments: boolean(),
+    hide_like_count: boolean(),
+    like_count: integer({ description: "Reactions of all types" }),
+    reaction_counts: ref("ReactionCounts"),
+    comment_count: integer(),
+    share_count: integer(),
+    shared_post_id: id({ nullable: true, description: "Set on shares: the original post" }),
+    shared_post: {
+      allOf: [ref("Post")],
+      nullable: true,
+      description: "Only present on shares: the original, or null when deleted or not visible to the caller",
+    },
+    community_id: id({ nullable: true }),
+    created_at: dateTime(),
+    updated_at: dateTime({ nullable: true }),
+    edited_at: dateTime({ nullable: true, description: "Set once a published post was edited" }),
+    post_media: listOf("PostMedia"),
+    authorDisplayName: string({ description: "Author's name, falling back to the username" }),
+    authorAvatar: string({ nullable: true }),
+    isLikedByViewer: boolean({ description: "Only present when a viewer is given" }),
+    viewerReaction: oneOf(REACTIONS, { nullable: true, description: "Only present when a viewer is given" }),
+    feed_reason: oneOf(["own", "following", "community", "trending"], {
+      description: "Only present in GET /posts/feed: why the post was picked",
+    }),
+  }),
+  Comment: object({
+    id: id(),
+    post_id: id(),
+    author_username: string(),
+    content: string(),
+    parent_id: id({ nullable: true }),
+    like_count: integer(),
+    reply_count: integer(),
+    created_at: dateTime(),
+    updated_at: dateTime({ nullable: true }),
+    authorDisplayName: string(),
+    authorAvatar: string({ nullable: true }),
+    isLikedByViewer: boolean({ description: "Only present for an authenticated viewer" }),
+  }),
+
+  Conversation: object({
+    id: id(),
+    type: oneOf(["dm", "group", "community"]),
+    title: string({ nullable: true }),
+    created_by: string(),
+    community_id: id({ nullable: true }),
+    created_at: dateTime(),
+  }),
+  Message: object({
+    id: id(),
+    conversation_id: id(),
+    sender_username: string({ nullable: true, description: "null once the sender deleted their account" }),
+    message_type: oneOf(["text", "image", "video", "audio"]),
+    content: string({ nullable: true }),
+    reply_to_message_id: id({ nullable: true }),
+    created_at: dateTime(),
+    updated_at: dateTime({ nullable: true }),
+    message_media: listOf("PostMedia"),
+  }),
+
+  Event: object({
+    id: id(),
+    hosted_by: string(),
+    name: string(),
+    description: string({ nullable: true }),
+    details: string({ nullable: true }),
+    address: string({ nullable: true }),
+    date_start: dateTime(),
+    date_end: dateTime({ nullable: true }),
+    latitude: number({ nullable: true }),
+    longitude: number({ nullable: true }),
+    entrance_fee: number({ nullable: true }),
+    image_url: string({ nullable: true }),
+    created_at: dateTime(),
+  }),
+  Community: object({
+    id: id(),
+    name: string(),
+    description: string({ nullable: true }),
+    image_url: string({ nullable: true }),
+    is_private: boolean(),
+    created_by: string(),
+    member_count: integer(),
+    post_count: integer(),
+    created_at: dateTime(),
+  }),
+  CommunityEvent: object({
+    id: id(),
+    community_id: id(),
+    created_by: string(),
+    name: string(),
+    description: string({ nullable: true }),
+    location: string({ nullable: true }),
+    start_time: dateTime(),
+    end_time: dateTime({ nullable: true }),
+    image_url: string({ nullable: true }),
+  }),
+
+  Notification: object({
+    id: id(),
+    recipient_username: string(),
+    sender_username: string({ nullable: true }),
+    type: string(),
+    title: string({ nullable: true }),
+    content: string(),
+    data: object({}),
+    is_read: boolean(),
+    created_at: dateTime(),
+  }),
+  SignedUpload: object({
+    url: string(),
+    method: oneOf(["PUT"]),
+    headers: object({}, [], { additionalProperties: { type: "string" }, description: "Send these with the file" }),
+    expires_at: dateTime(),
+  }),
+  UploadSession: object({
+    id: string({ format: "uuid" }),
+    target: oneOf(["post", "message", "event"]),
+    target_id: id({ nullable: true }),
+    file_name: string({ nullable: true }),
+    content_type: string(),
+    kind: oneOf(["image", "video", "audio"]),
+    size: integer(),
+    mode: oneOf(["direct", "resumable"]),
+    part_size: integer({ nullable: true }),
+    part_count: integer({ nullable: true }),
+    status: oneOf(["pending", "processing", "completed", "failed", "cancelled"]),
+    expires_at: dateTime(),
+    created_at: dateTime(),
+    completed_at: dateTime({ nullable: true }),
+    upload: ref("SignedUpload"),
+    parts_uploaded: array(integer()),
+    parts_missing: array(integer()),
+  }),
+  QuickMessage: object({ id: id(), username: string(), shortcut: string(), message: string(), created_at: dateTime() }),
+  Subscription: object({
+    username: string(),
+    plan_type: string(),
+    status: string(),
+    start_date: dateTime(),
+    end_date: dateTime({ nullable: true }),
+  }),
+};
+
+// Success responses worth describing; other routes are documented as a plain JSON object
+const RESPONSES = {
+  "GET /users/me": ref("UserProfile"),
+  "GET /users/me/sessions": listOf("Session"),
+  "GET /users/id/{id}": ref("UserProfile"),
+  "GET /users/username/{username}": ref("UserProfile"),
+  "GET /users/{id}": ref("UserProfile"),
+  "GET /users/search": listOf("User"),
+  "GET /users": listOf("User"),
+  "GET /users/{username}/followers": listOf("UserSummary"),
+  "GET /users/{username}/following": listOf("UserSummary"),
+  "GET /users/{username}/posts": listOf("Post"),
+  "GET /users/{username}/liked-posts": listOf("Post"),
+  "PUT /users/{id}": ref("User"),
+  "PUT /users/me/username": ref("User"),
+  "GET /posts": listOf("Post"),
+  "GET /posts/feed": object({ posts: listOf("Post"), next_cursor: string({ nullable: true }) }),
+  "GET /posts/search": listOf("Post"),
+  "GET /posts/hashtags": array(object({ tag: string(), post_count: integer(), last_used_at: dateTime() })),
+  "GET /posts/hashtags/{tag}": listOf("Post"),
+  "GET /posts/{id}": ref("Post"),
+  "POST /posts": ref("Post"),
+  "PUT /posts/{id}": ref("Post"),
+  "POST /posts/{id}/share": ref("Post"),
+  "GET /posts/drafts": listOf("Post"),
+  "GET /posts/scheduled": listOf("Post"),
+  "POST /posts/{id}/publish": ref("Post"),
+  "DELETE /posts/{id}/schedule": ref("Post"),
+  "POST /posts/{id}/like": ref("PostReactionSummary"),
+  "DELETE /posts/{id}/like": ref("PostReactionSummary"),
+  "GET /posts/{id}/likes": array(object({ username: string(), reaction: oneOf(REACTIONS), created_at: dateTime() })),
+  "POST /posts/{id}/reactions": ref("PostReactionSummary"),
+  "DELETE /posts/{id}/reactions": ref("PostReactionSummary"),
+  "GET /posts/{id}/reactions": object({
+    post_id: id(),
+    like_count: integer(),
+    reaction_counts: ref("ReactionCounts"),
+    reactions: object(
+      Object.fromEntries(
+        REACTIONS.map((r) => [
+          r,
+          array(object({ username: string(), name: string({ nullable: true }), avatar: string({ nullable: true }), created_at: dateTime() })),
+        ])
+      )
+    ),
+  }),
+  "GET /posts/{id}/revisions": object({
+    post_id: id(),
+    edited_at: dateTime({ nullable: true }),
+    revisions: listOf("PostRevision"),
+  }),
+  "GET /posts/{id}/comments": object({ comments: listOf("Comment"), next_cursor: string({ nullable: true }) }),
+  "POST /posts/{id}/comments": ref("Comment"),
+  "PATCH /posts/{id}/comments/{commentId}": ref("Comment"),
+  "GET /messages/conversations": listOf("Conversation"),
+  "GET /messages/conversations/{id}": ref("Conversation"),
+  "POST /messages/conversations": ref("Conversation"),
+  "GET /messages/conversations/{id}/messages": listOf("Message"),
+  "POST /messages/conversations/{id}/messages": ref("Message"),
+  "GET /events": listOf("Event"),
+  "GET /events/search": listOf("Event"),
+  "GET /events/{id}": ref("Event"),
+  "POST /events": ref("Event"),
+  "PUT /events/{id}": ref("Event"),
+  "GET /communities": listOf("Community"),
+  "GET /communities/suggested": listOf("Community"),
+  "GET /communities/{id}": ref("Community"),
+  "POST /communities": ref("Community"),
+  "PUT /communities/{id}": ref("Community"),
+  "GET /communities/{id}/posts": listOf("Post"),
+  "GET /communities/{id}/posts/{postId}/comments": listOf("Comment"),
+  "GET /communities/{id}/events": listOf("CommunityEvent"),
+  "GET /communities/{id}/events/{eventId}": ref("CommunityEvent"),
+  "GET /communities/user/{username}/joined": listOf("Community"),
+  "GET /notifications": listOf("Notification"),
+  "GET /quick-messages": listOf("QuickMessage"),
+  "POST /quick-messages": ref("QuickMessage"),
+  "PUT /quick-messages/{id}": ref("QuickMessage"),
+  "GET /quick-messages/expand": ref("QuickMessage"),
+  "GET /payments/subscription": ref("Subscription"),
+  "POST /uploads": ref("UploadSession"),
+  "GET /uploads/{id}": ref("UploadSession"),
+  "POST /uploads/{id}/parts/{index}": { allOf: [ref("SignedUpload"), object({ index: integer() })] },
+  "GET /admin/users": listOf("User"),
+};
+
+/* ---------------------------------- Sources --------------------------------- */
+
+// Optional JSDoc block or "// ---- Title ----" banner, then the route declaration up to its handler
+const ROUTE_SIGNATURE =
+  /(?:\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*|\/\/[\s-]*([^\n]*?)[\s-]*\n\s*)?router\.(get|post|put|patch|delete)\(\s*["']([^"']+)["']([\s\S]*?)=>\s*\{/g;
+const HTTP_LINE = /^(GET|POST|PUT|PATCH|DELETE)\s+\//;
+
+/**
+ * JSDoc, upload fields and success status of every route declared in a router's
+ * source file, keyed by "method path" (first declaration wins, like in Express)
+ */
+function readRouteDocs(router) {
+  const docs = new Map();
+  const mod = Object.values(require.cache).find((m) => m.exports === router);
+  if (!mod) return docs;
+
+  const source = fs.readFileSync(mod.filename, "utf8");
+  const matches = [...source.matchAll(ROUTE_SIGNATURE)];
+
+  matches.forEach((match, i) => {
+    const [, comment = "", banner, method, path, signature] = match;
+    const key = `${method} ${path}`;
+    if (docs.has(key)) return;
+
+    // Handler body: up to the next route declaration
+    const body = source.slice(match.index + match[0].length, i + 1 < matches.length ? matches[i + 1].index : undefined);
+
+    const lines = (banner || comment)
+      .split("\n")
+      .map((l) => l.replace(/^\s*\*\s?/, "").trim())
+      .filter((l) => l && !HTTP_LINE.test(l));
+
+    const upload = /upload\.(single|array)\(\s*["']([^"']+)["']/.exec(signature);
+
+    docs.set(key, {
+      summary: lines[0],
+      description: lines.slice(1).join("\n") || undefined,
+      file: upload ? { field: upload[2], multiple: upload[1] === "array" } : null,
+      status: /\.status\(201\)/.test(body) ? 201 : 200,
+    });
+  });
+  return docs;
+}
+
+/* --------------------------------- Building --------------------------------- */
+
+// "/:id/media/:mediaId" -> "/{id}/media/{mediaId}"; inline patterns like ":id([0-9a-f-]+)" are dropped
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)(\([^)]*\))?/g, "{$1}").replace(/\/$/, "") || "/";
+}
+
+function schemaParameters(schema, location) {
+  if (!schema || !schema.properties) return [];
+  return Object.entries(schema.properties).map(([name, prop]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    schema: prop,
+  }));
+}
+
+function describeOperation(mountPath, routePath, method, handlers, docs) {
+  const fullPath = toOpenApiPath(mountPath + routePath);
+  const doc = docs.get(`${method} ${routePath}`) || {};
+
+  const schemas = {};
+  let auth = null;
+  let roles = null;
+  let limited = false;
+  for (const fn of handlers) {
+    if (fn.schemas) Object.assign(schemas, fn.schemas);
+    if (fn === requireAuth || fn === requireAuthToken) auth = "required";
+    if (fn === optionalAuth && !auth) auth = "optional";
+    if (fn.roles) roles = fn.roles;
+    if (fn.rateLimit) limited = true;
+  }
+
+  const parameters = schemaParameters(schemas.params, "path");
+  // Path params without a declared schema are still listed
+  for (const [, name] of fullPath.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.some((p) => p.name === name)) {
+      parameters.push({ name, in: "path", required: true, schema: string() });
+    }
+  }
+  parameters.push(...schemaParameters(schemas.query, "query"));
+
+  const operation = {
+    tags: [mountPath.slice(1)],
+    summary: doc.summary,
+    description: [doc.description, roles && `Requires platform role: ${[...new Set([...roles, "admin"])].join(" or ")}.`]
+      .filter(Boolean)
+      .join("\n\n") || undefined,
+    operationId: `${method}${fullPath.replace(/[{}]/g, "").replace(/[^a-zA-Z0-9_]+(.)?/g, (_m, c) => (c ? c.toUpperCase() : ""))}`,
+    parameters: parameters.length ? parameters : undefined,
+    responses: {
+      [doc.status || 200]: {
+        description: doc.status === 201 ? "Created" : "Success",
+        content: { "application/json": { schema: RESPONSES[`${method.toUpperCase()} ${fullPath}`] || object({}) } },
+      },
+    },
+  };
+
+  if (doc.file) {
+    const body = schemas.body || object({});
+    const fileSchema = string({ format: "binary" });
+    operation.requestBody = {
+      content: {
+        "multipart/form-data": {
+          schema: {
+            ...body,
+            properties: { ...body.properties, [doc.file.field]: doc.file.multiple ? array(fileSchema) : fileSchema },
+          },
+        },
+      },
+    };
+  } else if (schemas.body) {
+    operation.requestBody = {
+      required: Boolean(schemas.body.required),
+      content: { "application/json": { schema: schemas.body } },
+    };
+  }
+
+  const { responses } = operation;
+  if (schemas.params || schemas.query || schemas.body) {
+    responses[400] = { description: "Invalid request", content: { "application/json": { schema: ref("ValidationError") } } };
+  }
+  if (auth === "required" || roles) {
+    operation.security = [{ bearerAuth: [] }];
+    responses[401] = { description: "Missing or invalid token", content: { "application/json": { schema: ref("Error") } } };
+  } else if (auth === "optional") {
+    operation.security = [{ bearerAuth: [] }, {}];
+  }
+  if (roles) {
+    responses[403] = { description: "Insufficient permissions", content: { "application/json": { schema: ref("Error") } } };
+  }
+  if (limited) {
+    responses[429] = {
+      description: "Rate limited; see the Retry-After header",
+      headers: { "Retry-After": { schema: integer() } },
+      content: { "application/json": { schema: ref("RateLimitError") } },
+    };
+  }
+  responses[500] = { description: "Server error", content: { "application/json": { schema: ref("Error") } } };
+
+  return { fullPath, operation };
+}
+
+/**
+ * Build the OpenAPI document for the mounted routers
+ * @param {[string, import('express').Router][]} mounts - [mount path, router] pairs, as passed to app.use
+ * @returns {object}
+ */
+function buildOpenApiSpec(mounts) {
+  const paths = {
+    "/health": {
+      get: {
+        tags: ["health"],
+        summary: "Health check",
+        operationId: "getHealth",
+        responses: { 200: { description: "Success", content: { "application/json": { schema: object({ ok: boolean(), environment: string() }) } } } },
+      },
+    },
+  };
+
+  for (const [mountPath, router] of mounts) {
+    const docs = readRouteDocs(router);
+    // Middleware registered with router.use() applies to every route declared after it
+    const inherited = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        inherited.push(layer.handle);
+        continue;
+      }
+
+      const handlers = [...inherited, ...layer.route.stack.map((l) => l.handle)];
+      for (const method of Object.keys(layer.route.methods)) {
+        const { fullPath, operation } = describeOperation(mountPath, layer.route.path, method, handlers, docs);
+        paths[fullPath] = paths[fullPath] || {};
+        // Express dispatches to the first matching declaration
+        if (!paths[fullPath][method]) paths[fullPath][method] = operation;
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "ConnectSphere API",
+      version,
+      description: "Generated from the server's route definitions. Real-time messaging uses Socket.IO and is not covered here.",
+    },
+    tags: [...new Set(mounts.map(([m]) => m.slice(1)))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Supabase access token" },
+      },
+      schemas: models,
+    },
+  };
+}
+
+/**
+ * Swagger UI page for the document at `specUrl` (assets from a CDN)
+ */
+function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>ConnectSphere API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#swagger-ui", persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { buildOpenApiSpec, renderDocsPage };
@@ -0,0 +1,215 @@
+const { supabase } = require("../db/supabaseClient");
+const { DRAFT_STATUSES, isPublished, canViewPost, filterViewers } = require("./postVisibility");
+const { syncPostTags } = require("./postTags");
+const { createNotification, createNotifications } = require("./notifications");
+
+/**
+ * Publishing posts: immediately from POST /posts, or later for drafts (status "draft")
+ * and scheduled posts (status "scheduled" with publish_at). The schedule lives in the
+ * posts table, so the in-process scheduler picks up where it left off after a restart.
+ *
+ * Publishing claims the row with a conditional update, so a post is published once
+ * even with several servers running the scheduler.
+ */
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.POST_SCHEDULER_INTERVAL_MS || 30000);
+// Posts published per scheduler run; the rest wait for the next run
+const SCHEDULER_BATCH_SIZE = 50;
+
+/**
+ * Status of a new community post: approved for community admins/moderators and
+ * communities without post approval, pending otherwise
+ */
+async function communityPostStatus(communityId, username) {
+  const { data: memberRow } = await supabase
+    .from("community_members")
+    .select("role")
+    .eq("community_id", communityId)
+    .eq("username", username)
+    .single();
+
+  const role = memberRow?.role;
+  if (role === "admin" || role === "moderator") return "approved";
+
+  const { data: c } = await supabase
+    .from("communities")
+    .select("requires_post_approval")
+    .eq("id", communityId)
+    .single();
+
+  return c?.requires_post_approval ? "pending" : "approved";
+}
+
+/**
+ * Whether a user is an approved member of a community, and so may post to it
+ */
+async function isCommunityMember(communityId, username) {
+  const { data, error } = await supabase
+    .from("community_members")
+    .select("username")
+    .eq("community_id", communityId)
+    .eq("username", username)
+    .eq("status", "approved")
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Index hashtags/mentions and notify users mentioned for the first time, if they can see the post
+ */
+async function indexPostTags(post) {
+  const { newMentions } = await syncPostTags(post);
+
+  for (const username of newMentions) {
+    if (!(await canViewPost(post, username))) continue;
+    await createNotification(
+      username,
+      "mention",
+      `${post.author_username} mentioned you in a post.`,
+      { post_id: post.id },
+      post.author_username,
+      "New mention"
+    );
+  }
+}
+
+/**
+ * Tell the author's followers who may read the post that it was published
+ * @returns {Promise<number>} notifications sent
+ */
+async function notifyFollowers(post) {
+  const { data: follows, error } = await supabase
+    .from("user_follows")
+    .select("follower_username")
+    .eq("followee_username", post.author_username);
+  if (error) throw error;
+
+  const followers = (follows || []).map((f) => f.follower_username).filter((u) => u !== post.author_username);
+  const recipients = await filterViewers(post, followers);
+
+  return createNotifications(
+    recipients,
+    "new_post",
+    `${post.author_username} published a new post.`,
+    { post_id: post.id },
+    post.author_username,
+    "New post"
+  );
+}
+
+// A scheduled post whose author left its community in the meantime goes back to the drafts
+async function unschedulePost(post) {
+  const { data: draft, error } = await supabase
+    .from("posts")
+    .update({ status: "draft", publish_at: null })
+    .eq("id", post.id)
+    .eq("status", "scheduled")
+    .select("id")
+    .maybeSingle();
+  if (error) throw error;
+  if (!draft) return;
+
+  await createNotification(
+    post.author_username,
+    "post_unscheduled",
+    "Your scheduled post was not published because you are no longer a member of its community. It was kept as a draft.",
+    { post_id: post.id },
+    null,
+    "Scheduled post kept as draft"
+  );
+}
+
+/**
+ * Publish a draft or scheduled post now. Community posts need the author to still be a
+ * member; scheduled ones of former members go back to the drafts instead.
+ * @param {object} post - the draft/scheduled posts row
+ * @returns {Promise<object|null>} the published row, or null when it was no longer a
+ *   draft/scheduled post or its author is not a member of its community
+ */
+async function publishPost(post) {
+  if (post.community_id && !(await isCommunityMember(post.community_id, post.author_username))) {
+    if (post.status === "scheduled") await unschedulePost(post);
+    return null;
+  }
+
+  const status = post.community_id ? await communityPostStatus(post.community_id, post.author_username) : null;
+  const now = new Date().toISOString();
+
+  // Published posts are dated by publication
+  const { data: published, error } = await supabase
+    .from("posts")
+    .update({ status, publish_at: null, created_at: now })
+    .eq("id", post.id)
+    .in("status", DRAFT_STATUSES)
+    .select("*")
+    .maybeSingle();
+  if (error) throw error;
+  if (!published) return null;
+
+  await indexPostTags(published);
+  if (isPublished(published)) await notifyFollowers(published);
+
+  return published;
+}
+
+/**
+ * Publish every scheduled post whose publish_at has passed (one batch)
+ * @returns {Promise<number>} posts published
+ */
+async function publishDuePosts() {
+  const { data: due, error } = await supabase
+    .from("posts")
+    .select("*")
+    .eq("status", "scheduled")
+    .lte("publish_at", new Date().toISOString())
+    .order("publish_at", { ascending: true })
+    .limit(SCHEDULER_BATCH_SIZE);
+  if (error) throw error;
+
+  let count = 0;
+  for (const post of due || []) {
+    try {
+      if (await publishPost(post)) count++;
+    } catch (err) {
+      console.error(`publish scheduled post ${post.id} error:`, err);
+    }
+  }
+  return count;
+}
+
+/**
+ * Run publishDuePosts every POST_SCHEDULER_INTERVAL_MS (runs never overlap)
+ * @returns {() => void} stops the scheduler
+ */
+function startPostScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await publishDuePosts();
+      if (count > 0) console.log(`Published ${count} scheduled post(s)`);
+    } catch (err) {
+      console.error("post scheduler error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  communityPostStatus,
+  isCommunityMember,
+  indexPostTags,
+  publishPost,
+  publishDuePosts,
+  startPostScheduler,
+};
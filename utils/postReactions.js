@@ -0,0 +1,58 @@
+const { supabase } = require("../db/supabaseClient");
+
+/**
+ * Typed post reactions. Reactions are post_likes rows with a `reaction` type
+ * (db/migrations/007_post_reactions.sql): posts.like_count counts all of them and
+ * posts.reaction_counts holds the count per type.
+ */
+
+const REACTIONS = ["like", "love", "haha", "wow", "sad", "angry"];
+const DEFAULT_REACTION = "like";
+
+/**
+ * Recalculate like_count and reaction_counts of a post from post_likes
+ * @param {number} postId
+ * @returns {Promise<{ like_count: number, reaction_counts: Record<string, number> }>}
+ */
+async function recomputePostReactions(postId) {
+  const counts = await Promise.all(
+    REACTIONS.map(async (reaction) => {
+      const { count, error } = await supabase
+        .from("post_likes")
+        .select("id", { count: "exact", head: true })
+        .eq("post_id", postId)
+        .eq("reaction", reaction);
+      if (error) throw error;
+      return [reaction, count || 0];
+    })
+  );
+
+  const reaction_counts = Object.fromEntries(counts.filter(([, n]) => n > 0));
+  const like_count = counts.reduce((sum, [, n]) => sum + n, 0);
+
+  const { error: updErr } = await supabase.from("posts").update({ like_count, reaction_counts }).eq("id", postId);
+  if (updErr) throw updErr;
+
+  return { like_count, reaction_counts };
+}
+
+/**
+ * The viewer's reaction on each of the given posts
+ * @param {number[]} postIds
+ * @param {string} viewer - username
+ * @returns {Promise<Map<number, string>>} post id -> reaction type (posts without a reaction are absent)
+ */
+async function getViewerReactions(postIds, viewer) {
+  if (!viewer || postIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from("post_likes")
+    .select("post_id, reaction")
+    .eq("username", viewer)
+    .in("post_id", postIds);
+  if (error) throw error;
+
+  return new Map((data || []).map((r) => [r.post_id, r.reaction || DEFAULT_REACTION]));
+}
+
+module.exports = { REACTIONS, DEFAULT_REACTION, recomputePostReactions, getViewerReactions };
@@ -0,0 +1,179 @@
+const { supabase } = require("../db/supabaseClient");
+const { getPlatformRole } = require("../middleware/auth.middleware");
+const { DRAFT_STATUSES } = require("./postVisibility");
+
+/**
+ * Edit history of published posts, kept in post_revisions (db/migrations/010_post_revisions.sql).
+ * The first edit also stores the post as originally published (revision 0), so every
+ * version a reader could have seen is on record with its time. Drafts and scheduled
+ * posts have no history until they are published.
+ */
+
+const REVISION_COLUMNS = "id, post_id, revision, change, editor_username, content, audience, community_id, media, created_at";
+const COMMUNITY_MODERATOR_ROLES = ["admin", "moderator"];
+// Media uploaded this soon after a post was created belongs to the original
+// (clients create the post first, then upload its files to POST /posts/:id/media)
+const MEDIA_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * The recorded parts of a post as they are now
+ * @param {number} postId
+ * @returns {Promise<object|null>} null when the post does not exist
+ */
+async function loadRevisionSnapshot(postId) {
+  const { data, error } = await supabase
+    .from("posts")
+    .select(
+      "id, author_username, content, status, audience, community_id, created_at, edited_at, post_media(id, media_url, media_type, position, variants, poster_url)"
+    )
+    .eq("id", postId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    ...data,
+    post_media: (data.post_media || [])
+      .sort((a, b) => a.position - b.position)
+      // Every file URL is kept: revisions hold on to their files (see utils/storageCleanup.js)
+      .map(({ id, media_url, media_type, position, variants = null, poster_url = null }) => ({
+        id,
+        media_url,
+        media_type,
+        position,
+        variants,
+        poster_url,
+      })),
+  };
+}
+
+function sameVersion(a, b) {
+  return (
+    (a.content ?? null) === (b.content ?? null) &&
+    (a.audience ?? null) === (b.audience ?? null) &&
+    (a.community_id ?? null) === (b.community_id ?? null) &&
+    JSON.stringify(a.post_media) === JSON.stringify(b.post_media)
+  );
+}
+
+/**
+ * Whether a media upload to `post` counts as an edit
+ * @param {object} post - snapshot from loadRevisionSnapshot
+ * @returns {boolean}
+ */
+function isMediaEdit(post) {
+  if (DRAFT_STATUSES.includes(post.status)) return false;
+  return !!post.edited_at || Date.now() - new Date(post.created_at).getTime() > MEDIA_GRACE_MS;
+}
+
+/**
+ * Record an edit of a published post and mark it as edited
+ * @param {object} before - snapshot taken (loadRevisionSnapshot) before the change
+ * @param {string} editor - username of whoever made the change
+ * @param {"edit"|"media_added"|"media_removed"} change
+ * @returns {Promise<object|null>} the new revision, or null when nothing was recorded
+ *   (draft or scheduled post, or nothing recorded changed)
+ */
+async function recordPostRevision(before, editor, change) {
+  if (!before || DRAFT_STATUSES.includes(before.status)) return null;
+
+  const after = await loadRevisionSnapshot(before.id);
+  if (!after || sameVersion(before, after)) return null;
+
+  const { data: last, error: lastErr } = await supabase
+    .from("post_revisions")
+    .select("revision")
+    .eq("post_id", before.id)
+    .order("revision", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastErr) throw lastErr;
+
+  const rows = [];
+  let revision = last ? last.revision : -1;
+  if (!last) {
+    revision = 0;
+    rows.push({
+      post_id: before.id,
+      revision,
+      change: "original",
+      editor_username: before.author_username,
+      content: before.content,
+      audience: before.audience,
+      community_id: before.community_id,
+      media: before.post_media,
+      created_at: before.created_at,
+    });
+  }
+
+  const now = new Date().toISOString();
+  rows.push({
+    post_id: before.id,
+    revision: revision + 1,
+    change,
+    editor_username: editor,
+    content: after.content,
+    audience: after.audience,
+    community_id: after.community_id,
+    media: after.post_media,
+    created_at: now,
+  });
+
+  const { data: inserted, error } = await supabase.from("post_revisions").insert(rows).select(REVISION_COLUMNS);
+  if (error) throw error;
+
+  const { error: updErr } = await supabase.from("posts").update({ edited_at: now }).eq("id", before.id);
+  if (updErr) throw updErr;
+
+  return inserted[inserted.length - 1];
+}
+
+/**
+ * Whether `user` may read the edit history of `post`: its author, platform
+ * moderators/admins and the admins/moderators of its community
+ * @param {object} post - needs author_username, community_id
+ * @param {object} user - authenticated profile (req.user)
+ * @returns {Promise<boolean>}
+ */
+async function canViewRevisions(post, user) {
+  if (post.author_username === user.username) return true;
+  if (getPlatformRole(user) !== "user") return true;
+  if (!post.community_id) return false;
+
+  const { data: membership, error } = await supabase
+    .from("community_members")
+    .select("role")
+    .eq("community_id", post.community_id)
+    .eq("username", user.username)
+    .maybeSingle();
+  if (error) throw error;
+  return !!membership && COMMUNITY_MODERATOR_ROLES.includes(membership.role);
+}
+
+/**
+ * Revisions of a post, newest first
+ * @param {number} postId
+ * @param {{ limit: number, before?: number|null }} options - before: only revisions older than this number
+ * @returns {Promise<object[]>}
+ */
+async function listPostRevisions(postId, { limit, before = null }) {
+  let query = supabase
+    .from("post_revisions")
+    .select(REVISION_COLUMNS)
+    .eq("post_id", postId)
+    .order("revision", { ascending: false })
+    .limit(limit);
+  if (before !== null) query = query.lt("revision", before);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  loadRevisionSnapshot,
+  isMediaEdit,
+  recordPostRevision,
+  canViewRevisions,
+  listPostRevisions,
+};
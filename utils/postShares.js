@@ -0,0 +1,154 @@
+const { supabase } = require("../db/supabaseClient");
+const { AUDIENCES, DEFAULT_AUDIENCE, filterVisiblePosts } = require("./postVisibility");
+
+/**
+ * Shares (POST /posts/:id/share). A share is a post whose shared_post_id points at the
+ * original: a quote when it has content of its own, a plain repost when it has none.
+ * Reposts of reposts point at the original directly.
+ *
+ * A share never reaches further than its original: AUDIENCES runs from the widest
+ * audience to the narrowest, and a share's audience may not come before the original's.
+ * Readers still only see an embedded original they may see themselves.
+ */
+
+const EMBED_COLUMNS =
+  "id, author_username, content, status, audience, hide_like_count, like_count, reaction_counts, comment_count, share_count, shared_post_id, community_id, created_at, updated_at, edited_at, post_media(id, media_url, media_type, position, width, height, duration, blurhash, variants, poster_url, codec)";
+
+function isRepost(post) {
+  return !!post.shared_post_id && !(post.content && post.content.trim());
+}
+
+/**
+ * The post a share of `post` should reference: the original itself, or what it reposts
+ * @param {object} post - needs id, content, shared_post_id
+ * @returns {Promise<object|null>} null when a reposted original no longer exists
+ */
+async function resolveShareTarget(post) {
+  if (!isRepost(post)) return post;
+
+  const { data, error } = await supabase
+    .from("posts")
+    .select("id, author_username, content, status, audience, community_id, shared_post_id")
+    .eq("id", post.shared_post_id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Why a share of `original` with the given audience/community is not allowed
+ * @param {object} original - needs audience, community_id
+ * @param {{ audience: string, community_id: number|null }} share
+ * @returns {Promise<string|null>} message for a 403, or null when allowed
+ */
+async function checkShareReach(original, share) {
+  if (original.community_id) {
+    const { data: community, error } = await supabase
+      .from("communities")
+      .select("id, is_private")
+      .eq("id", original.community_id)
+      .maybeSingle();
+    if (error) throw error;
+
+    // Posts of public communities are public
+    if (!community || !community.is_private) return null;
+    if (share.community_id !== original.community_id) {
+      return "Posts of a private community can only be shared inside that community.";
+    }
+    return null;
+  }
+
+  const originalAudience = original.audience || DEFAULT_AUDIENCE;
+  if (originalAudience === "public") return null;
+
+  if (share.community_id) {
+    return "Only public posts can be shared to a community.";
+  }
+  if (AUDIENCES.indexOf(share.audience) < AUDIENCES.indexOf(originalAudience)) {
+    return `This post can only be shared with an audience of ${originalAudience} or narrower.`;
+  }
+  return null;
+}
+
+/**
+ * Default audience of a share: the usual default, narrowed to the original's
+ * @param {object} original
+ * @returns {string}
+ */
+function defaultShareAudience(original) {
+  if (original.community_id) return DEFAULT_AUDIENCE;
+  const originalAudience = original.audience || DEFAULT_AUDIENCE;
+  return AUDIENCES.indexOf(originalAudience) > AUDIENCES.indexOf(DEFAULT_AUDIENCE) ? originalAudience : DEFAULT_AUDIENCE;
+}
+
+/**
+ * Recalculate share_count of a post from the posts sharing it
+ * @param {number} postId
+ * @returns {Promise<number>}
+ */
+async function recomputeShareCount(postId) {
+  const { count, error } = await supabase
+    .from("posts")
+    .select("id", { count: "exact", head: true })
+    .eq("shared_post_id", postId);
+  if (error) throw error;
+
+  const { error: updErr } = await supabase.from("posts").update({ share_count: count || 0 }).eq("id", postId);
+  if (updErr) throw updErr;
+  return count || 0;
+}
+
+/**
+ * Embed the original of every share as `shared_post`, with its media and author.
+ * shared_post is null when the original was deleted or the viewer may not see it.
+ * @param {object[]} posts
+ * @param {string|null} viewer
+ * @returns {Promise<object[]>}
+ */
+async function attachSharedPosts(posts, viewer) {
+  const ids = [...new Set(posts.map((p) => p.shared_post_id).filter(Boolean))];
+  if (ids.length === 0) return posts;
+
+  const { data: originals, error } = await supabase.from("posts").select(EMBED_COLUMNS).in("id", ids);
+  if (error) throw error;
+
+  const visible = await filterVisiblePosts(originals || [], viewer);
+
+  const authors = [...new Set(visible.map((p) => p.author_username).filter(Boolean))];
+  let users = [];
+  if (authors.length > 0) {
+    const { data: usersData, error: usersErr } = await supabase
+      .from("users")
+      .select("username, name, avatar")
+      .in("username", authors);
+    if (usersErr) throw usersErr;
+    users = usersData || [];
+  }
+
+  const userMap = new Map(users.map((u) => [u.username, u]));
+  const byId = new Map(
+    visible.map((p) => {
+      const author = userMap.get(p.author_username) || null;
+      return [
+        p.id,
+        {
+          ...p,
+          post_media: (p.post_media || []).sort((a, b) => a.position - b.position),
+          authorAvatar: author ? author.avatar : null,
+          authorDisplayName: author ? author.name || author.username : p.author_username,
+        },
+      ];
+    })
+  );
+
+  return posts.map((p) => (p.shared_post_id ? { ...p, shared_post: byId.get(p.shared_post_id) || null } : p));
+}
+
+module.exports = {
+  isRepost,
+  resolveShareTarget,
+  checkShareReach,
+  defaultShareAudience,
+  recomputeShareCount,
+  attachSharedPosts,
+};
@@ -0,0 +1,105 @@
+const { supabase } = require("../db/supabaseClient");
+const { USERNAME_MIN_LENGTH, USERNAME_MAX_LENGTH } = require("./username");
+
+/**
+ * #hashtags and @mentions found in post content, stored in post_hashtags and
+ * post_mentions (db/migrations/006_post_search.sql) whenever a post is created or edited.
+ */
+
+const MAX_TAG_LENGTH = 100;
+const MAX_TAGS_PER_POST = 30;
+const MAX_MENTIONS_PER_POST = 50;
+
+// A tag needs at least one letter, so "#1" stays plain text; "&#39;" is not a tag
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+// Usernames follow utils/username.js; "a@b.com" is not a mention
+const MENTION_PATTERN = new RegExp(
+  `(?:^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{${USERNAME_MIN_LENGTH},${USERNAME_MAX_LENGTH}})(?![a-zA-Z0-9_@])`,
+  "g"
+);
+
+/**
+ * Normalized form of a hashtag (lowercase, without "#"), or null when it is not a valid tag
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function normalizeHashtag(tag) {
+  const value = String(tag || "").replace(/^#/, "").normalize("NFC").toLowerCase();
+  if (!value || value.length > MAX_TAG_LENGTH) return null;
+  return /^[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*$/u.test(value) ? value : null;
+}
+
+/**
+ * @param {string|null} content
+ * @returns {string[]} unique normalized hashtags, in order of appearance
+ */
+function extractHashtags(content) {
+  const tags = new Set();
+  for (const match of String(content || "").matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeHashtag(match[1]);
+    if (tag) tags.add(tag);
+    if (tags.size >= MAX_TAGS_PER_POST) break;
+  }
+  return [...tags];
+}
+
+/**
+ * @param {string|null} content
+ * @returns {string[]} unique mentioned usernames as written, in order of appearance
+ */
+function extractMentions(content) {
+  const names = new Set();
+  for (const match of String(content || "").matchAll(MENTION_PATTERN)) {
+    names.add(match[1]);
+    if (names.size >= MAX_MENTIONS_PER_POST) break;
+  }
+  return [...names];
+}
+
+/**
+ * Replace the stored hashtags and mentions of a post with those in its content
+ * @param {{ id: number, author_username: string, content: string|null, created_at: string }} post
+ * @returns {Promise<{ hashtags: string[], mentions: string[], newMentions: string[] }>}
+ *   newMentions - existing users (other than the author) not mentioned before this call
+ */
+async function syncPostTags(post) {
+  const hashtags = extractHashtags(post.content);
+  const candidates = extractMentions(post.content).filter((name) => name !== post.author_username);
+
+  let mentions = [];
+  if (candidates.length > 0) {
+    const { data: users, error } = await supabase.from("users").select("username").in("username", candidates);
+    if (error) throw error;
+    const existing = new Set((users || []).map((u) => u.username));
+    mentions = candidates.filter((name) => existing.has(name));
+  }
+
+  const { data: previous, error: prevErr } = await supabase
+    .from("post_mentions")
+    .select("username")
+    .eq("post_id", post.id);
+  if (prevErr) throw prevErr;
+  const alreadyMentioned = new Set((previous || []).map((m) => m.username));
+
+  const delTags = await supabase.from("post_hashtags").delete().eq("post_id", post.id);
+  if (delTags.error) throw delTags.error;
+  if (hashtags.length > 0) {
+    const { error } = await supabase
+      .from("post_hashtags")
+      .insert(hashtags.map((tag) => ({ post_id: post.id, tag, created_at: post.created_at })));
+    if (error) throw error;
+  }
+
+  const delMentions = await supabase.from("post_mentions").delete().eq("post_id", post.id);
+  if (delMentions.error) throw delMentions.error;
+  if (mentions.length > 0) {
+    const { error } = await supabase
+      .from("post_mentions")
+      .insert(mentions.map((username) => ({ post_id: post.id, username, created_at: post.created_at })));
+    if (error) throw error;
+  }
+
+  return { hashtags, mentions, newMentions: mentions.filter((name) => !alreadyMentioned.has(name)) };
+}
+
+module.exports = { normalizeHashtag, extractHashtags, extractMentions, syncPostTags, MAX_TAG_LENGTH };
@@ -0,0 +1,243 @@
+const { supabase } = require("../db/supabaseClient");
+
+/**
+ * Who may read a post. Every route returning posts filters through here.
+ *
+ * - The author always sees their own posts.
+ * - Community posts follow the community: anyone for public communities,
+ *   approved members for private ones. Pending or rejected posts are only
+ *   shown to community admins and moderators.
+ * - Other posts follow their `audience`: public, followers (viewers following
+ *   the author), mutuals (viewer and author follow each other) or only_me.
+ * - Drafts and scheduled posts are not readable at all; only GET /posts/:id and
+ *   the drafts/scheduled lists show them to their author.
+ */
+
+const AUDIENCES = ["public", "followers", "mutuals", "only_me"];
+const DEFAULT_AUDIENCE = "followers";
+
+// Statuses of posts still waiting for, or refused, community approval
+const UNPUBLISHED_STATUSES = ["pending", "rejected"];
+// Statuses of posts not published yet (see utils/postPublishing.js)
+const DRAFT_STATUSES = ["draft", "scheduled"];
+const COMMUNITY_MODERATOR_ROLES = ["admin", "moderator"];
+// Keep `in (...)` filters to a sane URL length
+const IN_CHUNK_SIZE = 200;
+
+// How many extra rounds fetchVisiblePosts runs to fill a page after filtering
+const MAX_FILL_ROUNDS = 5;
+
+/**
+ * Relationships between the viewer and the authors/communities of `posts`
+ */
+async function loadVisibilityContext(posts, viewer) {
+  const authors = [...new Set(posts.map((p) => p.author_username).filter((a) => a && a !== viewer))];
+  const communityIds = [...new Set(posts.map((p) => p.community_id).filter(Boolean))];
+
+  const ctx = { following: new Set(), followedBy: new Set(), communities: new Map(), memberships: new Map() };
+
+  if (viewer && authors.length > 0) {
+    const [following, followedBy] = await Promise.all([
+      supabase.from("user_follows").select("followee_username").eq("follower_username", viewer).in("followee_username", authors),
+      supabase.from("user_follows").select("follower_username").eq("followee_username", viewer).in("follower_username", authors),
+    ]);
+    if (following.error) throw following.error;
+    if (followedBy.error) throw followedBy.error;
+    ctx.following = new Set((following.data || []).map((f) => f.followee_username));
+    ctx.followedBy = new Set((followedBy.data || []).map((f) => f.follower_username));
+  }
+
+  if (communityIds.length > 0) {
+    const { data, error } = await supabase.from("communities").select("id, is_private").in("id", communityIds);
+    if (error) throw error;
+    ctx.communities = new Map((data || []).map((c) => [c.id, c]));
+
+    if (viewer) {
+      const { data: members, error: mErr } = await supabase
+        .from("community_members")
+        .select("community_id, role, status")
+        .eq("username", viewer)
+        .in("community_id", communityIds);
+      if (mErr) throw mErr;
+      ctx.memberships = new Map((members || []).map((m) => [m.community_id, m]));
+    }
+  }
+
+  return ctx;
+}
+
+/**
+ * Published and, for community posts, approved
+ * @param {object} post - needs status
+ * @returns {boolean}
+ */
+function isPublished(post) {
+  return !UNPUBLISHED_STATUSES.includes(post.status) && !DRAFT_STATUSES.includes(post.status);
+}
+
+function isVisible(post, viewer, ctx, includeDrafts = false) {
+  if (DRAFT_STATUSES.includes(post.status)) return includeDrafts && !!viewer && post.author_username === viewer;
+  if (viewer && post.author_username === viewer) return true;
+
+  if (post.community_id) {
+    const community = ctx.communities.get(post.community_id);
+    if (!community) return false;
+
+    const membership = ctx.memberships.get(post.community_id);
+    const isMember = !!membership && membership.status === "approved";
+    const isModerator = !!membership && COMMUNITY_MODERATOR_ROLES.includes(membership.role);
+
+    if (UNPUBLISHED_STATUSES.includes(post.status)) return isModerator;
+    return !community.is_private || isMember || isModerator;
+  }
+
+  if (UNPUBLISHED_STATUSES.includes(post.status)) return false;
+
+  switch (post.audience || DEFAULT_AUDIENCE) {
+    case "public":
+      return true;
+    case "followers":
+      return ctx.following.has(post.author_username);
+    case "mutuals":
+      return ctx.following.has(post.author_username) && ctx.followedBy.has(post.author_username);
+    default:
+      // only_me and anything unknown
+      return false;
+  }
+}
+
+/**
+ * Keep the posts `viewer` may read, in their original order
+ * @param {object[]} posts - need author_username, audience, status, community_id
+ * @param {string|null} viewer - username, null for anonymous requests
+ * @returns {Promise<object[]>}
+ */
+async function filterVisiblePosts(posts, viewer) {
+  if (!posts || posts.length === 0) return [];
+  const ctx = await loadVisibilityContext(posts, viewer);
+  return posts.filter((p) => isVisible(p, viewer, ctx));
+}
+
+/**
+ * @param {object} post
+ * @param {string|null} viewer
+ * @param {{ includeDrafts?: boolean }} [options] - let the author see their drafts and scheduled posts
+ * @returns {Promise<boolean>}
+ */
+async function canViewPost(post, viewer, { includeDrafts = false } = {}) {
+  const ctx = await loadVisibilityContext([post], viewer);
+  return isVisible(post, viewer, ctx, includeDrafts);
+}
+
+/**
+ * Which of `usernames` may read a published post (e.g. who to notify about it)
+ * @param {object} post - needs author_username, audience, status, community_id
+ * @param {string[]} usernames
+ * @returns {Promise<string[]>}
+ */
+async function filterViewers(post, usernames) {
+  if (!isPublished(post) || usernames.length === 0) return [];
+
+  const chunks = [];
+  for (let i = 0; i < usernames.length; i += IN_CHUNK_SIZE) chunks.push(usernames.slice(i, i + IN_CHUNK_SIZE));
+
+  // Usernames found in `table` for the given filters, chunk by chunk
+  const matching = async (table, column, filters) => {
+    const found = new Set();
+    for (const part of chunks) {
+      let query = supabase.from(table).select(column).in(column, part);
+      for (const [key, value] of Object.entries(filters)) query = query.eq(key, value);
+      const { data, error } = await query;
+      if (error) throw error;
+      (data || []).forEach((row) => found.add(row[column]));
+    }
+    return found;
+  };
+
+  let allowed;
+  if (post.community_id) {
+    const { data: community, error } = await supabase
+      .from("communities")
+      .select("id, is_private")
+      .eq("id", post.community_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!community) return [];
+
+    allowed = community.is_private
+      ? await matching("community_members", "username", { community_id: post.community_id, status: "approved" })
+      : null;
+  } else {
+    switch (post.audience || DEFAULT_AUDIENCE) {
+      case "public":
+        allowed = null;
+        break;
+      case "followers":
+        allowed = await matching("user_follows", "follower_username", { followee_username: post.author_username });
+        break;
+      case "mutuals": {
+        const followers = await matching("user_follows", "follower_username", { followee_username: post.author_username });
+        const followed = await matching("user_follows", "followee_username", { follower_username: post.author_username });
+        allowed = new Set([...followers].filter((u) => followed.has(u)));
+        break;
+      }
+      default:
+        allowed = new Set();
+    }
+  }
+
+  return usernames.filter((u) => u === post.author_username || !allowed || allowed.has(u));
+}
+
+/**
+ * `.or()` filter for posts after `before` in newest-first (created_at, id) order, so posts
+ * sharing a timestamp are neither repeated nor skipped between batches and pages
+ * @param {{ created_at: string, id: number|null }} before - id null: every post older than created_at
+ * @param {string} [idColumn] - the column holding post ids
+ * @returns {string}
+ */
+function olderPostsFilter(before, idColumn = "id") {
+  const older = `created_at.lt."${before.created_at}"`;
+  if (before.id === null) return older;
+  return `${older},and(created_at.eq."${before.created_at}",${idColumn}.lt.${before.id})`;
+}
+
+/**
+ * Page through newest-first posts until `limit` visible ones are found
+ * @param {(before: { created_at: string, id: number|null }|null, batchSize: number) => PromiseLike<{ data, error }>} fetchPage -
+ *   posts after `before` (all when null; see olderPostsFilter), ordered by created_at and id, newest first
+ * @param {string|null} viewer
+ * @param {{ limit: number, before?: { created_at: string, id: number|null }|null }} options
+ * @returns {Promise<object[]>}
+ */
+async function fetchVisiblePosts(fetchPage, viewer, { limit, before = null }) {
+  const batchSize = Math.min(limit * 2, 200);
+  const visible = [];
+  let cursor = before;
+
+  for (let round = 0; round <= MAX_FILL_ROUNDS && visible.length < limit; round++) {
+    const { data, error } = await fetchPage(cursor, batchSize);
+    if (error) throw error;
+
+    const rows = data || [];
+    visible.push(...(await filterVisiblePosts(rows, viewer)));
+    if (rows.length < batchSize) break;
+    const last = rows[rows.length - 1];
+    cursor = { created_at: last.created_at, id: last.id };
+  }
+
+  return visible.slice(0, limit);
+}
+
+module.exports = {
+  AUDIENCES,
+  DEFAULT_AUDIENCE,
+  UNPUBLISHED_STATUSES,
+  DRAFT_STATUSES,
+  isPublished,
+  filterVisiblePosts,
+  filterViewers,
+  canViewPost,
+  olderPostsFilter,
+  fetchVisiblePosts,
+};
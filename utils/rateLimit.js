@@ -0,0 +1,147 @@
+const { LRUCache } = require("./lruCache");
+
+/**
+ * Fixed-window rate limiting shared by HTTP routes (middleware/rateLimit.middleware.js)
+ * and Socket.IO events (websocket.js).
+ *
+ * Every action is counted twice: per user and per client IP. The IP allowance is
+ * larger so users behind one NAT do not starve each other, while a bot rotating
+ * accounts from one address is still caught.
+ *
+ * Limits can be overridden with RATE_LIMIT_<NAME>=<max>/<seconds>, e.g.
+ * RATE_LIMIT_FOLLOWS=50/3600; RATE_LIMIT_DISABLED=true turns limiting off.
+ */
+
+// Default rules: `max` actions per user and `ipMax` per IP within `windowMs`
+const DEFAULT_RULES = {
+  posts: { windowMs: 60 * 1000, max: 10 },
+  messages: { windowMs: 60 * 1000, max: 60 },
+  swipes: { windowMs: 60 * 1000, max: 60 },
+  follows: { windowMs: 60 * 60 * 1000, max: 100 },
+  uploads: { windowMs: 60 * 1000, max: 30 },
+};
+
+// IP allowance relative to the per-user one
+const IP_MULTIPLIER = 5;
+
+function parseOverride(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+  if (!match) return null;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+/**
+ * Resolve a rule by name, applying env overrides
+ * @param {string} name
+ * @returns {{ name: string, windowMs: number, max: number, ipMax: number }}
+ */
+function getRule(name) {
+  const base = DEFAULT_RULES[name];
+  if (!base) throw new Error(`Unknown rate limit rule: ${name}`);
+
+  const envValue = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const override = parseOverride(envValue);
+  if (envValue && !override) console.error(`Ignoring invalid RATE_LIMIT_${name.toUpperCase()}: ${envValue}`);
+
+  const rule = { ...base, ...override };
+  return { name, ...rule, ipMax: rule.max * IP_MULTIPLIER };
+}
+
+/* ---------------------------------- Stores --------------------------------- */
+
+/**
+ * Default store: counters in process memory.
+ * With several server instances each one counts separately; plug in a shared
+ * store (see setRateLimitStore) to enforce limits across instances.
+ *
+ * A store only needs `increment(key, windowMs)` resolving to
+ * `{ count, resetAt }`: the hits in the current window including this one,
+ * and when that window ends (ms since epoch).
+ */
+class MemoryStore {
+  constructor({ max = 100000 } = {}) {
+    this.windows = new LRUCache({ max });
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+    }
+    entry.count += 1;
+    this.windows.set(key, entry, entry.resetAt - now);
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+/**
+ * Replace the counter store (e.g. with a Redis-backed one)
+ * @param {{ increment: (key: string, windowMs: number) => Promise<{ count: number, resetAt: number }> }} nextStore
+ */
+function setRateLimitStore(nextStore) {
+  if (!nextStore || typeof nextStore.increment !== "function") {
+    throw new Error("Rate limit store must implement increment(key, windowMs)");
+  }
+  store = nextStore;
+}
+
+/* --------------------------------- Consume --------------------------------- */
+
+/**
+ * Count one action against a rule
+ * @param {string} name - rule name (see DEFAULT_RULES)
+ * @param {object} client
+ * @param {string} [client.userId]
+ * @param {string} [client.ip]
+ * @returns {Promise<{ limited: boolean, limit: number, remaining: number, retryAfterSeconds: number }>}
+ */
+async function consumeRateLimit(name, { userId, ip }) {
+  const rule = getRule(name);
+  const unlimited = { limited: false, limit: rule.max, remaining: rule.max, retryAfterSeconds: 0 };
+  if (process.env.RATE_LIMIT_DISABLED === "true") return unlimited;
+
+  const checks = [];
+  if (userId) checks.push({ key: `${name}:user:${userId}`, max: rule.max });
+  if (ip) checks.push({ key: `${name}:ip:${ip}`, max: rule.ipMax });
+  if (checks.length === 0) return unlimited;
+
+  let results;
+  try {
+    results = await Promise.all(checks.map((c) => store.increment(c.key, rule.windowMs)));
+  } catch (err) {
+    // A broken store must not take the API down with it
+    console.error("rate limit store error:", err);
+    return unlimited;
+  }
+
+  const now = Date.now();
+  let limited = false;
+  let remaining = rule.max;
+  let retryAfterMs = 0;
+
+  results.forEach(({ count, resetAt }, i) => {
+    remaining = Math.min(remaining, Math.max(0, checks[i].max - count));
+    if (count > checks[i].max) {
+      limited = true;
+      retryAfterMs = Math.max(retryAfterMs, resetAt - now);
+    }
+  });
+
+  return {
+    limited,
+    limit: rule.max,
+    remaining,
+    retryAfterSeconds: limited ? Math.max(1, Math.ceil(retryAfterMs / 1000)) : 0,
+  };
+}
+
+module.exports = { consumeRateLimit, setRateLimitStore, getRule, MemoryStore, DEFAULT_RULES };
@@ -0,0 +1,205 @@
+/**
+ * Small JSON-Schema subset used to declare request shapes (see middleware/validate.middleware.js).
+ *
+ * Schemas are plain JSON Schema objects, so they can be dropped into an OpenAPI
+ * document as they are. Supported keywords: type (string, integer, number, boolean,
+ * array, object), nullable, enum, format (uuid, date-time, date, email, uri),
+ * minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems,
+ * properties, required, default, description.
+ */
+
+const FORMATS = {
+  uuid: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  "date-time": (v) => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: (v) => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+};
+
+/* --------------------------------- Builders --------------------------------- */
+
+const string = (opts = {}) => ({ type: "string", ...opts });
+const integer = (opts = {}) => ({ type: "integer", ...opts });
+const number = (opts = {}) => ({ type: "number", ...opts });
+const boolean = (opts = {}) => ({ type: "boolean", ...opts });
+const array = (items, opts = {}) => ({ type: "array", items, ...opts });
+const oneOf = (values, opts = {}) => ({ type: "string", enum: values, ...opts });
+
+/**
+ * Object schema
+ * @param {Record<string, object>} properties
+ * @param {string[]} [required]
+ */
+const object = (properties, required = [], opts = {}) => ({
+  type: "object",
+  properties,
+  ...(required.length && { required }),
+  ...opts,
+});
+
+/* ------------------------------- Common shapes ------------------------------ */
+
+const id = (opts = {}) => integer({ minimum: 1, ...opts });
+const uuid = (opts = {}) => string({ format: "uuid", ...opts });
+const username = (opts = {}) => string({ minLength: 1, maxLength: 50, ...opts });
+const limit = (max = 100, dflt = 20) => integer({ minimum: 1, maximum: max, default: dflt });
+const offset = () => integer({ minimum: 0, default: 0 });
+const dateTime = (opts = {}) => string({ format: "date-time", ...opts });
+
+/* -------------------------------- Validation -------------------------------- */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+// Strings arriving via params, query strings or multipart bodies
+function coerce(value, type) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+
+  if ((type === "integer" || type === "number") && trimmed !== "" && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (type === "boolean" && (trimmed === "true" || trimmed === "false")) return trimmed === "true";
+  if (type === "array") {
+    if (trimmed.startsWith("[")) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        return value;
+      }
+    }
+    return trimmed === "" ? [] : trimmed.split(",").map((v) => v.trim());
+  }
+  if (type === "object" && trimmed.startsWith("{")) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function describeType(schema) {
+  if (schema.enum) return `one of: ${schema.enum.join(", ")}`;
+  return schema.type === "integer" ? "an integer" : `${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`;
+}
+
+/**
+ * Validate (and, with `coerceStrings`, convert) a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} [options]
+ * @param {string} [options.path] - prefix used in error fields, e.g. "body"
+ * @param {boolean} [options.coerceStrings] - convert string input to the declared type
+ * @returns {{ value: *, errors: { field: string, message: string }[] }}
+ */
+function validateValue(schema, value, { path = "", coerceStrings = false } = {}) {
+  const errors = [];
+
+  function walk(s, v, field) {
+    if (coerceStrings) v = coerce(v, s.type);
+
+    if (v === null) {
+      if (s.nullable || !s.type) return v;
+      errors.push({ field, message: `must be ${describeType(s)}` });
+      return v;
+    }
+
+    const actual = typeOf(v);
+    const typeOk = s.type === "number" ? actual === "number" || actual === "integer" : actual === s.type;
+    if (s.type && !typeOk) {
+      errors.push({ field, message: `must be ${describeType(s)}` });
+      return v;
+    }
+
+    if (s.enum && !s.enum.includes(v)) {
+      errors.push({ field, message: `must be one of: ${s.enum.join(", ")}` });
+      return v;
+    }
+
+    if (s.type === "string") {
+      if (s.minLength !== undefined && v.trim().length < s.minLength) {
+        errors.push({ field, message: s.minLength === 1 ? "must not be empty" : `must be at least ${s.minLength} characters` });
+      }
+      if (s.maxLength !== undefined && v.length > s.maxLength) {
+        errors.push({ field, message: `must be at most ${s.maxLength} characters` });
+      }
+      if (s.pattern && !new RegExp(s.pattern).test(v)) {
+        errors.push({ field, message: "has an invalid format" });
+      }
+      const format = s.format && FORMATS[s.format];
+      if (format && !(typeof format === "function" ? format(v) : format.test(v))) {
+        errors.push({ field, message: `must be a valid ${s.format}` });
+      }
+    }
+
+    if (s.type === "integer" || s.type === "number") {
+      if (s.minimum !== undefined && v < s.minimum) errors.push({ field, message: `must be >= ${s.minimum}` });
+      if (s.maximum !== undefined && v > s.maximum) errors.push({ field, message: `must be <= ${s.maximum}` });
+    }
+
+    if (s.type === "array") {
+      if (s.minItems !== undefined && v.length < s.minItems) {
+        errors.push({ field, message: `must contain at least ${s.minItems} item(s)` });
+      }
+      if (s.maxItems !== undefined && v.length > s.maxItems) {
+        errors.push({ field, message: `must contain at most ${s.maxItems} item(s)` });
+      }
+      if (s.items) return v.map((item, i) => walk(s.items, item, `${field}[${i}]`));
+    }
+
+    if (s.type === "object" && s.properties) {
+      const out = { ...v };
+      for (const name of s.required || []) {
+        if (out[name] === undefined || out[name] === "") {
+          errors.push({ field: field ? `${field}.${name}` : name, message: "is required" });
+        }
+      }
+      for (const [name, prop] of Object.entries(s.properties)) {
+        const child = field ? `${field}.${name}` : name;
+        // Empty form/query values count as absent (required ones were reported above)
+        if (out[name] === undefined || out[name] === "") {
+          if (prop.default !== undefined) out[name] = prop.default;
+          else if (prop.type !== "string") delete out[name];
+          continue;
+        }
+        out[name] = walk(prop, out[name], child);
+      }
+      return out;
+    }
+
+    return v;
+  }
+
+  const result = walk(schema, value, path);
+  return { value: result, errors };
+}
+
+module.exports = {
+  validateValue,
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  oneOf,
+  id,
+  uuid,
+  username,
+  limit,
+  offset,
+  dateTime,
+};
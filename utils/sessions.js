@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const { supabase } = require("../db/supabaseClient");
+const { LRUCache } = require("./lruCache");
+const { decodeJwt } = require("./jwt");
+
+/**
+ * Per-device sessions (user_sessions table), keyed by the Supabase auth session id
+ * so every access token minted from one sign-in maps to the same row.
+ * Activity is written at most once per SESSION_TOUCH_INTERVAL_MS per session;
+ * revocations made by this process take effect immediately, others within that interval.
+ */
+
+const SESSION_TOUCH_INTERVAL_MS = Number(process.env.SESSION_TOUCH_INTERVAL_MS || 60 * 1000);
+
+// sessionId -> { revoked: boolean }, refreshed from the database on expiry
+const sessionState = new LRUCache({ max: 10000, ttlMs: SESSION_TOUCH_INTERVAL_MS });
+
+/**
+ * Session id for an access token: the `session_id` claim, or a hash of the
+ * token for tokens without one (each such token then counts as its own session)
+ * @param {string} token
+ * @param {object} [authUser] - verified auth user, may already carry session_id
+ * @returns {string}
+ */
+function getSessionId(token, authUser) {
+  if (authUser && authUser.session_id) return authUser.session_id;
+  try {
+    const { payload } = decodeJwt(token);
+    if (payload.session_id) return payload.session_id;
+  } catch {
+    // fall through
+  }
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Record activity on a session and report whether it has been revoked
+ * @param {object} params
+ * @param {string} params.sessionId
+ * @param {string} params.userId
+ * @param {string} [params.userAgent]
+ * @param {string} [params.ip]
+ * @returns {Promise<{ revoked: boolean }>}
+ */
+async function recordSessionActivity({ sessionId, userId, userAgent, ip }) {
+  const cached = sessionState.get(sessionId);
+  if (cached) return cached;
+
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .upsert(
+      [{
+        id: sessionId,
+        user_id: userId,
+        user_agent: userAgent || null,
+        ip: ip || null,
+        last_active_at: new Date().toISOString(),
+      }],
+      { onConflict: "id" }
+    )
+    .select("revoked_at")
+    .single();
+
+  if (error) {
+    // Tracking must not lock users out; try again on the next request
+    console.error("record session activity error:", error.message);
+    return { revoked: false };
+  }
+
+  const state = { revoked: !!data.revoked_at };
+  sessionState.set(sessionId, state);
+  return state;
+}
+
+/**
+ * Active (not revoked) sessions of a user, most recently used first
+ */
+async function listSessions(userId) {
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .select("id, user_agent, ip, created_at, last_active_at")
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .order("last_active_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Revoke one of the user's sessions: its access tokens are refused from now on
+ * and the underlying Supabase session is signed out so it cannot be refreshed.
+ * @returns {Promise<boolean>} false when the session does not belong to the user
+ */
+async function revokeSession(userId, sessionId) {
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) throw error;
+  if (!data || data.length === 0) return false;
+
+  sessionState.set(sessionId, { revoked: true });
+
+  const { error: authErr } = await supabase.rpc("revoke_auth_session", { p_session_id: sessionId });
+  if (authErr) console.error("revoke auth session error:", authErr.message);
+
+  return true;
+}
+
+module.exports = { getSessionId, recordSessionActivity, listSessions, revokeSession };
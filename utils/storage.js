@@ -0,0 +1,474 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const { supabase } = require("../db/supabaseClient");
+
+/**
+ * File storage behind one interface, so routes never talk to a storage provider directly.
+ * STORAGE_DRIVER picks the backend:
+ * - "supabase" (default): Supabase Storage
+ * - "local": files under STORAGE_LOCAL_DIR, served by this server at /storage
+ *   (for offline development and tests)
+ *
+ * Every adapter offers:
+ *   ensureBucket(bucket, options)              create the bucket or bring its settings up to date
+ *   put(bucket, path, body, { contentType, upsert })   body: Buffer or readable stream
+ *   remove(bucket, paths)
+ *   move(bucket, fromPath, toPath)
+ *   stat(bucket, path)                         { size, content_type, updated_at }, null when missing
+ *   read(bucket, path, { start, end })         Buffer of the whole object or of bytes start..end (inclusive)
+ *   publicUrl(bucket, path)
+ *   signedUrl(bucket, path, expiresInSeconds)
+ *   signedUploadUrl(bucket, path, expiresInSeconds)   { url, method, headers, expires_at } for one
+ *                                              client upload of the raw file (replaces an existing object)
+ *   list(bucket, prefix)                       every object below prefix: [{ path, size, updated_at }]
+ *   pathFromPublicUrl(bucket, url)             inverse of publicUrl, null for foreign URLs
+ * Failures are thrown.
+ */
+
+// Every bucket the app writes to, created at startup (provisionBuckets)
+const BUCKETS = {
+  posts: { public: true, allowedMimeTypes: ["image/*", "video/*"] },
+  "chat-image": { public: true, allowedMimeTypes: ["image/*", "video/*", "audio/*"] },
+  avatars: { public: true, allowedMimeTypes: ["image/*"], fileSizeLimit: 10485760 },
+  "background-images": { public: true, allowedMimeTypes: ["image/*"], fileSizeLimit: 10485760 },
+  community: { public: true, allowedMimeTypes: ["image/*"], fileSizeLimit: 10485760 },
+};
+
+const LIST_PAGE_SIZE = 1000;
+const REMOVE_BATCH_SIZE = 100;
+// Supabase keeps empty folders alive with this file
+const FOLDER_PLACEHOLDER = ".emptyFolderPlaceholder";
+// Supabase signed upload URLs always last two hours
+const SUPABASE_UPLOAD_URL_TTL = 2 * 60 * 60;
+const LOCAL_ROUTE = "/storage";
+
+/**
+ * A name safe to use in storage paths: accents dropped, anything but letters, digits, "_", "." and "-" as "_"
+ * @param {string} filename
+ * @returns {string}
+ */
+function cleanFileName(filename) {
+  return filename
+    .normalize("NFD")                 // remove accents
+    .replace(/[\u0300-\u036f]/g, "")  // remove Vietnamese tones
+    .replace(/[^\w.-]/g, "_");        // replace invalid chars
+}
+
+/**
+ * Reject paths that could escape a bucket (absolute, "..", backslashes)
+ * @param {string} objectPath
+ * @returns {string}
+ */
+function checkObjectPath(objectPath) {
+  const value = String(objectPath || "");
+  const segments = value.split("/");
+  if (!value || value.startsWith("/") || /[\\\0]/.test(value) || segments.some((s) => !s || s === "." || s === "..")) {
+    throw new Error(`Invalid storage path: ${value}`);
+  }
+  return value;
+}
+
+const isStream = (body) => !!body && typeof body.pipe === "function";
+
+function chunk(values, size) {
+  const parts = [];
+  for (let i = 0; i < values.length; i += size) parts.push(values.slice(i, i + size));
+  return parts;
+}
+
+/* ------------------------------ Supabase adapter ------------------------------ */
+
+function createSupabaseStorage(client) {
+  const bucketApi = (bucket) => client.storage.from(bucket);
+
+  async function ensureBucket(bucket, options = {}) {
+    const settings = {
+      public: !!options.public,
+      ...(options.fileSizeLimit && { fileSizeLimit: options.fileSizeLimit }),
+      ...(options.allowedMimeTypes && { allowedMimeTypes: options.allowedMimeTypes }),
+    };
+
+    const { error } = await client.storage.createBucket(bucket, settings);
+    if (!error) return "created";
+    if (!/already exists/i.test(error.message || "")) throw error;
+
+    const { error: updErr } = await client.storage.updateBucket(bucket, settings);
+    if (updErr) throw updErr;
+    return "updated";
+  }
+
+  async function put(bucket, objectPath, body, { contentType, upsert = false } = {}) {
+    const options = { contentType, upsert, ...(isStream(body) && { duplex: "half" }) };
+    const { error } = await bucketApi(bucket).upload(checkObjectPath(objectPath), body, options);
+    if (error) throw error;
+    return { path: objectPath };
+  }
+
+  async function remove(bucket, paths) {
+    for (const part of chunk(paths.map(checkObjectPath), REMOVE_BATCH_SIZE)) {
+      const { error } = await bucketApi(bucket).remove(part);
+      if (error) throw error;
+    }
+  }
+
+  async function move(bucket, fromPath, toPath) {
+    const { error } = await bucketApi(bucket).move(checkObjectPath(fromPath), checkObjectPath(toPath));
+    if (error) throw error;
+  }
+
+  async function stat(bucket, objectPath) {
+    const { data, error } = await bucketApi(bucket).info(checkObjectPath(objectPath));
+    if (error) {
+      const status = Number(error.status || error.statusCode || error.originalError?.status);
+      if (status === 400 || status === 404 || /not found/i.test(error.message || "")) return null;
+      throw error;
+    }
+    return { size: data.size, content_type: data.contentType || null, updated_at: data.lastModified || data.createdAt || null };
+  }
+
+  // storage-js has no ranged downloads, so this calls the object endpoint with its URL, headers and fetch
+  async function read(bucket, objectPath, { start, end } = {}) {
+    const api = bucketApi(bucket);
+    const encoded = checkObjectPath(objectPath).split("/").map(encodeURIComponent).join("/");
+    const headers = { ...api.headers, ...(start !== undefined && { Range: `bytes=${start}-${end ?? ""}` }) };
+    const response = await api.fetch(`${api.url}/object/${bucket}/${encoded}`, { headers });
+    if (!response.ok) throw new Error(`Storage read failed (${response.status}): ${bucket}/${objectPath}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  function publicUrl(bucket, objectPath) {
+    return bucketApi(bucket).getPublicUrl(checkObjectPath(objectPath)).data.publicUrl;
+  }
+
+  async function signedUrl(bucket, objectPath, expiresIn) {
+    const { data, error } = await bucketApi(bucket).createSignedUrl(checkObjectPath(objectPath), expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  }
+
+  async function signedUploadUrl(bucket, objectPath) {
+    const { data, error } = await bucketApi(bucket).createSignedUploadUrl(checkObjectPath(objectPath), { upsert: true });
+    if (error) throw error;
+    return {
+      url: data.signedUrl,
+      method: "PUT",
+      headers: { "x-upsert": "true" },
+      expires_at: new Date(Date.now() + SUPABASE_UPLOAD_URL_TTL * 1000).toISOString(),
+    };
+  }
+
+  async function list(bucket, prefix = "") {
+    const objects = [];
+
+    // Supabase lists one folder level at a time; folders come back without an id
+    const walk = async (dir) => {
+      for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+        const { data, error } = await bucketApi(bucket).list(dir, {
+          limit: LIST_PAGE_SIZE,
+          offset,
+          sortBy: { column: "name", order: "asc" },
+        });
+        if (error) throw error;
+
+        for (const entry of data || []) {
+          const entryPath = dir ? `${dir}/${entry.name}` : entry.name;
+          if (entry.id === null || entry.id === undefined) await walk(entryPath);
+          else if (entry.name !== FOLDER_PLACEHOLDER) {
+            objects.push({
+              path: entryPath,
+              size: entry.metadata ? entry.metadata.size : null,
+              updated_at: entry.updated_at || entry.created_at || null,
+            });
+          }
+        }
+        if (!data || data.length < LIST_PAGE_SIZE) break;
+      }
+    };
+
+    await walk(String(prefix).replace(/\/+$/, ""));
+    return objects;
+  }
+
+  function pathFromPublicUrl(bucket, url) {
+    const marker = `/object/public/${bucket}/`;
+    const idx = typeof url === "string" ? url.indexOf(marker) : -1;
+    return idx === -1 ? null : decodeURIComponent(url.substring(idx + marker.length).split("?")[0]);
+  }
+
+  return {
+    driver: "supabase",
+    handler: null,
+    ensureBucket,
+    put,
+    remove,
+    move,
+    stat,
+    read,
+    publicUrl,
+    signedUrl,
+    signedUploadUrl,
+    list,
+    pathFromPublicUrl,
+  };
+}
+
+/* -------------------------------- Local adapter ------------------------------- */
+
+/**
+ * @param {{ root: string, baseUrl: string, secret: string }} options
+ *   root - directory holding one folder per bucket; baseUrl - where `handler` is mounted, as clients reach it;
+ *   secret - signs URLs of private buckets
+ */
+function createLocalStorage({ root, baseUrl, secret }) {
+  const buckets = new Map();
+  const base = baseUrl.replace(/\/+$/, "");
+
+  const bucketDir = (bucket) => {
+    if (!/^[\w-]+$/.test(bucket)) throw new Error(`Invalid storage bucket: ${bucket}`);
+    return path.join(root, bucket);
+  };
+  const filePath = (bucket, objectPath) => path.join(bucketDir(bucket), ...checkObjectPath(objectPath).split("/"));
+  const encodePath = (objectPath) => objectPath.split("/").map(encodeURIComponent).join("/");
+  // Read and upload signatures differ by prefix, so one can never stand in for the other
+  const signature = (bucket, objectPath, expires, action = "read") =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${action === "read" ? "" : `${action}:`}${bucket}/${objectPath}:${expires}`)
+      .digest("base64url");
+  const validSignature = (bucket, objectPath, query, action) => {
+    const expires = Number(query.expires);
+    const expected = Number.isFinite(expires) ? signature(bucket, objectPath, expires, action) : "";
+    const given = String(query.signature || "");
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given)) &&
+      expires * 1000 > Date.now()
+    );
+  };
+
+  async function ensureBucket(bucket, options = {}) {
+    const dir = bucketDir(bucket);
+    const existed = fs.existsSync(dir);
+    buckets.set(bucket, { public: !!options.public, fileSizeLimit: options.fileSizeLimit || null });
+    await fs.promises.mkdir(dir, { recursive: true });
+    return existed ? "updated" : "created";
+  }
+
+  async function put(bucket, objectPath, body, { upsert = false } = {}) {
+    const target = filePath(bucket, objectPath);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      const flag = upsert ? "w" : "wx";
+      if (isStream(body)) await pipeline(body, fs.createWriteStream(target, { flags: flag }));
+      else await fs.promises.writeFile(target, body, { flag });
+    } catch (err) {
+      if (err.code === "EEXIST") throw new Error(`The resource already exists: ${bucket}/${objectPath}`);
+      throw err;
+    }
+    return { path: objectPath };
+  }
+
+  async function remove(bucket, paths) {
+    for (const objectPath of paths) {
+      await fs.promises.rm(filePath(bucket, objectPath), { force: true });
+    }
+  }
+
+  async function move(bucket, fromPath, toPath) {
+    const target = filePath(bucket, toPath);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(filePath(bucket, fromPath), target);
+  }
+
+  async function stat(bucket, objectPath) {
+    try {
+      const info = await fs.promises.stat(filePath(bucket, objectPath));
+      return info.isFile() ? { size: info.size, content_type: null, updated_at: info.mtime.toISOString() } : null;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function read(bucket, objectPath, { start, end } = {}) {
+    const chunks = [];
+    for await (const data of fs.createReadStream(filePath(bucket, objectPath), { start, end })) chunks.push(data);
+    return Buffer.concat(chunks);
+  }
+
+  function publicUrl(bucket, objectPath) {
+    return `${base}/${bucket}/${encodePath(checkObjectPath(objectPath))}`;
+  }
+
+  async function signedUrl(bucket, objectPath, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicUrl(bucket, objectPath)}?expires=${expires}&signature=${signature(bucket, objectPath, expires)}`;
+  }
+
+  async function signedUploadUrl(bucket, objectPath, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return {
+      url: `${publicUrl(bucket, objectPath)}?expires=${expires}&signature=${signature(bucket, objectPath, expires, "upload")}`,
+      method: "PUT",
+      headers: {},
+      expires_at: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  async function list(bucket, prefix = "") {
+    const objects = [];
+    const start = String(prefix).replace(/\/+$/, "");
+
+    const walk = async (dir, relative) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(full, entryPath);
+        else if (entry.isFile()) {
+          const stat = await fs.promises.stat(full);
+          objects.push({ path: entryPath, size: stat.size, updated_at: stat.mtime.toISOString() });
+        }
+      }
+    };
+
+    await walk(start ? filePath(bucket, start) : bucketDir(bucket), start);
+    return objects.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  function pathFromPublicUrl(bucket, url) {
+    const prefix = `${base}/${bucket}/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    return url.substring(prefix.length).split("?")[0].split("/").map(decodeURIComponent).join("/");
+  }
+
+  // GET <baseUrl>/:bucket/<path>; private buckets need a URL from signedUrl
+  const handler = express.Router();
+  handler.get("/:bucket/*", (req, res) => {
+    const { bucket } = req.params;
+    const objectPath = req.params[0];
+    const settings = buckets.get(bucket);
+    if (!settings) return res.status(404).json({ message: "Not found" });
+
+    if (!settings.public && !validSignature(bucket, objectPath, req.query, "read")) {
+      return res.status(403).json({ message: "Invalid or expired signature" });
+    }
+
+    try {
+      checkObjectPath(objectPath);
+    } catch {
+      return res.status(404).json({ message: "Not found" });
+    }
+
+    res.sendFile(objectPath, { root: bucketDir(bucket) }, (err) => {
+      if (err && !res.headersSent) res.status(err.statusCode === 404 || err.code === "ENOENT" ? 404 : 500).json({ message: "Not found" });
+    });
+  });
+
+  // PUT <baseUrl>/:bucket/<path> with a URL from signedUploadUrl; the body is the raw file
+  handler.put("/:bucket/*", async (req, res) => {
+    const { bucket } = req.params;
+    const objectPath = req.params[0];
+    const settings = buckets.get(bucket);
+    if (!settings) return res.status(404).json({ message: "Not found" });
+    if (!validSignature(bucket, objectPath, req.query, "upload")) {
+      return res.status(403).json({ message: "Invalid or expired signature" });
+    }
+
+    const declared = Number(req.headers["content-length"]);
+    if (settings.fileSizeLimit && declared > settings.fileSizeLimit) {
+      return res.status(413).json({ message: "Payload too large" });
+    }
+
+    // Count while streaming: the Content-Length header may be missing or wrong
+    let received = 0;
+    const limiter = new Transform({
+      transform(data, _encoding, callback) {
+        received += data.length;
+        if (settings.fileSizeLimit && received > settings.fileSizeLimit) return callback(new Error("Payload too large"));
+        callback(null, data);
+      },
+    });
+
+    try {
+      await put(bucket, objectPath, req.pipe(limiter), { upsert: true });
+      res.json({ path: objectPath });
+    } catch (err) {
+      await fs.promises.rm(filePath(bucket, objectPath), { force: true }).catch(() => {});
+      if (err.message === "Payload too large") return res.status(413).json({ message: err.message });
+      if (/^Invalid storage path/.test(err.message)) return res.status(400).json({ message: err.message });
+      console.error("local storage upload error:", err);
+      res.status(500).json({ message: "Upload failed" });
+    }
+  });
+
+  return {
+    driver: "local",
+    handler,
+    ensureBucket,
+    put,
+    remove,
+    move,
+    stat,
+    read,
+    publicUrl,
+    signedUrl,
+    signedUploadUrl,
+    list,
+    pathFromPublicUrl,
+  };
+}
+
+/* ---------------------------------- Selection --------------------------------- */
+
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || "supabase";
+  if (driver === "supabase") return createSupabaseStorage(supabase);
+  if (driver === "local") {
+    const port = process.env.PORT || 3000;
+    return createLocalStorage({
+      root: path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads"),
+      baseUrl: process.env.STORAGE_LOCAL_URL || `http://localhost:${port}${LOCAL_ROUTE}`,
+      // Without a configured secret, signed URLs stop working when the server restarts
+      secret: process.env.STORAGE_LOCAL_SECRET || crypto.randomBytes(32).toString("hex"),
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "supabase" or "local")`);
+}
+
+const storage = createStorage();
+
+/**
+ * Create every bucket in BUCKETS, or update its settings; failures are logged, not thrown
+ * @returns {Promise<void>}
+ */
+async function provisionBuckets() {
+  for (const [bucket, options] of Object.entries(BUCKETS)) {
+    try {
+      const result = await storage.ensureBucket(bucket, options);
+      console.log(`Storage bucket ${bucket} ${result}`);
+    } catch (err) {
+      console.error(`Error provisioning storage bucket ${bucket}:`, err);
+    }
+  }
+}
+
+module.exports = {
+  storage,
+  BUCKETS,
+  LOCAL_ROUTE,
+  provisionBuckets,
+  cleanFileName,
+  createSupabaseStorage,
+  createLocalStorage,
+};
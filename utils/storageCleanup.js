@@ -0,0 +1,354 @@
+const { supabase } = require("../db/supabaseClient");
+const { storage, BUCKETS, cleanFileName } = require("./storage");
+const { PRESETS } = require("./media");
+
+/**
+ * Stored files follow the rows pointing at them. Routes collect the file URLs of what
+ * they delete or replace and remove those files once the rows are gone
+ * (deleteStoredFiles); files another row still points at are kept.
+ * A periodic reconciliation (startStorageReconciler) removes objects no row references,
+ * e.g. after a failed removal or an upload whose row was never written.
+ * Post revisions (post_revisions.media) count as references, so edit history keeps its files.
+ *
+ * Clients may point users.avatar/background_image, communities.image_url and events.image_url
+ * at any URL, so files replaced in those columns are only removed from where the server
+ * stores that owner's files (ownedFileUrls); the reconciliation takes care of the rest.
+ */
+
+// Columns holding public URLs of stored files; `variants` columns hold { <size>: url }
+const URL_COLUMNS = [
+  { table: "post_media", column: "media_url", variants: "variants" },
+  { table: "message_media", column: "media_url", variants: "variants" },
+  { table: "post_media", column: "poster_url" },
+  { table: "message_media", column: "poster_url" },
+  { table: "users", column: "avatar" },
+  { table: "users", column: "background_image" },
+  { table: "communities", column: "image_url" },
+  { table: "communities", column: "cover_image" },
+  { table: "events", column: "image_url" },
+  { table: "event_comments", column: "image_url" },
+  { table: "community_events", column: "image_url" },
+];
+
+// Keys of `variants` columns (image sizes of every preset)
+const VARIANT_SIZES = [...new Set(Object.values(PRESETS).flatMap((preset) => Object.keys(preset.sizes)))];
+
+const RECONCILE_INTERVAL_MS = Number(process.env.STORAGE_RECONCILE_INTERVAL_MS || 6 * 60 * 60 * 1000);
+// Objects younger than this are kept: their row may not be written yet
+const RECONCILE_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+// A run never removes more than this share of a bucket holding at least RECONCILE_GUARD_MIN_OBJECTS
+// (guards against mass deletion when e.g. the storage URL changed and no row seems to match)
+const RECONCILE_MAX_SHARE = 0.5;
+const RECONCILE_GUARD_MIN_OBJECTS = 20;
+const PAGE_SIZE = 1000;
+// Keep `in (...)` filters to a sane URL length
+const IN_CHUNK_SIZE = 100;
+
+function chunk(values, size = IN_CHUNK_SIZE) {
+  const parts = [];
+  for (let i = 0; i < values.length; i += size) parts.push(values.slice(i, i + size));
+  return parts;
+}
+
+/**
+ * Bucket and path of a stored file's public URL
+ * @param {string} url
+ * @returns {{ bucket: string, path: string }|null} null for URLs outside our storage
+ */
+function locateStoredFile(url) {
+  for (const bucket of Object.keys(BUCKETS)) {
+    const path = storage.pathFromPublicUrl(bucket, url);
+    if (path) return { bucket, path };
+  }
+  return null;
+}
+
+/* ------------------------------- Owned locations ------------------------------- */
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Event images are uploaded before their event exists (POST /events/upload-image, /uploads)
+const EVENT_IMAGE_LOCATIONS = [{ bucket: "posts", pattern: /^event_images\// }];
+
+/**
+ * Where a user's profile images are stored (POST /users/:userId/avatar, /:userId/background-image)
+ * @param {{ id: string, username?: string|null }} user
+ * @returns {{ bucket: string, pattern: RegExp }[]}
+ */
+function userFileLocations(user) {
+  // Avatars are named after the username at upload time, or the id without one
+  const stems = [...new Set([user.username, user.id].filter(Boolean).map((name) => escapeRegExp(cleanFileName(name))))];
+  return [
+    { bucket: "avatars", pattern: new RegExp(`^avatars/(${stems.join("|")})_\\d+_[a-z]+\\.\\w+$`) },
+    { bucket: "background-images", pattern: new RegExp(`^${escapeRegExp(user.id)}-\\d+_[a-z]+\\.\\w+$`) },
+  ];
+}
+
+/**
+ * Where a community's images are stored (POST /communities/:id/avatar, /:id/cover)
+ * @param {number} communityId
+ * @returns {{ bucket: string, pattern: RegExp }[]}
+ */
+function communityFileLocations(communityId) {
+  return [{ bucket: "community", pattern: new RegExp(`^community/${Number(communityId)}/`) }];
+}
+
+/**
+ * The URLs of files stored in one of `locations`; for URLs read from client-writable columns
+ * @param {Array<string|null>} urls
+ * @param {{ bucket: string, pattern: RegExp }[]} locations - from userFileLocations, communityFileLocations, EVENT_IMAGE_LOCATIONS
+ * @returns {string[]}
+ */
+function ownedFileUrls(urls, locations) {
+  return (urls || []).filter((url) => {
+    const file = url ? locateStoredFile(url) : null;
+    return !!file && locations.some(({ bucket, pattern }) => bucket === file.bucket && pattern.test(file.path));
+  });
+}
+
+/**
+ * URLs of every stored size of media rows (post_media, message_media), with video posters
+ * @param {{ media_url: string, variants?: object|null, poster_url?: string|null }[]} rows
+ * @returns {string[]}
+ */
+function mediaRowUrls(rows) {
+  return (rows || []).flatMap((m) => [m.media_url, ...Object.values(m.variants || {}), m.poster_url]).filter(Boolean);
+}
+
+/**
+ * File URLs of the media rows of some owners, e.g. mediaUrlsOf("post_media", "post_id", postIds)
+ * @param {"post_media"|"message_media"} table
+ * @param {string} column
+ * @param {Array<number|string>} values
+ * @returns {Promise<string[]>}
+ */
+async function mediaUrlsOf(table, column, values) {
+  const urls = [];
+  for (const part of chunk(values)) {
+    const { data, error } = await supabase.from(table).select("media_url, variants, poster_url").in(column, part);
+    if (error) throw error;
+    urls.push(...mediaRowUrls(data));
+  }
+  return urls;
+}
+
+/**
+ * File URLs of a community: its images, its events' images and the media of its posts
+ * @param {number} communityId
+ * @returns {Promise<string[]>}
+ */
+async function communityFileUrls(communityId) {
+  const [community, events, posts] = await Promise.all([
+    supabase.from("communities").select("image_url, cover_image").eq("id", communityId).maybeSingle(),
+    supabase.from("community_events").select("image_url").eq("community_id", communityId),
+    supabase.from("posts").select("id").eq("community_id", communityId),
+  ]);
+  for (const result of [community, events, posts]) if (result.error) throw result.error;
+
+  return [
+    ...ownedFileUrls([community.data?.image_url], communityFileLocations(communityId)),
+    community.data?.cover_image,
+    ...(events.data || []).map((e) => e.image_url),
+    ...(await mediaUrlsOf("post_media", "post_id", (posts.data || []).map((p) => p.id))),
+  ].filter(Boolean);
+}
+
+/**
+ * File URLs of an event: its image and the images of its comments
+ * @param {number} eventId
+ * @returns {Promise<string[]>}
+ */
+async function eventFileUrls(eventId) {
+  const [event, comments] = await Promise.all([
+    supabase.from("events").select("image_url").eq("id", eventId).maybeSingle(),
+    supabase.from("event_comments").select("image_url").eq("event_id", eventId),
+  ]);
+  for (const result of [event, comments]) if (result.error) throw result.error;
+
+  return [
+    ...ownedFileUrls([event.data?.image_url], EVENT_IMAGE_LOCATIONS),
+    ...(comments.data || []).map((c) => c.image_url),
+  ].filter(Boolean);
+}
+
+// Every string in the media list of a post revision (media_url, poster_url, variants)
+function revisionMediaUrls(media) {
+  return (media || []).flatMap((m) => [m.media_url, m.poster_url, ...Object.values(m.variants || {})]);
+}
+
+// The given URLs some row or post revision still points at
+async function referencedUrls(urls) {
+  const found = new Set();
+  for (const { table, column, variants } of URL_COLUMNS) {
+    const columns = [column, ...(variants ? VARIANT_SIZES.map((size) => `${variants}->>${size}`) : [])];
+    for (const filterColumn of columns) {
+      for (const part of chunk(urls)) {
+        const { data, error } = await supabase.from(table).select(variants ? `${column}, ${variants}` : column).in(filterColumn, part);
+        if (error) throw error;
+        for (const row of data || []) {
+          found.add(row[column]);
+          if (variants) Object.values(row[variants] || {}).forEach((url) => found.add(url));
+        }
+      }
+    }
+  }
+
+  // Revision media is a jsonb list, searched by db/migrations/015_revision_file_references.sql
+  for (const part of chunk(urls)) {
+    const { data, error } = await supabase.rpc("revision_media_urls", { p_urls: part });
+    if (error) throw error;
+    (data || []).forEach((row) => found.add(row.url));
+  }
+  return found;
+}
+
+/**
+ * Remove stored files once the rows pointing at them are gone. Files still referenced
+ * elsewhere and URLs outside our storage are skipped. Never throws: leftovers are logged
+ * and picked up by the reconciliation.
+ * @param {Array<string|null>} urls - public URLs
+ * @returns {Promise<number>} files removed
+ */
+async function deleteStoredFiles(urls) {
+  const candidates = [...new Set((urls || []).filter(Boolean))];
+  if (candidates.length === 0) return 0;
+
+  try {
+    const stillUsed = await referencedUrls(candidates);
+    const byBucket = new Map();
+    for (const url of candidates) {
+      const file = !stillUsed.has(url) && locateStoredFile(url);
+      if (!file) continue;
+      if (!byBucket.has(file.bucket)) byBucket.set(file.bucket, new Set());
+      byBucket.get(file.bucket).add(file.path);
+    }
+
+    let removed = 0;
+    for (const [bucket, paths] of byBucket) {
+      await storage.remove(bucket, [...paths]);
+      removed += paths.size;
+    }
+    return removed;
+  } catch (err) {
+    console.error("storage cleanup error:", err);
+    return 0;
+  }
+}
+
+/* ------------------------------- Reconciliation ------------------------------- */
+
+// Paths per bucket of every file some row points at
+async function collectReferencedPaths() {
+  const referenced = new Map(Object.keys(BUCKETS).map((bucket) => [bucket, new Set()]));
+  const add = (url) => {
+    const file = typeof url === "string" ? locateStoredFile(url) : null;
+    if (file) referenced.get(file.bucket).add(file.path);
+  };
+
+  for (const { table, column, variants } of URL_COLUMNS) {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(variants ? `id, ${column}, ${variants}` : `id, ${column}`)
+        .not(column, "is", null)
+        .order("id", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      for (const row of data || []) {
+        add(row[column]);
+        if (variants) Object.values(row[variants] || {}).forEach(add);
+      }
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+  }
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("post_revisions")
+      .select("id, media")
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    for (const row of data || []) revisionMediaUrls(row.media).forEach(add);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return referenced;
+}
+
+/**
+ * Remove stored objects no row references (older than a day)
+ * @param {{ dryRun?: boolean }} [options] - dryRun: only report what would be removed
+ * @returns {Promise<Record<string, { objects: number, orphaned: number, removed: number, skipped?: string }>>} per bucket
+ */
+async function reconcileStorage({ dryRun = false } = {}) {
+  const referenced = await collectReferencedPaths();
+  const cutoff = Date.now() - RECONCILE_MIN_AGE_MS;
+  const report = {};
+
+  for (const bucket of Object.keys(BUCKETS)) {
+    const objects = await storage.list(bucket);
+    const orphans = objects
+      .filter((o) => !referenced.get(bucket).has(o.path))
+      .filter((o) => o.updated_at && new Date(o.updated_at).getTime() < cutoff)
+      .map((o) => o.path);
+
+    const result = { objects: objects.length, orphaned: orphans.length, removed: 0 };
+    if (objects.length >= RECONCILE_GUARD_MIN_OBJECTS && orphans.length > objects.length * RECONCILE_MAX_SHARE) {
+      result.skipped = `more than ${RECONCILE_MAX_SHARE * 100}% of the bucket looks unreferenced`;
+    } else if (!dryRun && orphans.length > 0) {
+      await storage.remove(bucket, orphans);
+      result.removed = orphans.length;
+    }
+    report[bucket] = result;
+  }
+
+  return report;
+}
+
+/**
+ * Run reconcileStorage every STORAGE_RECONCILE_INTERVAL_MS (runs never overlap)
+ * @returns {() => void} stops the job
+ */
+function startStorageReconciler(intervalMs = RECONCILE_INTERVAL_MS) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await reconcileStorage();
+      for (const [bucket, result] of Object.entries(report)) {
+        if (result.skipped) console.warn(`Storage reconciliation skipped ${bucket}: ${result.skipped}`);
+        else if (result.removed > 0) console.log(`Removed ${result.removed} unreferenced object(s) from ${bucket}`);
+      }
+    } catch (err) {
+      console.error("storage reconciliation error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  EVENT_IMAGE_LOCATIONS,
+  userFileLocations,
+  communityFileLocations,
+  ownedFileUrls,
+  mediaRowUrls,
+  mediaUrlsOf,
+  communityFileUrls,
+  eventFileUrls,
+  deleteStoredFiles,
+  reconcileStorage,
+  startStorageReconciler,
+};
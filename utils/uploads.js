@@ -0,0 +1,363 @@
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { supabase } = require("../db/supabaseClient");
+const { storage } = require("./storage");
+const { PRESETS, detectMediaType, probeIsoMedia, prepareVideo, prepareMedia, storePoster, storeMedia } = require("./media");
+const { VIDEO_LIMITS, checkVideoLimits } = require("./video");
+
+/**
+ * Uploads sent by clients straight to storage, kept in upload_sessions
+ * (db/migrations/012_upload_sessions.sql), so files never sit in this server's memory.
+ *
+ *   1. POST /uploads describes the file and where it goes. Files up to DIRECT_MAX_BYTES get
+ *      a signed upload URL ("direct"); larger ones are sent in parts of PART_SIZE bytes
+ *      ("resumable"), each to its own signed URL, and can be resumed part by part.
+ *   2. POST /uploads/:id/complete claims the session ("processing"), joins the parts, checks the stored file (size, and type
+ *      from its first bytes), processes images and videos like multipart uploads and
+ *      attaches the file to its post, message or event.
+ * Files of sessions that are never completed are left to the storage reconciliation.
+ */
+
+// Where each target's files go and which media kinds it takes (PRESETS in utils/media.js)
+const TARGETS = {
+  post: { bucket: "posts", preset: "post" },
+  message: { bucket: "chat-image", preset: "message" },
+  event: { bucket: "posts", preset: "event" },
+};
+
+// Largest accepted file per media kind; videos are limited further by the uploader's plan
+const MAX_BYTES = { image: 20 * 1024 * 1024, video: VIDEO_LIMITS.pro.maxBytes, audio: 100 * 1024 * 1024 };
+// Larger files are sent in parts
+const DIRECT_MAX_BYTES = 50 * 1024 * 1024;
+const PART_SIZE = 8 * 1024 * 1024;
+const DIRECT_TTL_SECONDS = 2 * 60 * 60;
+// Below the reconciliation's minimum age, so parts of a live session are never removed
+const RESUMABLE_TTL_SECONDS = 12 * 60 * 60;
+// Enough to recognise a file and, for MP4/MOV with the moov box up front, to probe it
+const HEAD_BYTES = 1024 * 1024;
+// Lifetime of the URL ffprobe/ffmpeg read a video from
+const PROBE_URL_TTL_SECONDS = 15 * 60;
+
+const SESSION_COLUMNS =
+  "id, username, target, target_id, bucket, object_path, file_name, content_type, kind, size, mode, part_size, part_count, status, result, expires_at, created_at, completed_at";
+
+const kindOf = (contentType) => String(contentType).split("/")[0];
+const partPath = (session, index) => `uploads/${session.id}/parts/${String(index).padStart(5, "0")}`;
+
+/**
+ * Why a file cannot be uploaded to a target, or null when it can
+ * @param {keyof TARGETS} target
+ * @param {string} contentType - as declared by the client
+ * @param {number} size - bytes
+ * @param {object|null} [user] - the uploader, whose plan limits videos
+ * @returns {string|null}
+ */
+function checkUploadFile(target, contentType, size, user = null) {
+  const kind = kindOf(contentType);
+  if (!PRESETS[TARGETS[target].preset].kinds.includes(kind)) return `This file type cannot be attached to a ${target}.`;
+  if (kind === "video") return checkVideoLimits({ size }, user);
+  if (size > MAX_BYTES[kind]) return `The file is too large (at most ${MAX_BYTES[kind] / (1024 * 1024)} MB for ${kind}).`;
+  return null;
+}
+
+/**
+ * Whether `username` may attach files to a target; the event target_id is optional
+ * (without it the image is for an event not created yet, like POST /events/upload-image)
+ * @param {keyof TARGETS} target
+ * @param {number|null} targetId - post, conversation or event id
+ * @param {string} username
+ * @returns {Promise<{ status: number, message: string }|null>} refusal for the response, or null
+ */
+async function checkUploadTarget(target, targetId, username) {
+  if (target === "post") {
+    const { data: post, error } = await supabase.from("posts").select("author_username").eq("id", targetId).maybeSingle();
+    if (error) throw error;
+    if (!post) return { status: 404, message: "Post not found." };
+    if (post.author_username !== username) return { status: 403, message: "Not allowed to add media to this post." };
+    return null;
+  }
+
+  if (target === "message") {
+    const { data: member, error } = await supabase
+      .from("conversation_members")
+      .select("conversation_id")
+      .eq("conversation_id", targetId)
+      .eq("username", username)
+      .maybeSingle();
+    if (error) throw error;
+    return member ? null : { status: 403, message: "Not a member of this conversation." };
+  }
+
+  if (targetId === null || targetId === undefined) return null;
+  const { data: event, error } = await supabase.from("events").select("hosted_by").eq("id", targetId).maybeSingle();
+  if (error) throw error;
+  if (!event) return { status: 404, message: "Event not found." };
+  if (event.hosted_by !== username) return { status: 403, message: "Only the host can change the event image." };
+  return null;
+}
+
+/**
+ * Start an upload session
+ * @param {string} username
+ * @param {{ target: keyof TARGETS, target_id?: number|null, file_name?: string|null, content_type: string,
+ *   size: number, resumable?: boolean }} file - resumable: send in parts even when small enough for one request
+ * @returns {Promise<object>} the session with, for direct uploads, `upload` ({ url, method, headers, expires_at })
+ */
+async function createUploadSession(username, { target, target_id = null, file_name = null, content_type, size, resumable = false }) {
+  const id = crypto.randomUUID();
+  const mode = resumable || size > DIRECT_MAX_BYTES ? "resumable" : "direct";
+  const ttl = mode === "direct" ? DIRECT_TTL_SECONDS : RESUMABLE_TTL_SECONDS;
+
+  const { data: session, error } = await supabase
+    .from("upload_sessions")
+    .insert([
+      {
+        id,
+        username,
+        target,
+        target_id,
+        bucket: TARGETS[target].bucket,
+        object_path: `uploads/${id}/file`,
+        file_name,
+        content_type,
+        kind: kindOf(content_type),
+        size,
+        mode,
+        part_size: mode === "resumable" ? PART_SIZE : null,
+        part_count: mode === "resumable" ? Math.ceil(size / PART_SIZE) : null,
+        status: "pending",
+        expires_at: new Date(Date.now() + ttl * 1000).toISOString(),
+      },
+    ])
+    .select(SESSION_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  if (mode === "resumable") return session;
+  return { ...session, upload: await signedUpload(session, session.object_path) };
+}
+
+async function signedUpload(session, objectPath) {
+  const ttl = Math.max(1, Math.floor((new Date(session.expires_at).getTime() - Date.now()) / 1000));
+  const upload = await storage.signedUploadUrl(session.bucket, objectPath, ttl);
+  // Buckets only take their allowed MIME types, so the file must be sent with its own
+  return { ...upload, headers: { ...upload.headers, "content-type": session.content_type } };
+}
+
+/**
+ * A session of `username`, null when there is none
+ * @param {string} id
+ * @param {string} username
+ * @returns {Promise<object|null>}
+ */
+async function getUploadSession(id, username) {
+  const { data, error } = await supabase
+    .from("upload_sessions")
+    .select(SESSION_COLUMNS)
+    .eq("id", id)
+    .eq("username", username)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+const isExpired = (session) => new Date(session.expires_at).getTime() <= Date.now();
+
+/**
+ * Signed upload URL for one part of a resumable upload (sending a part again replaces it)
+ * @param {object} session
+ * @param {number} index - 0-based, below session.part_count
+ * @returns {Promise<object>} { url, method, headers, expires_at }
+ */
+async function partUpload(session, index) {
+  return signedUpload(session, partPath(session, index));
+}
+
+// Byte count every part of a session must have
+function expectedPartSize(session, index) {
+  return index < session.part_count - 1 ? session.part_size : session.size - session.part_size * (session.part_count - 1);
+}
+
+/**
+ * Parts of a resumable upload stored so far, with the ones still missing or of the wrong size
+ * @param {object} session
+ * @returns {Promise<{ uploaded: number[], missing: number[] }>} part indexes
+ */
+async function uploadedParts(session) {
+  const stored = new Map();
+  for (const object of await storage.list(session.bucket, `uploads/${session.id}/parts`)) {
+    const index = Number(object.path.split("/").pop());
+    if (Number.isInteger(index)) stored.set(index, object.size);
+  }
+
+  const uploaded = [];
+  const missing = [];
+  for (let index = 0; index < session.part_count; index++) {
+    (stored.get(index) === expectedPartSize(session, index) ? uploaded : missing).push(index);
+  }
+  return { uploaded, missing };
+}
+
+// Join the parts into the session's file, streaming one part at a time
+async function joinParts(session) {
+  const parts = Array.from({ length: session.part_count }, (_, index) => partPath(session, index));
+  const body = Readable.from(
+    (async function* () {
+      for (const part of parts) yield await storage.read(session.bucket, part);
+    })()
+  );
+  await storage.put(session.bucket, session.object_path, body, { contentType: session.content_type, upsert: true });
+  await storage.remove(session.bucket, parts);
+}
+
+/**
+ * Check the stored file of a session: present, of the declared size, and of an accepted
+ * type judged by its first bytes. Joins the parts of resumable uploads first.
+ * @param {object} session - pending session
+ * @returns {Promise<{ status?: number, error?: string, missing_parts?: number[], type?: object, head?: Buffer }>}
+ *   error (with a response status) when the file is missing, incomplete or refused
+ */
+async function checkUploadedFile(session) {
+  if (session.mode === "resumable") {
+    const { missing } = await uploadedParts(session);
+    const joined = await storage.stat(session.bucket, session.object_path);
+    // Parts are removed once joined, so a retry after a failed attach finds the file instead
+    if (missing.length && !joined) return { status: 409, error: "Upload incomplete.", missing_parts: missing };
+    if (!joined) await joinParts(session);
+  }
+
+  const stored = await storage.stat(session.bucket, session.object_path);
+  if (!stored) return { status: 409, error: "The file has not been uploaded yet." };
+  if (stored.size !== session.size) {
+    return { status: 400, error: `The uploaded file has ${stored.size} bytes, ${session.size} were announced.` };
+  }
+
+  const head = await storage.read(session.bucket, session.object_path, { start: 0, end: Math.min(HEAD_BYTES, session.size) - 1 });
+  const type = detectMediaType(head, session.content_type);
+  if (!type || type.kind !== session.kind) {
+    return { status: 400, error: `${session.file_name || "File"}: unsupported file type.` };
+  }
+
+  return { type, head };
+}
+
+/**
+ * Move a checked file to its final place. Images are processed like multipart uploads
+ * (sizes, metadata stripped, blurhash). Videos are probed where they are stored, checked
+ * against the uploader's plan and get a poster image; videos and audio are moved as they are.
+ * @param {object} session
+ * @param {{ type: object, head: Buffer }} checked - from checkUploadedFile
+ * @param {string} basePath - storage path without extension, as for storeMedia
+ * @param {object|null} [user] - the uploader, whose plan limits videos
+ * @returns {Promise<{ error: string|null, stored?: object }>} stored: post_media/message_media columns
+ */
+async function storeUploadedFile(session, { type, head }, basePath, user = null) {
+  if (type.kind === "image") {
+    const buffer = await storage.read(session.bucket, session.object_path);
+    const file = { buffer, mimetype: session.content_type, originalname: session.file_name };
+    const { error, media } = await prepareMedia(file, TARGETS[session.target].preset, { user });
+    if (error) return { error };
+
+    const stored = await storeMedia(session.bucket, basePath, media[0]);
+    await storage.remove(session.bucket, [session.object_path]);
+    return { error: null, stored };
+  }
+
+  let probe;
+  if (type.kind === "video") {
+    // ffmpeg reads just what it needs over HTTP, so large videos are never downloaded here
+    const url = await storage.signedUrl(session.bucket, session.object_path, PROBE_URL_TTL_SECONDS);
+    const name = session.file_name || "File";
+    const { error, video } = await prepareVideo(url, type, { head, size: session.size, user, name });
+    if (error) return { error };
+    probe = video;
+  } else {
+    probe = type.mime === "audio/mp4" ? probeIsoMedia(head) : { duration: null, width: null, height: null };
+  }
+
+  const finalPath = `${basePath}.${type.ext}`;
+  await storage.move(session.bucket, session.object_path, finalPath);
+
+  return {
+    error: null,
+    stored: {
+      media_url: storage.publicUrl(session.bucket, finalPath),
+      media_type: type.kind,
+      width: probe.width,
+      height: probe.height,
+      duration: probe.duration,
+      blurhash: probe.blurhash || null,
+      variants: null,
+      poster_url: await storePoster(session.bucket, basePath, probe.poster),
+      codec: probe.codec || null,
+    },
+  };
+}
+
+/**
+ * Claim a pending session for completion, so concurrent completions process it once
+ * @param {object} session
+ * @returns {Promise<boolean>} false when another request claimed it first
+ */
+async function claimUploadSession(session) {
+  const { data, error } = await supabase
+    .from("upload_sessions")
+    .update({ status: "processing" })
+    .eq("id", session.id)
+    .eq("status", "pending")
+    .select("id")
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Hand a claimed session back, for completions that can be retried (e.g. parts still missing)
+ * @param {object} session
+ */
+async function releaseUploadSession(session) {
+  const { error } = await supabase
+    .from("upload_sessions")
+    .update({ status: "pending" })
+    .eq("id", session.id)
+    .eq("status", "processing");
+  if (error) throw error;
+}
+
+/**
+ * Close a session
+ * @param {object} session
+ * @param {"completed"|"failed"|"cancelled"} status
+ * @param {object|null} [result] - response of the completion, returned again on retries
+ */
+async function closeUploadSession(session, status, result = null) {
+  const { error } = await supabase
+    .from("upload_sessions")
+    .update({ status, result, completed_at: new Date().toISOString() })
+    .eq("id", session.id);
+  if (error) throw error;
+
+  if (status !== "completed") {
+    const leftovers = (await storage.list(session.bucket, `uploads/${session.id}`)).map((o) => o.path);
+    if (leftovers.length) await storage.remove(session.bucket, leftovers);
+  }
+}
+
+module.exports = {
+  TARGETS,
+  MAX_BYTES,
+  DIRECT_MAX_BYTES,
+  PART_SIZE,
+  checkUploadFile,
+  checkUploadTarget,
+  createUploadSession,
+  getUploadSession,
+  isExpired,
+  partUpload,
+  uploadedParts,
+  checkUploadedFile,
+  storeUploadedFile,
+  claimUploadSession,
+  releaseUploadSession,
+  closeUploadSession,
+};
@@ -0,0 +1,309 @@
+const { supabase } = require("../db/supabaseClient");
+const { recomputePostReactions } = require("./postReactions");
+const {
+  EVENT_IMAGE_LOCATIONS,
+  userFileLocations,
+  ownedFileUrls,
+  mediaRowUrls,
+  communityFileUrls,
+  deleteStoredFiles,
+} = require("./storageCleanup");
+
+/**
+ * Everything stored about one account: collected for GET /users/me/export
+ * and removed by DELETE /users/me.
+ */
+
+// Supabase caps a single select at 1000 rows
+const PAGE_SIZE = 1000;
+// Keep `in (...)` filters to a sane URL length
+const IN_CHUNK_SIZE = 200;
+
+// Tables exported per username column (or `key` of the profile); the name becomes the file name in the export
+const EXPORT_SOURCES = {
+  posts: { table: "posts", column: "author_username", select: "*, post_media(*), post_revisions(*)" },
+  comments: { table: "comments", column: "author_username" },
+  post_likes: { table: "post_likes", column: "username" },
+  comment_likes: { table: "comment_likes", column: "username" },
+  post_mentions: { table: "post_mentions", column: "username" },
+  following: { table: "user_follows", column: "follower_username" },
+  followers: { table: "user_follows", column: "followee_username" },
+  swipes: { table: "user_swipes", column: "swiper_username" },
+  conversation_memberships: { table: "conversation_members", column: "username" },
+  messages: { table: "messages", column: "sender_username", select: "*, message_media(*)" },
+  message_reactions: { table: "message_reactions", column: "username" },
+  communities_created: { table: "communities", column: "created_by" },
+  community_memberships: { table: "community_members", column: "username" },
+  community_join_requests: { table: "community_join_requests", column: "username" },
+  community_event_participation: { table: "community_event_participants", column: "username" },
+  events_hosted: { table: "events", column: "hosted_by" },
+  event_participation: { table: "event_participants", column: "username" },
+  event_comments: { table: "event_comments", column: "author_username" },
+  notifications: { table: "notifications", column: "recipient_username" },
+  quick_messages: { table: "quick_messages", column: "username" },
+  languages: { table: "user_languages", column: "username" },
+  countries: { table: "user_countries", column: "username" },
+  hangout_status: { table: "user_hangout_status", column: "username" },
+  subscriptions: { table: "user_subscriptions", column: "username" },
+  payment_transactions: { table: "payment_transactions", column: "username" },
+  former_usernames: { table: "username_aliases", column: "user_id", key: "id" },
+  sessions: { table: "user_sessions", column: "user_id", key: "id" },
+};
+
+/* --------------------------------- Helpers --------------------------------- */
+
+function chunk(values, size = IN_CHUNK_SIZE) {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) out.push(values.slice(i, i + size));
+  return out;
+}
+
+async function selectAll(table, column, value, select = "*") {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(select)
+      .eq(column, value)
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function deleteWhere(table, column, value) {
+  const { error } = await supabase.from(table).delete().eq(column, value);
+  if (error) throw error;
+}
+
+async function deleteIn(table, column, values) {
+  for (const part of chunk(values)) {
+    const { error } = await supabase.from(table).delete().in(column, part);
+    if (error) throw error;
+  }
+}
+
+// Recalculate a denormalized counter (e.g. posts.like_count) for the given rows
+async function recomputeCounts(ids, { table, field, countTable, foreignKey, filter }) {
+  for (const id of new Set(ids)) {
+    let query = supabase.from(countTable).select("*", { count: "exact", head: true }).eq(foreignKey, id);
+    if (filter) query = filter(query);
+    const { count, error } = await query;
+    if (error) throw error;
+
+    const { error: updErr } = await supabase.from(table).update({ [field]: count || 0 }).eq("id", id);
+    if (updErr) throw updErr;
+  }
+}
+
+/* --------------------------------- Export ---------------------------------- */
+
+/**
+ * Collect every row tied to a user
+ * @param {object} user - public profile row
+ * @returns {Promise<Record<string, object|object[]>>} keyed by EXPORT_SOURCES name, plus `profile`
+ */
+async function collectUserData(user) {
+  const { password_hash, ...profile } = user;
+  const data = { profile };
+
+  for (const [name, source] of Object.entries(EXPORT_SOURCES)) {
+    data[name] = await selectAll(source.table, source.column, user[source.key || "username"], source.select);
+  }
+
+  return data;
+}
+
+/* --------------------------------- Deletion --------------------------------- */
+
+/**
+ * Delete an account and everything tied to it.
+ * Runs as a sequence of idempotent steps, so a failed deletion can simply be retried.
+ * - Own posts, their media objects, likes and comments are removed.
+ * - Direct-message history sent by the user is removed; messages in group and
+ *   community chats stay but lose their author (sender_username = null).
+ * - Communities the user created pass to another admin/moderator (or the oldest
+ *   member); empty ones are deleted. Events the user hosts are deleted.
+ * - Payment transactions are kept for accounting.
+ * @param {object} user - public profile row
+ * @returns {Promise<object>} counts of what was removed
+ */
+async function deleteUserAccount(user) {
+  const username = user.username;
+  const summary = {};
+
+  // Own posts and their media
+  // Stored files go once their rows are gone; storage failures never block the deletion
+  const posts = await selectAll("posts", "author_username", username, "id, community_id, shared_post_id, post_media(media_url, variants, poster_url)");
+  const postIds = posts.map((p) => p.id);
+  await deleteIn("comments", "post_id", postIds);
+  await deleteIn("post_likes", "post_id", postIds);
+  await deleteIn("post_media", "post_id", postIds);
+  await deleteIn("posts", "id", postIds);
+  summary.posts = postIds.length;
+  summary.post_media_objects = await deleteStoredFiles(mediaRowUrls(posts.flatMap((p) => p.post_media || [])));
+  await recomputeCounts(posts.map((p) => p.shared_post_id).filter(Boolean), {
+    table: "posts", field: "share_count", countTable: "posts", foreignKey: "shared_post_id",
+  });
+
+  // Reactions and comments on other people's posts
+  const likes = await selectAll("post_likes", "username", username, "post_id");
+  await deleteWhere("post_likes", "username", username);
+  for (const postId of new Set(likes.map((l) => l.post_id))) {
+    await recomputePostReactions(postId);
+  }
+
+  const commentLikes = await selectAll("comment_likes", "username", username, "comment_id");
+  await deleteWhere("comment_likes", "username", username);
+
+  const comments = await selectAll("comments", "author_username", username, "id, post_id, parent_id");
+  // Replies to the user's comments go with them
+  await deleteIn("comments", "parent_id", comments.map((c) => c.id));
+  await deleteWhere("comments", "author_username", username);
+  await recomputeCounts(comments.map((c) => c.post_id), {
+    table: "posts", field: "comment_count", countTable: "comments", foreignKey: "post_id",
+  });
+  summary.comments = comments.length;
+
+  // Counters on other people's comments (rows that no longer exist are simply not updated)
+  await recomputeCounts(comments.map((c) => c.parent_id).filter(Boolean), {
+    table: "comments", field: "reply_count", countTable: "comments", foreignKey: "parent_id",
+  });
+  await recomputeCounts(commentLikes.map((l) => l.comment_id), {
+    table: "comments", field: "like_count", countTable: "comment_likes", foreignKey: "comment_id",
+  });
+
+  // Social graph
+  await deleteWhere("user_follows", "follower_username", username);
+  await deleteWhere("user_follows", "followee_username", username);
+  await deleteWhere("user_swipes", "swiper_username", username);
+  await deleteWhere("user_swipes", "target_username", username);
+
+  // Chats
+  const memberships = await selectAll("conversation_members", "username", username, "conversation_id, conversations(type)");
+  const dmIds = memberships.filter((m) => m.conversations?.type === "dm").map((m) => m.conversation_id);
+
+  const dmMessages = [];
+  for (const part of chunk(dmIds)) {
+    const { data, error } = await supabase
+      .from("messages")
+      .select("id, message_media(media_url, variants, poster_url)")
+      .eq("sender_username", username)
+      .in("conversation_id", part);
+    if (error) throw error;
+    dmMessages.push(...(data || []));
+  }
+  const dmMessageIds = dmMessages.map((m) => m.id);
+  await deleteIn("message_media", "message_id", dmMessageIds);
+  await deleteIn("message_reactions", "message_id", dmMessageIds);
+  await deleteIn("message_reads", "message_id", dmMessageIds);
+  await deleteIn("messages", "id", dmMessageIds);
+  summary.messages_deleted = dmMessageIds.length;
+  summary.message_media_objects = await deleteStoredFiles(mediaRowUrls(dmMessages.flatMap((m) => m.message_media || [])));
+
+  const { data: anonymized, error: anonErr } = await supabase
+    .from("messages")
+    .update({ sender_username: null })
+    .eq("sender_username", username)
+    .select("id");
+  if (anonErr) throw anonErr;
+  summary.messages_anonymized = (anonymized || []).length;
+
+  await deleteWhere("message_reactions", "username", username);
+  await deleteWhere("message_reads", "username", username);
+  await deleteWhere("conversation_members", "username", username);
+  summary.conversations_left = memberships.length;
+
+  // Communities
+  const communityMemberships = await selectAll("community_members", "username", username, "community_id");
+  await deleteWhere("community_members", "username", username);
+  await deleteWhere("community_join_requests", "username", username);
+
+  const created = await selectAll("communities", "created_by", username, "id");
+  for (const { id } of created) {
+    const { data: members, error } = await supabase
+      .from("community_members")
+      .select("username, role")
+      .eq("community_id", id)
+      .eq("status", "approved")
+      .order("joined_at", { ascending: true });
+    if (error) throw error;
+
+    const next = (members || []).find((m) => m.role === "admin")
+      || (members || []).find((m) => m.role === "moderator")
+      || (members || [])[0];
+
+    if (!next) {
+      const fileUrls = await communityFileUrls(id);
+      await deleteWhere("communities", "id", id);
+      await deleteStoredFiles(fileUrls);
+      continue;
+    }
+
+    const { error: ownerErr } = await supabase.from("communities").update({ created_by: next.username }).eq("id", id);
+    if (ownerErr) throw ownerErr;
+
+    const { error: roleErr } = await supabase
+      .from("community_members")
+      .update({ role: "admin" })
+      .eq("community_id", id)
+      .eq("username", next.username);
+    if (roleErr) throw roleErr;
+  }
+  summary.communities_transferred_or_deleted = created.length;
+
+  await recomputeCounts(communityMemberships.map((m) => m.community_id), {
+    table: "communities", field: "member_count", countTable: "community_members", foreignKey: "community_id",
+    filter: (q) => q.eq("status", "approved"),
+  });
+  await recomputeCounts(posts.map((p) => p.community_id).filter(Boolean), {
+    table: "communities", field: "post_count", countTable: "posts", foreignKey: "community_id",
+  });
+
+  // Events
+  await deleteWhere("community_event_participants", "username", username);
+  const communityEvents = await selectAll("community_events", "created_by", username, "id, image_url");
+  await deleteIn("community_event_participants", "event_id", communityEvents.map((e) => e.id));
+  await deleteIn("community_events", "id", communityEvents.map((e) => e.id));
+
+  await deleteWhere("event_participants", "username", username);
+  const eventComments = await selectAll("event_comments", "author_username", username, "image_url");
+  await deleteWhere("event_comments", "author_username", username);
+  const events = await selectAll("events", "hosted_by", username, "id, image_url");
+  const eventIds = events.map((e) => e.id);
+  const hostedComments = [];
+  for (const part of chunk(eventIds)) {
+    const { data, error } = await supabase.from("event_comments").select("image_url").in("event_id", part);
+    if (error) throw error;
+    hostedComments.push(...(data || []));
+  }
+  await deleteIn("event_participants", "event_id", eventIds);
+  await deleteIn("event_comments", "event_id", eventIds);
+  await deleteIn("events", "id", eventIds);
+  summary.events = eventIds.length + communityEvents.length;
+  await deleteStoredFiles([
+    ...[...communityEvents, ...eventComments, ...hostedComments].map((row) => row.image_url),
+    ...ownedFileUrls(events.map((row) => row.image_url), EVENT_IMAGE_LOCATIONS),
+  ]);
+
+  // Everything else keyed by username
+  await deleteWhere("notifications", "recipient_username", username);
+  await deleteWhere("notifications", "sender_username", username);
+  await deleteWhere("quick_messages", "username", username);
+  await deleteWhere("user_languages", "username", username);
+  await deleteWhere("user_countries", "username", username);
+  await deleteWhere("user_hangout_status", "username", username);
+  await deleteWhere("user_subscriptions", "username", username);
+
+  // Finally the profile (and its images) and the auth account
+  await deleteWhere("users", "id", user.id);
+  await deleteStoredFiles(ownedFileUrls([user.avatar, user.background_image], userFileLocations(user)));
+
+  const { error: authErr } = await supabase.auth.admin.deleteUser(user.id);
+  if (authErr && authErr.status !== 404) throw authErr;
+
+  return summary;
+}
+
+module.exports = { collectUserData, deleteUserAccount, EXPORT_SOURCES };
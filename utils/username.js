@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { supabase } = require("../db/supabaseClient");
+
+/**
+ * Username rules shared by GET /users/check-username, signup and profile creation,
+ * plus availability checks and renames (old names live on in username_aliases).
+ */
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 30;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+// Collide with route segments or would be confusing as a public handle
+const RESERVED_USERNAMES = new Set([
+  "admin",
+  "administrator",
+  "api",
+  "auth",
+  "check-username",
+  "create-profile",
+  "id",
+  "me",
+  "moderator",
+  "null",
+  "root",
+  "support",
+  "system",
+  "undefined",
+  "username",
+]);
+
+/**
+ * Check a username against the format rules (not availability)
+ * @param {string} username
+ * @returns {string|null} human readable problem, or null when the username is acceptable
+ */
+function validateUsername(username) {
+  if (typeof username !== "string" || !username.trim()) return "Missing username.";
+
+  const value = username.trim();
+  if (value.length < USERNAME_MIN_LENGTH || value.length > USERNAME_MAX_LENGTH) {
+    return `Username must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters.`;
+  }
+  if (!USERNAME_PATTERN.test(value)) {
+    return "Username may only contain letters, numbers and underscores.";
+  }
+  if (RESERVED_USERNAMES.has(value.toLowerCase())) {
+    return "This username is reserved.";
+  }
+  return null;
+}
+
+/**
+ * Base for a generated username: the e-mail local part reduced to allowed characters
+ */
+function usernameBaseFromEmail(email) {
+  let base = String(email || "").split("@")[0].replace(/[^a-zA-Z0-9_]/g, "");
+  // Leave room for a "_<n>" suffix
+  base = base.slice(0, USERNAME_MAX_LENGTH - 7);
+  if (base.length < USERNAME_MIN_LENGTH || RESERVED_USERNAMES.has(base.toLowerCase())) {
+    base = `user${base}`;
+  }
+  return base;
+}
+
+/**
+ * Deterministic sequence of candidate usernames for a base and auth id:
+ * `base`, then `base_<n>` where n starts from a value derived from the id
+ * (so two accounts sharing an e-mail prefix rarely probe the same names)
+ * and increases by one on every further attempt.
+ * @param {string} base
+ * @param {string} seed - usually the auth user id
+ * @param {number} count
+ * @returns {string[]}
+ */
+function usernameCandidates(base, seed, count) {
+  const start = crypto.createHash("sha256").update(String(seed)).digest().readUInt16BE(0) % 1000;
+  const candidates = [base];
+  for (let i = 0; candidates.length < count; i++) {
+    candidates.push(`${base}_${start + i}`);
+  }
+  return candidates;
+}
+
+/* ---------------------------------- Aliases --------------------------------- */
+
+// Minimum time between two renames of the same account
+const USERNAME_CHANGE_COOLDOWN_MS =
+  Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Usernames from `candidates` that are in use, either by a profile or as
+ * someone's former username
+ * @param {string[]} candidates
+ * @param {string} [exceptUserId] - names held by this user do not count
+ * @returns {Promise<Set<string>>}
+ */
+async function findTakenUsernames(candidates, exceptUserId = null) {
+  let usersQuery = supabase.from("users").select("username").in("username", candidates);
+  let aliasQuery = supabase.from("username_aliases").select("old_username").in("old_username", candidates);
+  if (exceptUserId) {
+    usersQuery = usersQuery.neq("id", exceptUserId);
+    aliasQuery = aliasQuery.neq("user_id", exceptUserId);
+  }
+
+  const [users, aliases] = await Promise.all([usersQuery, aliasQuery]);
+  if (users.error) throw users.error;
+  if (aliases.error) throw aliases.error;
+
+  return new Set([
+    ...(users.data || []).map((u) => u.username),
+    ...(aliases.data || []).map((a) => a.old_username),
+  ]);
+}
+
+/**
+ * Current profile for a former username
+ * @returns {Promise<object|null>} users row, or null when the name was never an alias
+ */
+async function resolveUsernameAlias(username) {
+  const { data, error } = await supabase
+    .from("username_aliases")
+    .select("old_username, users(*)")
+    .eq("old_username", username)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.users : null;
+}
+
+/**
+ * Rename a user; every username-keyed row moves with it in one transaction
+ * (rename_username RPC) and the old name becomes an alias.
+ * @param {object} user - current users row
+ * @param {string} newUsername
+ * @returns {Promise<{ user: object|null, error: null|'invalid'|'taken'|'rate_limited'|'not_found', message?: string, retryAfterSeconds?: number }>}
+ */
+async function renameUsername(user, newUsername) {
+  const username = String(newUsername || "").trim();
+
+  const problem = validateUsername(username);
+  if (problem) return { user: null, error: "invalid", message: problem };
+  if (username === user.username) return { user, error: null };
+
+  const { data: last, error: lastErr } = await supabase
+    .from("username_aliases")
+    .select("created_at")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastErr) throw lastErr;
+
+  if (last) {
+    const waitMs = new Date(last.created_at).getTime() + USERNAME_CHANGE_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      return {
+        user: null,
+        error: "rate_limited",
+        message: "Username was changed recently, try again later.",
+        retryAfterSeconds: Math.ceil(waitMs / 1000),
+      };
+    }
+  }
+
+  const { data, error } = await supabase
+    .rpc("rename_username", { p_user_id: user.id, p_new_username: username })
+    .single();
+
+  if (error) {
+    if (error.code === "23505") return { user: null, error: "taken", message: "Username already taken." };
+    if (error.code === "P0002") return { user: null, error: "not_found", message: "User not found." };
+    throw error;
+  }
+
+  return { user: data, error: null };
+}
+
+module.exports = {
+  validateUsername,
+  usernameBaseFromEmail,
+  usernameCandidates,
+  findTakenUsernames,
+  resolveUsernameAlias,
+  renameUsername,
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+};
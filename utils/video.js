@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+/**
+ * Video probing and poster frames with ffprobe/ffmpeg, and the video limits of each plan.
+ *
+ * The binaries come from FFPROBE_PATH / FFMPEG_PATH, or else from the
+ * @ffprobe-installer/@ffmpeg-installer packages. Without them analyzeVideo returns null
+ * and callers fall back to what the file headers tell (utils/media.js).
+ */
+
+const MB = 1024 * 1024;
+
+// Longest and largest video each plan may upload (PRO: users.is_premium)
+const VIDEO_LIMITS = {
+  free: { maxSeconds: 60, maxBytes: 100 * MB },
+  pro: { maxSeconds: 10 * 60, maxBytes: 1024 * MB },
+};
+
+const PROBE_TIMEOUT_MS = 30 * 1000;
+const POSTER_TIMEOUT_MS = 60 * 1000;
+// The poster is taken at this second, or halfway through shorter videos
+const POSTER_AT_SECONDS = 1;
+const POSTER_MAX_BYTES = 64 * MB;
+
+function binaryPath(envName, pkg) {
+  if (process.env[envName]) return process.env[envName];
+  try {
+    return require(pkg).path;
+  } catch {
+    return null;
+  }
+}
+
+const FFPROBE = binaryPath("FFPROBE_PATH", "@ffprobe-installer/ffprobe");
+const FFMPEG = binaryPath("FFMPEG_PATH", "@ffmpeg-installer/ffmpeg");
+let missingToolsLogged = false;
+
+function run(binary, args, { timeout, maxBuffer = 10 * MB, encoding = "utf8" }) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { timeout, maxBuffer, encoding, windowsHide: true }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Plan limits for videos of a user
+ * @param {{ is_premium?: boolean }|null} user
+ * @returns {{ maxSeconds: number, maxBytes: number }}
+ */
+function videoLimitsFor(user) {
+  return VIDEO_LIMITS[user?.is_premium ? "pro" : "free"];
+}
+
+function formatSeconds(seconds) {
+  if (seconds % 60 !== 0) return `${seconds} seconds`;
+  const minutes = seconds / 60;
+  return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+}
+
+/**
+ * Why a video is over the limits of the uploader's plan, or null when it is not
+ * @param {{ size?: number|null, duration?: number|null }} video - bytes, seconds; unknown values pass
+ * @param {{ is_premium?: boolean }|null} user - the uploader
+ * @returns {string|null}
+ */
+function checkVideoLimits({ size = null, duration = null }, user) {
+  const pro = !!user?.is_premium;
+  const limits = videoLimitsFor(user);
+
+  if (size !== null && size > limits.maxBytes) {
+    const upgrade = pro ? "" : ` (${VIDEO_LIMITS.pro.maxBytes / MB} MB with PRO)`;
+    return `Videos can be at most ${limits.maxBytes / MB} MB${upgrade}.`;
+  }
+  // Containers round durations up a little
+  if (duration !== null && duration > limits.maxSeconds + 0.5) {
+    const upgrade = pro ? "" : ` (${formatSeconds(VIDEO_LIMITS.pro.maxSeconds)} with PRO)`;
+    return `Videos can be at most ${formatSeconds(limits.maxSeconds)} long${upgrade}.`;
+  }
+  return null;
+}
+
+// Duration, display size and codec from ffprobe's output; null without a video stream
+function readProbe(output) {
+  const { streams = [], format = {} } = JSON.parse(output);
+  const stream = streams.find((s) => s.codec_type === "video" && !s.disposition?.attached_pic);
+  if (!stream || !stream.width || !stream.height) return null;
+
+  // Phone videos are stored sideways with a rotation to apply on display
+  const matrix = (stream.side_data_list || []).find((d) => d.rotation !== undefined);
+  const rotation = Math.abs(Number(matrix ? matrix.rotation : stream.tags?.rotate) || 0) % 180;
+  const [width, height] = rotation === 90 ? [stream.height, stream.width] : [stream.width, stream.height];
+
+  const duration = Number(format.duration || stream.duration);
+  return {
+    duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration * 1000) / 1000 : null,
+    width,
+    height,
+    codec: stream.codec_name || null,
+  };
+}
+
+async function posterFrame(input, duration) {
+  const at = duration ? Math.min(POSTER_AT_SECONDS, duration / 2) : 0;
+  // -ss before -i seeks on keyframes without decoding everything before them
+  const frame = await run(
+    FFMPEG,
+    ["-v", "error", "-ss", String(at), "-i", input, "-frames:v", "1", "-an", "-f", "image2pipe", "-c:v", "mjpeg", "-q:v", "2", "pipe:1"],
+    { timeout: POSTER_TIMEOUT_MS, maxBuffer: POSTER_MAX_BYTES, encoding: "buffer" }
+  );
+  return frame.length ? frame : null;
+}
+
+async function withTempFile(buffer, fn) {
+  const file = path.join(os.tmpdir(), `video-${crypto.randomUUID()}`);
+  await fs.promises.writeFile(file, buffer);
+  try {
+    return await fn(file);
+  } finally {
+    await fs.promises.rm(file, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Probe a video and grab its poster frame
+ * @param {Buffer|string} source - the file, or a URL ffmpeg can read it from (e.g. a signed storage URL)
+ * @returns {Promise<{ duration: number|null, width: number, height: number, codec: string|null,
+ *   poster: Buffer|null }|false|null>} poster is a JPEG of the frame at POSTER_AT_SECONDS;
+ *   false when the file is no readable video, null when ffprobe/ffmpeg are not installed
+ */
+async function analyzeVideo(source) {
+  if (!FFPROBE || !FFMPEG) {
+    if (!missingToolsLogged) console.warn("ffprobe/ffmpeg not found: videos are stored without poster frames.");
+    missingToolsLogged = true;
+    return null;
+  }
+  if (Buffer.isBuffer(source)) return withTempFile(source, analyzeVideo);
+
+  let probe;
+  try {
+    const output = await run(FFPROBE, ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", source], {
+      timeout: PROBE_TIMEOUT_MS,
+    });
+    probe = readProbe(output);
+  } catch {
+    return false;
+  }
+  if (!probe) return false;
+
+  let poster = null;
+  try {
+    poster = await posterFrame(source, probe.duration);
+  } catch (err) {
+    console.error("video poster error:", err.message);
+  }
+
+  return { ...probe, poster };
+}
+
+module.exports = { VIDEO_LIMITS, videoLimitsFor, checkVideoLimits, analyzeVideo };
@@ -1,5 +1,49 @@
 const { Server } = require("socket.io");
 const { supabase } = require("./db/supabaseClient");
+const { resolveUserFromToken, extractBearerToken } = require("./middleware/auth.middleware");
+const { consumeRateLimit } = require("./utils/rateLimit");
+const { clientIp: resolveClientIp } = require("./utils/clientIp");
+
+/**
+ * Build the error passed to `next()` when a handshake is rejected.
+ * Socket.IO delivers it to the client as a `connect_error` whose `message` is
+ * "auth_error" and whose `data` carries the structured reason, then closes the socket.
+ */
+function createAuthError(code, message) {
+  const err = new Error("auth_error");
+  err.data = { type: "auth_error", code, message };
+  return err;
+}
+
+/**
+ * Emit a structured `auth_error` to an already connected socket and disconnect it
+ */
+function rejectSocket(socket, code, message) {
+  socket.emit("auth_error", { code, message });
+  socket.disconnect(true);
+}
+
+/**
+ * Count a socket event against a rate limit rule (see utils/rateLimit.js).
+ * When over the limit the client gets an `error` with code `rate_limited`
+ * and the event should be dropped.
+ * @returns {Promise<boolean>} true when the event may proceed
+ */
+async function allowSocketEvent(socket, rule, event) {
+  const { limited, retryAfterSeconds } = await consumeRateLimit(rule, {
+    userId: socket.userId,
+    ip: socket.clientIp,
+  });
+  if (!limited) return true;
+
+  socket.emit("error", {
+    code: "rate_limited",
+    event,
+    message: "Too many requests, please try again later.",
+    retryAfter: retryAfterSeconds,
+  });
+  return false;
+}
 
 /**
  * Initialize Socket.IO server
@@ -18,14 +62,11 @@ function initializeWebSocket(httpServer, allowedOrigins) {
   // Store online users: username -> socket.id
   const onlineUsers = new Map();
 
-  io.on("connection", (socket) => {
-    console.log("WebSocket client connected:", socket.id);
-
-    let currentUsername = null;
-    let heartbeatInterval = null;
-
-    // Handle authentication
-    const token = socket.handshake.auth.token;
+  // Authenticate every handshake before the connection is accepted.
+  // Token comes from `auth.token` (socket.io-client) or an Authorization: Bearer header,
+  // and is verified like HTTP requests (AUTH_VERIFY_MODE=local verifies the JWT in-process).
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token || extractBearerToken(socket.handshake.headers.authorization);
 
     console.log("WebSocket auth attempt:", {
       socketId: socket.id,
@@ -33,90 +74,123 @@ function initializeWebSocket(httpServer, allowedOrigins) {
       tokenLength: token?.length,
     });
 
-    if (token) {
-      // Verify Supabase token
-      (async () => {
-        try {
-          const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (!token) {
+      return next(createAuthError("missing_token", "Missing auth token"));
+    }
 
-          if (error || !user) {
-            console.error("WebSocket auth failed:", error?.message);
-            return;
-          }
+    try {
+      // Same proxy trust rule as HTTP requests (req.ip)
+      const clientIp = resolveClientIp(socket.request);
+      const { profile, sessionId, error, details } = await resolveUserFromToken(token, {
+        userAgent: socket.handshake.headers["user-agent"],
+        ip: clientIp,
+      });
 
-          console.log("Decoded token - userId:", user.id);
+      if (error === "invalid_token") {
+        console.error("WebSocket auth failed:", details);
+        return next(createAuthError("invalid_token", "Invalid or expired token"));
+      }
 
-          // Get user from database
-          const { data, error: dbError } = await supabase
-            .from("users")
-            .select("username, id")
-            .eq("id", user.id)
-            .single();
+      if (error === "profile_not_found") {
+        return next(createAuthError("profile_not_found", "User profile not found"));
+      }
 
-          if (dbError || !data) {
-            console.error("User not found for ID:", user.id, dbError);
-            return;
-          }
+      if (error === "account_suspended") {
+        return next(createAuthError("account_suspended", "Account suspended"));
+      }
 
-          console.log("User authenticated:", data.username);
-
-          currentUsername = data.username;
-          // Store username on socket object for easy lookup
-          socket.username = currentUsername;
-          onlineUsers.set(currentUsername, socket.id);
-
-          // Update user online status in database with error handling
-          const { error: updateError } = await supabase
-            .from("users")
-            .update({ is_online: true })
-            .eq("username", currentUsername);
-
-          if (updateError) {
-            console.error("Failed to update online status:", updateError);
-          } else {
-            console.log(`${currentUsername} marked as online`);
-
-            // Notify others that user is online
-            socket.broadcast.emit("user_status", {
-              username: currentUsername,
-              isOnline: true,
-            });
-          }
+      if (error === "session_revoked") {
+        return next(createAuthError("session_revoked", "Session revoked"));
+      }
 
-          // Start heartbeat mechanism
-          heartbeatInterval = setInterval(() => {
-            socket.emit("heartbeat");
-          }, 30000); // Send heartbeat every 30 seconds
+      // Pin identity on the socket; event handlers never read it from payloads
+      socket.username = profile.username;
+      socket.userId = profile.id;
+      socket.sessionId = sessionId;
+      socket.clientIp = clientIp;
+      next();
+    } catch (err) {
+      console.error("WebSocket auth error:", err);
+      next(createAuthError("server_error", "Server error during authentication"));
+    }
+  });
 
-        } catch (err) {
-          console.error("Auth error:", err);
-        }
-      })();
+  io.on("connection", (socket) => {
+    console.log("WebSocket client connected:", socket.id);
+
+    // Defensive: the io.use() middleware should have rejected this already
+    if (!socket.username) {
+      rejectSocket(socket, "unauthenticated", "Authentication required");
+      return;
     }
 
+    const currentUsername = socket.username;
+    let heartbeatInterval = null;
+
+    console.log("User authenticated:", currentUsername);
+    onlineUsers.set(currentUsername, socket.id);
+
+    // Start heartbeat mechanism
+    heartbeatInterval = setInterval(() => {
+      socket.emit("heartbeat");
+    }, 30000); // Send heartbeat every 30 seconds
+
+    // Update user online status in database with error handling
+    supabase
+      .from("users")
+      .update({ is_online: true })
+      .eq("username", currentUsername)
+      .then(({ error: updateError }) => {
+        if (updateError) {
+          console.error("Failed to update online status:", updateError);
+          return;
+        }
+        console.log(`${currentUsername} marked as online`);
+
+        // Notify others that user is online
+        socket.broadcast.emit("user_status", {
+          username: currentUsername,
+          isOnline: true,
+        });
+      });
+
     // Handle heartbeat acknowledgment
     socket.on("heartbeat_ack", async () => {
       // User is still active, refresh online status
-      if (currentUsername) {
-        try {
-          await supabase
-            .from("users")
-            .update({
-              is_online: true,
-              last_seen: new Date().toISOString()
-            })
-            .eq("username", currentUsername);
-        } catch (err) {
-          console.error("Error updating heartbeat status:", err);
-        }
+      try {
+        await supabase
+          .from("users")
+          .update({
+            is_online: true,
+            last_seen: new Date().toISOString()
+          })
+          .eq("username", currentUsername);
+      } catch (err) {
+        console.error("Error updating heartbeat status:", err);
       }
     });
 
-    // Join a conversation room
-    socket.on("join_conversation", ({ conversationId }) => {
-      const roomName = `conversation_${conversationId}`;
-      socket.join(roomName);
-      console.log(`Socket ${socket.id} joined room ${roomName}`);
+    // Join a conversation room (members only)
+    socket.on("join_conversation", async ({ conversationId }) => {
+      try {
+        const { data: membership } = await supabase
+          .from("conversation_members")
+          .select("username")
+          .eq("conversation_id", conversationId)
+          .eq("username", currentUsername)
+          .limit(1);
+
+        if (!membership || membership.length === 0) {
+          socket.emit("error", { message: "Not a member of this conversation" });
+          return;
+        }
+
+        const roomName = `conversation_${conversationId}`;
+        socket.join(roomName);
+        console.log(`Socket ${socket.id} joined room ${roomName}`);
+      } catch (err) {
+        console.error("join_conversation error:", err);
+      }
     });
 
     // Leave a conversation room
@@ -126,10 +200,12 @@ function initializeWebSocket(httpServer, allowedOrigins) {
       console.log(`Socket ${socket.id} left room ${roomName}`);
     });
 
-    // Send a message
-    // Send a message
-    socket.on("send_message", async ({ conversationId, senderUsername, content, replyToMessageId }) => {
+    // Send a message as the authenticated user (any senderUsername in the payload is ignored)
+    socket.on("send_message", async ({ conversationId, content, replyToMessageId }) => {
+      const senderUsername = currentUsername;
       try {
+        if (!(await allowSocketEvent(socket, "messages", "send_message"))) return;
+
         // 1. Verify membership
         const { data: membership } = await supabase
           .from("conversation_members")
@@ -221,19 +297,35 @@ function initializeWebSocket(httpServer, allowedOrigins) {
     });
 
     // Typing indicator
-    socket.on("typing", ({ conversationId, username, isTyping }) => {
+    socket.on("typing", ({ conversationId, isTyping }) => {
       const roomName = `conversation_${conversationId}`;
+      // Only sockets already admitted to the room may signal typing
+      if (!socket.rooms.has(roomName)) return;
+
       // Broadcast to others in the room (not sender)
       socket.to(roomName).emit("typing", {
         conversationId,
-        username,
+        username: currentUsername,
         isTyping,
       });
     });
 
-    // Mark messages as read
-    socket.on("mark_read", async ({ conversationId, username, upToMessageId }) => {
+    // Mark messages as read for the authenticated user
+    socket.on("mark_read", async ({ conversationId, upToMessageId }) => {
+      const username = currentUsername;
       try {
+        const { data: membership } = await supabase
+          .from("conversation_members")
+          .select("username")
+          .eq("conversation_id", conversationId)
+          .eq("username", username)
+          .limit(1);
+
+        if (!membership || membership.length === 0) {
+          socket.emit("error", { message: "Not a member of this conversation" });
+          return;
+        }
+
         // Fetch target message ids
         let msgQuery = supabase
           .from("messages")
@@ -266,10 +358,24 @@ function initializeWebSocket(httpServer, allowedOrigins) {
 
     // IMPROVED: Handle notification when user joins a community
     // This ensures the community conversation exists and user is added to it
-    socket.on("notify_community_conversation", async ({ communityId, username }) => {
+    socket.on("notify_community_conversation", async ({ communityId }) => {
+      const username = currentUsername;
       try {
         console.log(`📢 User ${username} notified join for community ${communityId}`);
-        
+
+        const { data: membership } = await supabase
+          .from("community_members")
+          .select("username")
+          .eq("community_id", communityId)
+          .eq("username", username)
+          .eq("status", "approved")
+          .limit(1);
+
+        if (!membership || membership.length === 0) {
+          socket.emit("error", { message: "Not a member of this community" });
+          return;
+        }
+
         // Get or create community conversation
         let conversationId;
         const { data: existingConv, error: convFetchErr } = await supabase
@@ -342,20 +448,31 @@ function initializeWebSocket(httpServer, allowedOrigins) {
 
     // ==================== Community Chat Events ====================
 
-    // Join a community chat room
+    // Join a community chat room (approved members only)
     socket.on("join_community_chat", async ({ communityId }) => {
       try {
+        const { data: membership } = await supabase
+          .from("community_members")
+          .select("username")
+          .eq("community_id", communityId)
+          .eq("username", currentUsername)
+          .eq("status", "approved")
+          .limit(1);
+
+        if (!membership || membership.length === 0) {
+          socket.emit("error", { message: "Not a member of this community" });
+          return;
+        }
+
         const roomName = `community_chat_${communityId}`;
         socket.join(roomName);
         console.log(`Socket ${socket.id} (${currentUsername}) joined community chat ${communityId}`);
 
         // Notify others that user joined
-        if (currentUsername) {
-          socket.to(roomName).emit("user_joined_community_chat", {
-            communityId,
-            username: currentUsername,
-          });
-        }
+        socket.to(roomName).emit("user_joined_community_chat", {
+          communityId,
+          username: currentUsername,
+        });
       } catch (err) {
         console.error("join_community_chat error:", err);
       }
@@ -368,17 +485,18 @@ function initializeWebSocket(httpServer, allowedOrigins) {
       console.log(`Socket ${socket.id} left community chat ${communityId}`);
 
       // Notify others that user left
-      if (currentUsername) {
-        socket.to(roomName).emit("user_left_community_chat", {
-          communityId,
-          username: currentUsername,
-        });
-      }
+      socket.to(roomName).emit("user_left_community_chat", {
+        communityId,
+        username: currentUsername,
+      });
     });
 
-    // Send a message in community chat
-    socket.on("send_community_message", async ({ communityId, senderUsername, content }) => {
+    // Send a message in community chat as the authenticated user
+    socket.on("send_community_message", async ({ communityId, content }) => {
+      const senderUsername = currentUsername;
       try {
+        if (!(await allowSocketEvent(socket, "messages", "send_community_message"))) return;
+
         // 1. Verify user is member of community
         const { data: membership } = await supabase
           .from("community_members")
@@ -532,12 +650,14 @@ function initializeWebSocket(httpServer, allowedOrigins) {
     });
 
     // Community typing indicator
-    socket.on("community_typing", ({ communityId, username, isTyping }) => {
+    socket.on("community_typing", ({ communityId, isTyping }) => {
       const roomName = `community_chat_${communityId}`;
+      if (!socket.rooms.has(roomName)) return;
+
       // Broadcast to others in the room (not sender)
       socket.to(roomName).emit("community_typing", {
         communityId,
-        username,
+        username: currentUsername,
         isTyping,
       });
     });
@@ -555,33 +675,31 @@ function initializeWebSocket(httpServer, allowedOrigins) {
         heartbeatInterval = null;
       }
 
-      if (currentUsername) {
-        onlineUsers.delete(currentUsername);
-
-        try {
-          // Update user offline status in database
-          const { error } = await supabase
-            .from("users")
-            .update({
-              is_online: false,
-              last_seen: new Date().toISOString()
-            })
-            .eq("username", currentUsername);
-
-          if (error) {
-            console.error("Failed to update offline status:", error);
-          } else {
-            console.log(`${currentUsername} marked as offline`);
-
-            // Notify others that user is offline
-            socket.broadcast.emit("user_status", {
-              username: currentUsername,
-              isOnline: false,
-            });
-          }
-        } catch (err) {
-          console.error("Error in disconnect handler:", err);
+      onlineUsers.delete(currentUsername);
+
+      try {
+        // Update user offline status in database
+        const { error } = await supabase
+          .from("users")
+          .update({
+            is_online: false,
+            last_seen: new Date().toISOString()
+          })
+          .eq("username", currentUsername);
+
+        if (error) {
+          console.error("Failed to update offline status:", error);
+        } else {
+          console.log(`${currentUsername} marked as offline`);
+
+          // Notify others that user is offline
+          socket.broadcast.emit("user_status", {
+            username: currentUsername,
+            isOnline: false,
+          });
         }
+      } catch (err) {
+        console.error("Error in disconnect handler:", err);
       }
     });
   });
@@ -590,4 +708,38 @@ function initializeWebSocket(httpServer, allowedOrigins) {
   return io;
 }
 
-module.exports = { initializeWebSocket };
\ No newline at end of file
+/**
+ * Disconnect every live socket of a user, telling the client why first
+ * @param {import('socket.io').Server} io
+ * @param {string} username
+ * @param {string} code - Machine readable reason sent with `auth_error`
+ * @param {string} message
+ * @returns {number} number of sockets disconnected
+ */
+function disconnectUserSockets(io, username, code, message) {
+  let count = 0;
+  for (const [, s] of io.sockets.sockets) {
+    if (s.username === username) {
+      rejectSocket(s, code, message);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Disconnect the live sockets opened with one auth session (see utils/sessions.js)
+ * @returns {number} number of sockets disconnected
+ */
+function disconnectSessionSockets(io, sessionId, code, message) {
+  let count = 0;
+  for (const [, s] of io.sockets.sockets) {
+    if (s.sessionId === sessionId) {
+      rejectSocket(s, code, message);
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = { initializeWebSocket, disconnectUserSockets, disconnectSessionSockets };
\ No newline at end of file